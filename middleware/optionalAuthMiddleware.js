@@ -0,0 +1,10 @@
+const authMiddleware = require("./authMiddleware");
+
+// Token berilgan bo'lsa tekshiradi (req.admin / req.client), berilmasa so'rovni o'tkazib yuboradi.
+// Token talab qilmaydigan eski route'larda kim o'zgartirganini yozish uchun
+const optionalAuthMiddleware = (req, res, next) => {
+  if (!req.header("Authorization")) return next();
+  return authMiddleware(req, res, next);
+};
+
+module.exports = optionalAuthMiddleware;
@@ -18,9 +18,10 @@ const adminSchema = withBaseFields({
     required: true,
     trim: true,
   },
+  // courier - faqat o'ziga biriktirilgan yetkazishlar bilan ishlaydi
   role: {
     type: String,
-    enum: ["manager", "admin", "superadmin"],
+    enum: ["manager", "admin", "superadmin", "courier"],
     default: "manager",
   },
   isActive: {
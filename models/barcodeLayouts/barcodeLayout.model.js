@@ -0,0 +1,56 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Tarozi shtrix-kodi (EAN-13) tuzilishi: prefiks, PLU kod va vazn/narx joylashuvi.
+// Pozitsiyalar 0 dan boshlanadi, 13-raqam nazorat raqami
+const barcodeLayoutSchema = withBaseFields({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Qaysi prefikslar shu tuzilishda ("20" ... "29")
+  prefixes: {
+    type: [String],
+    required: true,
+  },
+  codeStart: {
+    type: Number,
+    default: 2,
+  },
+  codeLength: {
+    type: Number,
+    default: 5,
+  },
+  valueStart: {
+    type: Number,
+    default: 7,
+  },
+  valueLength: {
+    type: Number,
+    default: 5,
+  },
+  // weight - vazn, price - qator summasi
+  valueType: {
+    type: String,
+    enum: ["weight", "price"],
+    default: "weight",
+  },
+  // Qiymatdagi kasr xonalar soni (vazn grammda bo'lsa 3)
+  valueDecimals: {
+    type: Number,
+    default: 3,
+  },
+  // Vazn birligi (valueType = weight)
+  valueUnit: {
+    type: String,
+    enum: ["kg", "g"],
+    default: "kg",
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+module.exports = mongoose.model("BarcodeLayout", barcodeLayoutSchema);
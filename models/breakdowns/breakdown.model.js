@@ -0,0 +1,72 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const breakdownOutputSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Tannarx taqsimlash koeffitsienti (1 kg uchun nisbiy qiymat)
+  costRatio: {
+    type: Number,
+    default: 1,
+  },
+  // Ushbu qismga tushgan umumiy tannarx
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Butun tana (yoki katta bo'lak)ni qismlarga ajratish
+const breakdownSchema = withBaseFields({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  sourceQuantity: {
+    type: Number,
+    required: true,
+  },
+  // Sarflangan xomashyoning umumiy tannarxi
+  sourceCost: {
+    type: Number,
+    default: 0,
+  },
+  outputs: {
+    type: [breakdownOutputSchema],
+    required: true,
+  },
+  // Chiqindi (suyak qoldig'i, qon, qurish va h.k.)
+  wasteQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Chiqish foizi (outputlar / xomashyo)
+  yieldPercent: {
+    type: Number,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+module.exports = mongoose.model("Breakdown", breakdownSchema);
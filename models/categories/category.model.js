@@ -0,0 +1,34 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Mahsulot kategoriyasi (daraxt: mol go'shti -> lahm, suyakli ...)
+const categorySchema = withBaseFields({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // Barcha yuqori kategoriyalar (ildizdan boshlab), quyi kategoriyalarni tez topish uchun
+  ancestors: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: [],
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+});
+
+categorySchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -8,6 +8,15 @@ const carSchema = new mongoose.Schema({
   monthlyKm: { type: Number, default: 0 }, // Oylik km
 });
 
+// Saqlangan yetkazish manzili (buyurtmada _id bo'yicha tanlanadi)
+const addressSchema = new mongoose.Schema({
+  label: { type: String, trim: true, default: "" }, // Masalan: "Uy", "Do'kon"
+  text: { type: String, trim: true, required: true },
+  lat: { type: Number, default: null },
+  lng: { type: Number, default: null },
+  landmark: { type: String, trim: true, default: "" }, // Mo'ljal
+});
+
 const clientSchema = withBaseFields({
   fullName: {
     type: String,
@@ -21,6 +30,10 @@ const clientSchema = withBaseFields({
     type: [carSchema],
     default: [],
   },
+  addresses: {
+    type: [addressSchema],
+    default: [],
+  },
   // Removed branch reference
   debt: {
     type: Number,
@@ -51,6 +64,19 @@ const clientSchema = withBaseFields({
     type: Number,
     default: 0,
   },
+  // Mijozga biriktirilgan narxlar ro'yxati (masalan, ulgurji)
+  priceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "PriceList",
+    default: null,
+  },
+  // Aksiyalar uchun mijoz guruhi (masalan, vip, restaurant)
+  group: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: "",
+  },
 });
 
 module.exports = mongoose.model("Client", clientSchema);
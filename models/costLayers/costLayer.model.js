@@ -0,0 +1,51 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Tannarx qatlami: bir martalik kirim (partiya) va undan qolgan miqdor
+const costLayerSchema = withBaseFields({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Kirim miqdori
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Hali sotilmagan qoldiq
+  remaining: {
+    type: Number,
+    required: true,
+  },
+  // Bir birlik tannarxi
+  unitCost: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Qatlam manbasi (xarid, buyurtma qaytarilishi va h.k.)
+  relatedModel: {
+    type: String,
+    enum: [
+      "PurchaseReceipt",
+      "Order",
+      "Breakdown",
+      "ProductionRun",
+      "Stocktake",
+    ],
+    default: null,
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+});
+
+costLayerSchema.index({ product: 1, remaining: 1, receivedAt: 1 });
+
+module.exports = mongoose.model("CostLayer", costLayerSchema);
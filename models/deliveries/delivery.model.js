@@ -0,0 +1,118 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+const { DELIVERY_STATUSES } = require("../../utils/deliveryStatus");
+
+// Yetkazish manzili
+const deliveryAddressSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Mo'ljal (masalan, "bozor ro'parasida")
+    landmark: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    lat: {
+      type: Number,
+      default: null,
+    },
+    lng: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Buyurtmani yetkazish: manzil, kuryer, mashina va rejalashtirilgan vaqt oralig'i
+const deliverySchema = withBaseFields({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Client",
+    default: null,
+  },
+  address: {
+    type: deliveryAddressSchema,
+    required: true,
+  },
+  // Kuryer - "courier" rolli admin
+  courier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  // Mashina: mijoz mashinasi (client.cars) nusxasi, order.car bilan bir xil shaklda
+  vehicle: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  plannedFrom: {
+    type: Date,
+    required: true,
+  },
+  plannedTo: {
+    type: Date,
+    required: true,
+  },
+  // Holatlar va o'tishlar: utils/deliveryStatus.js
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: "pending",
+  },
+  assignedAt: {
+    type: Date,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  // Topshirish tasdig'i: kim qabul qildi va kuryer izohi
+  proofOfDelivery: {
+    receivedBy: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  // failed yoki cancelled sababi
+  failureReason: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+deliverySchema.index({ courier: 1, plannedFrom: 1 });
+deliverySchema.index({ order: 1, status: 1 });
+
+module.exports = mongoose.model("Delivery", deliverySchema);
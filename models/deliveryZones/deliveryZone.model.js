@@ -0,0 +1,62 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Ko'pburchak uchi
+const zonePointSchema = new mongoose.Schema(
+  {
+    lat: {
+      type: Number,
+      required: true,
+    },
+    lng: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Yetkazish hududi: ko'pburchak ichidagi manzillarga shu narx va minimal buyurtma qo'llanadi.
+// Hududlar ustma-ust tushsa eng arzon yetkazishli hudud olinadi
+const deliveryZoneSchema = withBaseFields({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  polygon: {
+    type: [zonePointSchema],
+    validate: {
+      validator: (points) => points.length >= 3,
+      message: "Hudud kamida 3 ta nuqtadan iborat bo'lishi kerak",
+    },
+  },
+  // Yetkazish narxi (so'm)
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Minimal buyurtma summasi (chegirmadan keyin, yetkazish narxisiz)
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+module.exports = mongoose.model("DeliveryZone", deliveryZoneSchema);
@@ -0,0 +1,59 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Partiya (lot): tez buziladigan mahsulotning muddati bilan birga qoldig'i
+const lotSchema = withBaseFields({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  lotNumber: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // Kirim miqdori
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Hali sotilmagan qoldiq
+  remaining: {
+    type: Number,
+    required: true,
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // So'yilgan sana
+  slaughterDate: {
+    type: Date,
+    default: null,
+  },
+  // Yaroqlilik muddati (null - muddatsiz)
+  expiryDate: {
+    type: Date,
+    default: null,
+  },
+  relatedModel: {
+    type: String,
+    enum: [
+      "PurchaseReceipt",
+      "Order",
+      "Breakdown",
+      "ProductionRun",
+      "Stocktake",
+    ],
+    default: null,
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+});
+
+lotSchema.index({ product: 1, remaining: 1, expiryDate: 1 });
+
+module.exports = mongoose.model("Lot", lotSchema);
@@ -0,0 +1,115 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Qaytarilgan qator
+const returnItemSchema = new mongoose.Schema(
+  {
+    // Buyurtmadagi qator (order.products._id)
+    line: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Ombor birligida
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    // Qator summasidan ayirilgan qism (chegirmadan keyin)
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    // Buyurtma foydasidan ayirilgan qism
+    profit: {
+      type: Number,
+      default: 0,
+    },
+    costPrice: {
+      type: Number,
+      default: 0,
+    },
+    // restock - omborga qaytadi, write-off - buzilgan, hisobdan chiqariladi
+    disposition: {
+      type: String,
+      enum: ["restock", "write-off"],
+      default: "restock",
+    },
+    writeOff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WriteOff",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Qaytarilgan pul (naqd, karta) - usul bo'yicha
+const refundSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: ["cash", "card"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Buyurtmaning bir qismini qaytarish
+const orderReturnSchema = withBaseFields({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    required: true,
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Client",
+    default: null,
+  },
+  items: {
+    type: [returnItemSchema],
+    default: [],
+  },
+  // Qaytarilgan qatorlar summasi = debtReduction + refunds yig'indisi
+  totalAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Avval to'lanmagan qoldiqdan (qarzdan) ayiriladi
+  debtReduction: {
+    type: Number,
+    default: 0,
+  },
+  refunds: {
+    type: [refundSchema],
+    default: [],
+  },
+  profitReduction: {
+    type: Number,
+    default: 0,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+orderReturnSchema.index({ order: 1, createdAt: -1 });
+
+module.exports = mongoose.model("OrderReturn", orderReturnSchema);
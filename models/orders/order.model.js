@@ -1,5 +1,6 @@
 const { withBaseFields } = require("../base.model");
 const mongoose = require("mongoose");
+const { ORDER_STATUSES } = require("../../utils/orderStatus");
 
 const orderProductSchema = new mongoose.Schema({
   product: {
@@ -16,6 +17,7 @@ const orderProductSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Bir birlik tannarxi: completed bo'lganda sarflangan partiyalar bo'yicha
   costPrice: {
     type: Number,
     required: true,
@@ -25,8 +27,100 @@ const orderProductSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Mijozga ko'rsatilgan sotuv birligi, miqdori va narxi (quantity/price - ombor birligida)
+  saleUnit: {
+    type: String,
+    default: null,
+  },
+  saleQuantity: {
+    type: Number,
+    default: null,
+  },
+  salePrice: {
+    type: Number,
+    default: null,
+  },
+  // Sotuv paytidagi narxlar ro'yxati narxi (ombor birligida)
+  listPrice: {
+    type: Number,
+    default: null,
+  },
+  // Aksiya bo'yicha qator chegirmasi (so'mda), profit shu chegirmadan keyin
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Promotion",
+    default: null,
+  },
+  promotionName: {
+    type: String,
+    default: null,
+  },
+  // Qaytarilgan miqdor (ombor birligida); quantity qaytarishdan keyin qolgan miqdor
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Sotilgan partiyalar (FEFO bo'yicha), qaytarishda shu partiyalarga qaytadi
+  lots: [
+    {
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Lot",
+      },
+      quantity: Number,
+    },
+  ],
 });
 
+// Holat o'zgarishi: kim va qachon
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+// Buyurtma bo'yicha bitta to'lov (naqd, karta, onlayn); to'lanmagan qoldiq - debtAmount
+const orderPaymentSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: ["cash", "card", "payme", "click", "stub"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
 const orderSchema = withBaseFields({
   client: {
     type: mongoose.Schema.Types.ObjectId,
@@ -56,30 +150,95 @@ const orderSchema = withBaseFields({
     required: true, 
     default: 0
   },
+  // Qatorlar chegirmalari yig'indisi
+  discountAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Qaytarilgan qatorlar summasi (totalAmount undan keyin qolgan summa)
+  returnedAmount: {
+    type: Number,
+    default: 0,
+  },
   // Removed branch reference
   notes: {
     type: String,
     default: "",
   },
+  // Umumiy to'lov turi: qarz qolsa debt, bir nechta usul bo'lsa mixed
   paymentType: {
     type: String,
-    enum: ["cash", "card", "debt"],
+    enum: ["cash", "card", "debt", "mixed"],
     default: "cash",
   },
+  payments: {
+    type: [orderPaymentSchema],
+    default: [],
+  },
   date_returned: {
     type: Date,
     default: null,
   },
+  // Holatlar va o'tishlar: utils/orderStatus.js
   status: {
     type: String,
-    enum: ["pending", "completed", "cancelled"],
+    enum: ORDER_STATUSES,
     default: "pending",
     required: true,
   },
+  // Holat o'zgarishlari tarixi
+  statusHistory: {
+    type: [statusChangeSchema],
+    default: [],
+  },
+  // Har bir holatga oxirgi marta o'tilgan vaqt: { packing: Date, ready: Date, ... }
+  statusTimestamps: {
+    type: Map,
+    of: Date,
+    default: {},
+  },
   car: {
     type: mongoose.Schema.Types.Mixed,
     default: null,
   },
+  // Yetkazish manzili: mijozning saqlangan manzili nusxasi (client.addresses)
+  deliveryAddress: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  deliveryZone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "DeliveryZone",
+    default: null,
+  },
+  // Hudud bo'yicha yetkazish narxi, totalAmount ga kiradi
+  deliveryFee: {
+    type: Number,
+    default: 0,
+  },
+  // Oldindan buyurtma: olib ketish yoki yetkazish sanasi (null - oddiy buyurtma)
+  scheduledFor: {
+    type: Date,
+    default: null,
+  },
+  // Oldindan buyurtma yaratilganda to'langan summa (zaklad)
+  depositAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Mahsulotlar Product.reservedQuantity da band qilinganmi
+  stockReserved: {
+    type: Boolean,
+    default: false,
+  },
+  // Doimiy buyurtma shablonidan yaratilgan bo'lsa
+  standingOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "StandingOrder",
+    default: null,
+  },
 });
 
+orderSchema.index({ scheduledFor: 1 });
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,44 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Mahsulot narxining har bir o'zgarishi: kim, qachon, qaysi narx
+const priceHistorySchema = withBaseFields({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  field: {
+    type: String,
+    enum: ["costPrice", "salePrice"],
+    required: true,
+  },
+  oldPrice: {
+    type: Number,
+    default: null,
+  },
+  newPrice: {
+    type: Number,
+    required: true,
+  },
+  // manual - qo'lda, scheduled - rejalashtirilgan o'zgarish
+  source: {
+    type: String,
+    enum: ["manual", "scheduled"],
+    default: "manual",
+  },
+  scheduledPrice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScheduledPrice",
+    default: null,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+priceHistorySchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model("PriceHistory", priceHistorySchema);
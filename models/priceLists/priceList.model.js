@@ -0,0 +1,62 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Bir qator: mahsulot narxi, minQuantity dan boshlab amal qiladi (miqdor chegaralari)
+const priceListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Ombor birligi uchun narx
+  price: {
+    type: Number,
+    required: true,
+  },
+  minQuantity: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Narxlar ro'yxati: chakana, ulgurji yoki bitta mijoz uchun
+const priceListSchema = withBaseFields({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ["retail", "wholesale", "client"],
+    required: true,
+  },
+  // type = client bo'lsa, shu mijozga tegishli
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Client",
+    default: null,
+  },
+  // Mijozga ro'yxat biriktirilmagan bo'lsa ishlatiladigan ro'yxat
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  items: {
+    type: [priceListItemSchema],
+    default: [],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+});
+
+priceListSchema.index({ client: 1 });
+
+module.exports = mongoose.model("PriceList", priceListSchema);
@@ -0,0 +1,65 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const consumedSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Retsept bo'yicha bir martalik ishlab chiqarish
+const productionRunSchema = withBaseFields({
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Recipe",
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  ingredients: {
+    type: [consumedSchema],
+    default: [],
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+  // Tayyor mahsulotning bir birlik tannarxi
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+module.exports = mongoose.model("ProductionRun", productionRunSchema);
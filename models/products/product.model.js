@@ -1,5 +1,6 @@
 const { withBaseFields } = require("../base.model");
 const mongoose = require("mongoose");
+const { UNIT_CODES, normalizeUnit } = require("../../utils/units");
 
 const productSchema = withBaseFields({
   name: {
@@ -22,21 +23,94 @@ const productSchema = withBaseFields({
     required: true,
     default: 0,
   },
+  // Oldindan buyurtmalar uchun band qilingan miqdor (ombordan chiqmagan, quantity ga kiradi)
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+  },
   minQuantity: {
     type: Number,
     required: true,
     default: 0,
   },
+  // Ombor birligi (quantity shu birlikda). Eski erkin matnli qiymatlar o'qishda saqlanib qoladi
   unit: {
     type: String,
     required: true,
     trim: true,
+    set: (value) => normalizeUnit(value) || value,
+  },
+  // Sotuv birligi (null - ombor birligi bilan bir xil)
+  saleUnit: {
+    type: String,
+    enum: [...UNIT_CODES, null],
+    default: null,
+  },
+  // Bitta pachkadagi ombor birligi miqdori (pachka bilan sotish/saqlash uchun)
+  packSize: {
+    type: Number,
+    default: null,
   },
   description: {
     type: String,
     trim: true,
     default: "",
   },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // Go'sht manbasi (hayvon turi)
+  animal: {
+    type: String,
+    enum: [
+      "beef",
+      "veal",
+      "mutton",
+      "goat",
+      "chicken",
+      "turkey",
+      "horse",
+      "other",
+      null,
+    ],
+    default: null,
+  },
+  // Qism nomi (lahm, son, qovurg'a ...)
+  cut: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  boneType: {
+    type: String,
+    enum: ["bone-in", "boneless", null],
+    default: null,
+  },
+  // Halol sertifikati raqami
+  halalCertificate: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // Tarozi (PLU) kodi: shtrix-kodda mahsulotni aniqlaydi
+  pluCode: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  // Sotuv tannarxini hisoblash usuli: o'rtacha tortilgan yoki FIFO
+  costingMethod: {
+    type: String,
+    enum: ["average", "fifo"],
+    default: "average",
+  },
+  // Saqlash muddati (kun). Kirimda partiya yaroqlilik muddati shundan hisoblanadi
+  shelfLifeDays: {
+    type: Number,
+    default: null,
+  },
   isAvailable: {
     type: Boolean,
     required: true,
@@ -44,4 +118,14 @@ const productSchema = withBaseFields({
   },
 });
 
+// Sotish mumkin bo'lgan miqdor: band qilinganidan tashqari (manfiy - bronlarga yetmaydi)
+productSchema.virtual("availableQuantity").get(function () {
+  return (this.quantity || 0) - (this.reservedQuantity || 0);
+});
+productSchema.set("toJSON", { virtuals: true });
+productSchema.set("id", false);
+
+productSchema.index({ pluCode: 1 });
+productSchema.index({ category: 1 });
+
 module.exports = mongoose.model("Product", productSchema);
@@ -0,0 +1,89 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Aksiya: buyurtma yaratilganda har bir qatorga eng foydali bittasi qo'llanadi
+const promotionSchema = withBaseFields({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // percentage - foiz, fixed - ombor birligi uchun summa, buy_x_get_y - X olsa Y bepul
+  type: {
+    type: String,
+    enum: ["percentage", "fixed", "buy_x_get_y"],
+    required: true,
+  },
+  value: {
+    type: Number,
+    default: 0,
+  },
+  buyQuantity: {
+    type: Number,
+    default: null,
+  },
+  freeQuantity: {
+    type: Number,
+    default: null,
+  },
+  // Qamrov: bo'sh bo'lsa barcha mahsulotlar / mijozlar
+  products: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+  ],
+  categories: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  ],
+  clientGroups: {
+    type: [String],
+    default: [],
+  },
+  // Qatordagi minimal miqdor (ombor birligida)
+  minQuantity: {
+    type: Number,
+    default: 0,
+  },
+  // Amal qilish davri
+  startsAt: {
+    type: Date,
+    default: null,
+  },
+  endsAt: {
+    type: Date,
+    default: null,
+  },
+  // Hafta kunlari (0 - yakshanba) va kun ichidagi vaqt oralig'i ("HH:mm", Toshkent vaqti)
+  daysOfWeek: {
+    type: [Number],
+    default: [],
+  },
+  timeFrom: {
+    type: String,
+    default: null,
+  },
+  timeTo: {
+    type: String,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+module.exports = mongoose.model("Promotion", promotionSchema);
@@ -0,0 +1,77 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// To'lov tizimi (Payme, Click) tranzaksiyasi: buyurtma yoki qarz uchun onlayn to'lov
+const providerPaymentSchema = withBaseFields({
+  provider: {
+    type: String,
+    enum: ["payme", "click", "stub"],
+    required: true,
+  },
+  // To'lov tizimidagi tranzaksiya ID
+  externalId: {
+    type: String,
+    required: true,
+  },
+  // Click merchant_prepare_id / merchant_confirm_id uchun butun son
+  prepareId: {
+    type: Number,
+    default: null,
+  },
+  // Nima to'lanmoqda: Order - buyurtma qoldig'i, Debtor - qarz
+  relatedModel: {
+    type: String,
+    enum: ["Order", "Debtor"],
+    required: true,
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Client",
+    default: null,
+  },
+  // So'mda
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // created - tekshirildi, pul hali yechilmagan; performed - to'landi; cancelled - bekor qilindi
+  state: {
+    type: String,
+    enum: ["created", "performed", "cancelled"],
+    default: "created",
+  },
+  // To'lov tizimi tomonidagi yaratilish vaqti (ms)
+  providerTime: {
+    type: Number,
+    default: null,
+  },
+  performedAt: {
+    type: Date,
+    default: null,
+  },
+  cancelledAt: {
+    type: Date,
+    default: null,
+  },
+  cancelReason: {
+    type: Number,
+    default: null,
+  },
+  // To'lov qabul qilinganda yaratilgan Transaction
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Transaction",
+    default: null,
+  },
+});
+
+providerPaymentSchema.index({ provider: 1, externalId: 1 }, { unique: true });
+providerPaymentSchema.index({ relatedModel: 1, relatedId: 1, state: 1 });
+providerPaymentSchema.index({ provider: 1, providerTime: 1 });
+
+module.exports = mongoose.model("ProviderPayment", providerPaymentSchema);
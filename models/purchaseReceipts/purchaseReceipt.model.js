@@ -0,0 +1,125 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const receiptItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Bir birlik uchun xarid narxi
+  costPrice: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  // Qabul qilingan partiya
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Lot",
+    default: null,
+  },
+});
+
+const receiptPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+  },
+  paymentType: {
+    type: String,
+    enum: ["cash", "card"],
+    default: "cash",
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+const purchaseReceiptSchema = withBaseFields({
+  // Kimdan qabul qilindi
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    required: true,
+  },
+  items: {
+    type: [receiptItemSchema],
+    required: true,
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  // Umumiy to'langan summa
+  paidAmount: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  // Yetkazib beruvchiga qolgan qarz
+  debtAmount: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  payments: {
+    type: [receiptPaymentSchema],
+    default: [],
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "partial", "paid", "overdue"],
+    default: "pending",
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+// To'lov statusini avtomatik yangilash (Debtor bilan bir xil qoida)
+purchaseReceiptSchema.pre("save", function (next) {
+  if (this.debtAmount <= 0) {
+    this.status = "paid";
+  } else if (this.paidAmount > 0) {
+    this.status = "partial";
+  } else if (this.dueDate && this.dueDate < new Date()) {
+    this.status = "overdue";
+  } else {
+    this.status = "pending";
+  }
+  next();
+});
+
+module.exports = mongoose.model("PurchaseReceipt", purchaseReceiptSchema);
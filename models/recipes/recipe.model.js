@@ -0,0 +1,45 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const ingredientSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Tayyor mahsulotning 1 birligi uchun sarf
+  quantity: {
+    type: Number,
+    required: true,
+  },
+});
+
+// Qayta ishlangan mahsulot retsepti (qiyma, kolbasa, yarim tayyor mahsulotlar)
+const recipeSchema = withBaseFields({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Tayyor mahsulot
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  ingredients: {
+    type: [ingredientSchema],
+    required: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+module.exports = mongoose.model("Recipe", recipeSchema);
@@ -0,0 +1,42 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Kelajakdagi sotuv narxi o'zgarishi, cron effectiveAt vaqtida qo'llaydi
+const scheduledPriceSchema = withBaseFields({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  salePrice: {
+    type: Number,
+    required: true,
+  },
+  effectiveAt: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "applied", "cancelled"],
+    default: "pending",
+  },
+  appliedAt: {
+    type: Date,
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+scheduledPriceSchema.index({ status: 1, effectiveAt: 1 });
+
+module.exports = mongoose.model("ScheduledPrice", scheduledPriceSchema);
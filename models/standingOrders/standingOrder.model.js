@@ -0,0 +1,129 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+const { ORDER_STATUSES } = require("../../utils/orderStatus");
+
+// Shablon qatori: POST /api/orders qatori kabi (narx berilmasa yaratilgan kuni ro'yxatdan olinadi)
+const standingOrderLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    unit: {
+      type: String,
+      default: null,
+    },
+    price: {
+      type: Number,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Doimiy buyurtma: tanlangan hafta kunlari belgilangan vaqtda scheduler haqiqiy buyurtma yaratadi
+const standingOrderSchema = withBaseFields({
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Client",
+    required: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  products: {
+    type: [standingOrderLineSchema],
+    validate: {
+      validator: (lines) => lines.length > 0,
+      message: "Kamida bitta mahsulot bo'lishi kerak",
+    },
+  },
+  // Hafta kunlari: 1 - dushanba ... 7 - yakshanba
+  weekdays: {
+    type: [Number],
+    validate: {
+      validator: (days) =>
+        days.length > 0 &&
+        days.every((day) => Number.isInteger(day) && day >= 1 && day <= 7),
+      message: "Hafta kunlari 1 (dushanba) dan 7 (yakshanba) gacha",
+    },
+  },
+  // Buyurtma yaratiladigan vaqt (Toshkent vaqti, HH:mm)
+  time: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  // Mijozning saqlangan manzili (client.addresses) - yetkazish narxi hudud bo'yicha
+  address: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  car: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Yaratilgan buyurtma holati
+  orderStatus: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: "new",
+  },
+  // Qarz muddati: buyurtma kunidan necha kun keyin (date_returned)
+  paymentTermDays: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // To'xtatilgan: pausedUntil berilsa shu vaqtdan boshlab avtomatik davom etadi
+  isPaused: {
+    type: Boolean,
+    default: false,
+  },
+  pausedUntil: {
+    type: Date,
+    default: null,
+  },
+  // O'tkazib yuboriladigan kunlar (Toshkent kuni boshi)
+  skipDates: {
+    type: [Date],
+    default: [],
+  },
+  // Oxirgi ishlangan kun (Toshkent kuni boshi): bir kunda bir marta yaratiladi
+  lastRunDate: {
+    type: Date,
+    default: null,
+  },
+  lastOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    default: null,
+  },
+  // Oxirgi urinish xatosi (masalan, mahsulot o'chirilgan)
+  lastError: {
+    type: String,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+standingOrderSchema.index({ weekdays: 1, time: 1 });
+
+module.exports = mongoose.model("StandingOrder", standingOrderSchema);
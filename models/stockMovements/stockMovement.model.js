@@ -0,0 +1,77 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const stockMovementSchema = withBaseFields({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Harakat turi
+  type: {
+    type: String,
+    enum: [
+      "sale",
+      "return",
+      "adjustment",
+      "receipt",
+      "write-off",
+      "breakdown",
+      "production",
+    ],
+    required: true,
+  },
+  // O'zgarish miqdori (+ kirim, - chiqim)
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  // Harakatdan keyingi qoldiq
+  balanceAfter: {
+    type: Number,
+    required: true,
+    default: 0,
+  },
+  // Harakat paytidagi tannarx
+  costPrice: {
+    type: Number,
+    default: 0,
+  },
+  // Sababchi buyurtma (sotuv va qaytarishda)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    default: null,
+  },
+  // Boshqa sababchi hujjat (xarid, qismlarga ajratish va h.k.)
+  relatedModel: {
+    type: String,
+    enum: [
+      "PurchaseReceipt",
+      "Breakdown",
+      "ProductionRun",
+      "WriteOff",
+      "Stocktake",
+    ],
+    default: null,
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  // Kim amalga oshirgan
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+});
+
+stockMovementSchema.index({ product: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
@@ -0,0 +1,81 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const stocktakeItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  // Sanalgan miqdor
+  countedQuantity: {
+    type: Number,
+    required: true,
+  },
+  countedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  // Sanashda to'ldiriladi: o'sha paytdagi tizim qoldig'i va tannarx
+  systemQuantity: {
+    type: Number,
+    required: true,
+  },
+  costPrice: {
+    type: Number,
+    required: true,
+  },
+  // Tasdiqlashda to'ldiriladi: farq (countedQuantity - systemQuantity) va uning tannarx qiymati
+  variance: {
+    type: Number,
+    default: null,
+  },
+  varianceValue: {
+    type: Number,
+    default: null,
+  },
+});
+
+// Inventarizatsiya (qoldiqni sanash) sessiyasi
+const stocktakeSchema = withBaseFields({
+  status: {
+    type: String,
+    enum: ["open", "approved", "cancelled"],
+    default: "open",
+  },
+  items: {
+    type: [stocktakeItemSchema],
+    default: [],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // Tasdiqlangandagi umumiy farq qiymati (tannarx bo'yicha)
+  totalVarianceValue: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+  approvedAt: {
+    type: Date,
+    default: null,
+  },
+});
+
+module.exports = mongoose.model("Stocktake", stocktakeSchema);
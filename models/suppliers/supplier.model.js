@@ -0,0 +1,31 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+const supplierSchema = withBaseFields({
+  fullName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phone: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  company: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  // Bizning yetkazib beruvchiga qarzimiz
+  debt: {
+    type: Number,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    default: "",
+  },
+});
+
+module.exports = mongoose.model("Supplier", supplierSchema);
@@ -10,18 +10,23 @@ const transactionSchema = withBaseFields({
       "order",
       "debt-payment",
       "debt-created",
+      "purchase",
+      "supplier-payment",
+      "write-off",
     ],
     required: true,
   },
+  // Buyurtma qaytarilganda pul qaytarish manfiy "order" summasi bilan yoziladi
   amount: {
     type: Number,
     required: true,
-    min: 0,
     default: 0,
   },
   paymentType: {
     type: String,
-    enum: ["cash", "card", "debt"],
+    // none - pul harakati bo'lmagan xarajat (hisobdan chiqarish)
+    // payme, click - onlayn to'lov tizimlari, stub - sinov provayderi
+    enum: ["cash", "card", "debt", "none", "payme", "click", "stub"],
     required: true,
   },
   description: {
@@ -29,10 +34,10 @@ const transactionSchema = withBaseFields({
     trim: true,
     default: "",
   },
-  // Qaysi modelga tegishli (order, debtor)
+  // Qaysi modelga tegishli (order, debtor, purchase receipt, write-off)
   relatedModel: {
     type: String,
-    enum: ["Order", "Debtor"],
+    enum: ["Order", "Debtor", "PurchaseReceipt", "WriteOff"],
     default: null,
   },
   relatedId: {
@@ -45,6 +50,12 @@ const transactionSchema = withBaseFields({
     ref: "Client",
     default: null,
   },
+  // Yetkazib beruvchi (xarid to'lovlarida)
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Supplier",
+    default: null,
+  },
   // Removed branch reference
   // Kim yaratgan
   createdBy: {
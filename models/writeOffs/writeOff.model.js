@@ -0,0 +1,70 @@
+const { withBaseFields } = require("../base.model");
+const mongoose = require("mongoose");
+
+// Hisobdan chiqarish sabablari
+const WRITE_OFF_REASONS = [
+  "spoilage",
+  "shrinkage",
+  "trimming",
+  "theft",
+  "sample",
+];
+
+// Hisobdan chiqarish: buzilish, qurish, tozalash va boshqa yo'qotishlar
+const writeOffSchema = withBaseFields({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: WRITE_OFF_REASONS,
+    required: true,
+  },
+  // Chiqarilgan bir birlik tannarxi
+  unitCost: {
+    type: Number,
+    default: 0,
+  },
+  // Yo'qotish qiymati (tannarx bo'yicha)
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+  // Chiqarilgan partiyalar (FEFO bo'yicha)
+  lots: [
+    {
+      lot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Lot",
+      },
+      quantity: Number,
+    },
+  ],
+  // Qaytarilgan buyurtmadan buzilgan mahsulot (ombor harakatisiz, sotuvda chiqib ketgan)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Order",
+    default: null,
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+    default: null,
+  },
+});
+
+writeOffSchema.index({ createdAt: -1, product: 1 });
+
+module.exports = mongoose.model("WriteOff", writeOffSchema);
+module.exports.WRITE_OFF_REASONS = WRITE_OFF_REASONS;
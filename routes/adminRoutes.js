@@ -62,6 +62,7 @@ const loginValidation = [
  *                 type: string
  *               role:
  *                 type: string
+ *                 enum: [admin, superadmin, manager, courier]
  *     responses:
  *       201:
  *         description: Администратор успешно создан
@@ -99,7 +100,9 @@ router.post("/register", authMiddleware, adminValidation, async (req, res) => {
       phone,
       password,
       fullName,
-      role: ["admin", "superadmin", "manager"].includes(role) ? role : "admin",
+      role: ["admin", "superadmin", "manager", "courier"].includes(role)
+        ? role
+        : "admin",
       isActive: true,
     });
 
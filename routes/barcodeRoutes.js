@@ -0,0 +1,325 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const BarcodeLayout = require("../models/barcodeLayouts/barcodeLayout.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { decodeScaleBarcode } = require("../services/barcodeService");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Barcodes
+ *   description: Tarozi shtrix-kodlari (EAN-13, vazn yoki narx ichida)
+ */
+
+// Layout validation
+const layoutValidation = [
+  body("name").trim().notEmpty().withMessage("Nomi majburiy"),
+  body("prefixes")
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta prefiks bo'lishi kerak"),
+  body("prefixes.*")
+    .matches(/^\d{1,3}$/)
+    .withMessage("Prefiks 1-3 raqamdan iborat bo'lishi kerak"),
+  body(["codeStart", "valueStart"])
+    .optional()
+    .isInt({ min: 0, max: 11 })
+    .withMessage("Boshlanish pozitsiyasi 0-11 oralig'ida bo'lishi kerak"),
+  body(["codeLength", "valueLength"])
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Uzunlik 1-10 oralig'ida bo'lishi kerak"),
+  body("valueType")
+    .optional()
+    .isIn(["weight", "price"])
+    .withMessage("valueType weight yoki price bo'lishi kerak"),
+  body("valueDecimals")
+    .optional()
+    .isInt({ min: 0, max: 5 })
+    .withMessage("valueDecimals 0-5 oralig'ida bo'lishi kerak"),
+  body("valueUnit")
+    .optional()
+    .isIn(["kg", "g"])
+    .withMessage("valueUnit kg yoki g bo'lishi kerak"),
+];
+
+// Kod va qiymat maydonlari nazorat raqamigacha (12 xona) sig'ishi kerak
+const checkLayoutBounds = (layout) => {
+  if (layout.codeStart + layout.codeLength > 12) {
+    return "PLU kod nazorat raqamiga yetib bormasligi kerak";
+  }
+  if (layout.valueStart + layout.valueLength > 12) {
+    return "Qiymat nazorat raqamiga yetib bormasligi kerak";
+  }
+  const codeEnd = layout.codeStart + layout.codeLength;
+  const valueEnd = layout.valueStart + layout.valueLength;
+  if (layout.codeStart < valueEnd && layout.valueStart < codeEnd) {
+    return "PLU kod va qiymat maydonlari ustma-ust tushmasligi kerak";
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/barcodes/decode/{barcode}:
+ *   get:
+ *     summary: Tarozi shtrix-kodini buyurtma qatoriga aylantirish
+ *     description: Natijadagi line to'g'ridan-to'g'ri POST /api/orders products massiviga qo'shiladi. Narx mijoz narxlar ro'yxatidan olinadi
+ *     tags: [Barcodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "2000123007508"
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *         description: Mijoz ID (narxlar ro'yxati uchun, ixtiyoriy)
+ *     responses:
+ *       200:
+ *         description: "{ line: {product, quantity, unit, price}, product, total, layout }"
+ *       400:
+ *         description: Noto'g'ri shtrix-kod, prefiks mos kelmadi yoki noto'g'ri mijoz ID
+ *       404:
+ *         description: PLU bo'yicha mahsulot topilmadi
+ */
+
+// GET /barcodes/decode/:barcode - Shtrix-kodni o'qish
+router.get("/decode/:barcode", async (req, res) => {
+  try {
+    const { client } = req.query;
+    if (client && !mongoose.isValidObjectId(client)) {
+      return res.status(400).json({ message: "Noto'g'ri mijoz ID" });
+    }
+    const result = await decodeScaleBarcode(req.params.barcode, {
+      clientId: client || null,
+    });
+    res.json(result);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/barcodes/layouts:
+ *   post:
+ *     summary: Shtrix-kod tuzilishini qo'shish
+ *     description: Hech qanday tuzilish bo'lmasa standart 2X CCCCC WWWWW K (vazn grammda) ishlatiladi
+ *     tags: [Barcodes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BarcodeLayoutInput'
+ *     responses:
+ *       201:
+ *         description: Tuzilish yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *   get:
+ *     summary: Shtrix-kod tuzilishlari ro'yxati
+ *     tags: [Barcodes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tuzilishlar ro'yxati
+ *
+ * components:
+ *   schemas:
+ *     BarcodeLayoutInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - prefixes
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "CAS tarozi"
+ *         prefixes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["22", "23"]
+ *         codeStart:
+ *           type: integer
+ *           default: 2
+ *         codeLength:
+ *           type: integer
+ *           default: 5
+ *         valueStart:
+ *           type: integer
+ *           default: 7
+ *         valueLength:
+ *           type: integer
+ *           default: 5
+ *         valueType:
+ *           type: string
+ *           enum: [weight, price]
+ *           default: weight
+ *         valueDecimals:
+ *           type: integer
+ *           default: 3
+ *         valueUnit:
+ *           type: string
+ *           enum: [kg, g]
+ *           default: kg
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+// POST /barcodes/layouts - Tuzilish qo'shish
+router.post("/layouts", authMiddleware, layoutValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const layout = new BarcodeLayout(req.body);
+    const boundsError = checkLayoutBounds(layout);
+    if (boundsError) return res.status(400).json({ message: boundsError });
+
+    await layout.save();
+    res.status(201).json(layout);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /barcodes/layouts - Tuzilishlar ro'yxati
+router.get("/layouts", async (req, res) => {
+  try {
+    const layouts = await BarcodeLayout.find({ isDeleted: false }).sort({
+      createdAt: 1,
+    });
+    res.json(layouts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/barcodes/layouts/{id}:
+ *   patch:
+ *     summary: Shtrix-kod tuzilishini yangilash
+ *     tags: [Barcodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BarcodeLayoutInput'
+ *     responses:
+ *       200:
+ *         description: Tuzilish yangilandi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Tuzilish topilmadi
+ *   delete:
+ *     summary: Shtrix-kod tuzilishini o'chirish (soft delete)
+ *     tags: [Barcodes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tuzilish o'chirildi
+ *       404:
+ *         description: Tuzilish topilmadi
+ */
+
+// PATCH /barcodes/layouts/:id - Tuzilishni yangilash
+router.patch(
+  "/layouts/:id",
+  authMiddleware,
+  layoutValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const layout = await BarcodeLayout.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      });
+      if (!layout) {
+        return res.status(404).json({ message: "Tuzilish topilmadi" });
+      }
+
+      const allowedFields = [
+        "name",
+        "prefixes",
+        "codeStart",
+        "codeLength",
+        "valueStart",
+        "valueLength",
+        "valueType",
+        "valueDecimals",
+        "valueUnit",
+        "isActive",
+      ];
+      for (const field of allowedFields) {
+        if (req.body[field] !== undefined) layout[field] = req.body[field];
+      }
+
+      const boundsError = checkLayoutBounds(layout);
+      if (boundsError) return res.status(400).json({ message: boundsError });
+
+      await layout.save();
+      res.json(layout);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+// DELETE /barcodes/layouts/:id - Soft delete
+router.delete("/layouts/:id", authMiddleware, async (req, res) => {
+  try {
+    const layout = await BarcodeLayout.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!layout) {
+      return res.status(404).json({ message: "Tuzilish topilmadi" });
+    }
+
+    layout.isDeleted = true;
+    layout.deletedAt = new Date();
+    await layout.save();
+    res.json({ message: "Tuzilish o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
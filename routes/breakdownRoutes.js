@@ -0,0 +1,338 @@
+const express = require("express");
+const router = express.Router();
+const Breakdown = require("../models/breakdowns/breakdown.model");
+const Product = require("../models/products/product.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { adjustStock, takeStock } = require("../services/stockService");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const { getConversionFactor, roundQuantity } = require("../utils/units");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Breakdowns
+ *   description: Go'shtni qismlarga ajratish (qassoblik)
+ */
+
+// Breakdown validation
+const breakdownValidation = [
+  body("source").isMongoId().withMessage("Noto'g'ri xomashyo ID"),
+  body("sourceQuantity")
+    .isFloat({ gt: 0 })
+    .withMessage("sourceQuantity musbat raqam bo'lishi kerak"),
+  body("outputs")
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta chiqish mahsuloti bo'lishi kerak"),
+  body("outputs.*.product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("outputs.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Miqdor musbat raqam bo'lishi kerak"),
+  body("outputs.*.costRatio")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("costRatio musbat raqam bo'lishi kerak"),
+  body("notes").optional().trim(),
+];
+
+/**
+ * @swagger
+ * /api/breakdowns:
+ *   post:
+ *     summary: Xomashyoni qismlarga ajratish
+ *     description: |
+ *       Xomashyo (masalan, butun tana) ombordan chiqariladi, qismlar omborga kiritiladi.
+ *       Xomashyo tannarxi qismlarga quantity × costRatio ulushi bo'yicha taqsimlanadi,
+ *       chiqindi tannarxi qismlar zimmasiga tushadi. Qismlar partiyasi xomashyo
+ *       partiyalarining so'yilgan sanasi va eng yaqin yaroqlilik muddatini oladi.
+ *       Qismlar miqdori o'z ombor birligida beriladi; chiqish va chiqindi xomashyo
+ *       birligiga o'tkazib hisoblanadi (o'tkazib bo'lmaydigan birlik - 400).
+ *     tags: [Breakdowns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - source
+ *               - sourceQuantity
+ *               - outputs
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 description: Xomashyo mahsulot ID
+ *               sourceQuantity:
+ *                 type: number
+ *                 example: 120
+ *               outputs:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     costRatio:
+ *                       type: number
+ *                       default: 1
+ *                       description: "1 kg uchun nisbiy qiymat (masalan, lahm 2, suyak 0.2)"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Ajratish bajarildi
+ *       400:
+ *         description: Validation xatosi, birliklar mos emas yoki ombor yetarli emas
+ *       404:
+ *         description: Mahsulot topilmadi
+ *   get:
+ *     summary: Ajratishlar tarixi
+ *     tags: [Breakdowns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Ajratishlar ro'yxati
+ */
+
+// POST /breakdowns - Qismlarga ajratish
+router.post("/", authMiddleware, breakdownValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { source, outputs, notes } = req.body;
+    const sourceQuantity = Number(req.body.sourceQuantity);
+
+    if (outputs.some((output) => String(output.product) === String(source))) {
+      return res
+        .status(400)
+        .json({ message: "Xomashyo o'zi chiqish mahsuloti bo'la olmaydi" });
+    }
+
+    const breakdown = await withTransaction(async (session) => {
+      const sourceProduct = await Product.findOne({
+        _id: source,
+        isDeleted: false,
+      }).session(session);
+      if (!sourceProduct) {
+        throw new HttpError(404, `Mahsulot topilmadi: ${source}`);
+      }
+
+      // Qismlar o'z ombor birligida, chiqish va chiqindi esa xomashyo birligida hisoblanadi
+      const outputLines = [];
+      for (const output of outputs) {
+        const product = await Product.findOne({
+          _id: output.product,
+          isDeleted: false,
+        }).session(session);
+        if (!product) {
+          throw new HttpError(404, `Mahsulot topilmadi: ${output.product}`);
+        }
+        const factor = getConversionFactor(product.unit, {
+          unit: sourceProduct.unit,
+        });
+        if (!factor) {
+          throw new HttpError(
+            400,
+            `${product.name} (${product.unit}) birligini xomashyo birligiga (${sourceProduct.unit}) o'tkazib bo'lmaydi`
+          );
+        }
+        const quantity = Number(output.quantity);
+        outputLines.push({
+          product,
+          quantity,
+          sourceQuantity: quantity * factor,
+          costRatio: Number(output.costRatio || 1),
+        });
+      }
+
+      const outputQuantity = roundQuantity(
+        outputLines.reduce((sum, line) => sum + line.sourceQuantity, 0),
+        sourceProduct.unit
+      );
+      if (outputQuantity > sourceQuantity) {
+        throw new HttpError(
+          400,
+          `Chiqish (${outputQuantity} ${sourceProduct.unit}) xomashyodan (${sourceQuantity} ${sourceProduct.unit}) ko'p bo'lishi mumkin emas`
+        );
+      }
+
+      const breakdown = new Breakdown({
+        source,
+        sourceQuantity,
+        wasteQuantity: roundQuantity(
+          sourceQuantity - outputQuantity,
+          sourceProduct.unit
+        ),
+        yieldPercent: (outputQuantity / sourceQuantity) * 100,
+        notes: notes || "",
+        createdBy: req.admin?._id || null,
+      });
+      const movement = {
+        type: "breakdown",
+        relatedModel: "Breakdown",
+        relatedId: breakdown._id,
+        createdBy: req.admin?._id,
+      };
+
+      // Xomashyoni chiqarish
+      const { unitCost, lots: sourceLots } = await takeStock(
+        source,
+        sourceQuantity,
+        { ...movement, description: "Qismlarga ajratish uchun sarflandi" },
+        session
+      );
+      breakdown.sourceCost = unitCost * sourceQuantity;
+
+      // Qismlar xomashyo partiyalarining eng yaqin muddati va so'yilgan sanasini oladi
+      const expiryDates = sourceLots
+        .filter((lot) => lot.expiryDate)
+        .map((lot) => lot.expiryDate.getTime());
+      const slaughterDates = sourceLots
+        .filter((lot) => lot.slaughterDate)
+        .map((lot) => lot.slaughterDate.getTime());
+      const outputLot = {
+        expiryDate: expiryDates.length
+          ? new Date(Math.min(...expiryDates))
+          : null,
+        slaughterDate: slaughterDates.length
+          ? new Date(Math.min(...slaughterDates))
+          : null,
+      };
+
+      // Tannarxni xomashyo birligidagi quantity × costRatio ulushi bo'yicha taqsimlash
+      const totalWeight = outputLines.reduce(
+        (sum, line) => sum + line.sourceQuantity * line.costRatio,
+        0
+      );
+
+      for (const line of outputLines) {
+        const { product, quantity, costRatio } = line;
+        const totalCost =
+          (breakdown.sourceCost * line.sourceQuantity * costRatio) /
+          totalWeight;
+
+        await adjustStock(
+          product,
+          quantity,
+          {
+            ...movement,
+            unitCost: totalCost / quantity,
+            lot: outputLot,
+            description: `${sourceProduct.name} ajratishdan`,
+          },
+          session
+        );
+
+        breakdown.outputs.push({
+          product: product._id,
+          quantity,
+          costRatio,
+          totalCost,
+          unitCost: totalCost / quantity,
+        });
+      }
+
+      await breakdown.save({ session });
+      return breakdown;
+    });
+
+    const populatedBreakdown = await Breakdown.findById(breakdown._id)
+      .populate("source", "name unit quantity costPrice")
+      .populate("outputs.product", "name unit quantity costPrice");
+    res.status(201).json(populatedBreakdown);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// GET /breakdowns - Ajratishlar tarixi
+router.get("/", async (req, res) => {
+  try {
+    const { source, startDate, endDate } = req.query;
+
+    const query = { isDeleted: false };
+    if (source) query.source = source;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const breakdowns = await Breakdown.find(query)
+      .populate("source", "name unit")
+      .populate("outputs.product", "name unit")
+      .populate("createdBy", "fullName")
+      .sort({ createdAt: -1 });
+
+    res.json(breakdowns);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/breakdowns/{id}:
+ *   get:
+ *     summary: Ajratish ma'lumotlari
+ *     tags: [Breakdowns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ajratish topildi
+ *       404:
+ *         description: Ajratish topilmadi
+ */
+
+// GET /breakdowns/:id - Ajratish ma'lumotlari
+router.get("/:id", async (req, res) => {
+  try {
+    const breakdown = await Breakdown.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("source", "name unit")
+      .populate("outputs.product", "name unit")
+      .populate("createdBy", "fullName");
+
+    if (!breakdown) {
+      return res.status(404).json({ message: "Ajratish topilmadi" });
+    }
+
+    res.json(breakdown);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
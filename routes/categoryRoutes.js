@@ -0,0 +1,349 @@
+const express = require("express");
+const router = express.Router();
+const Category = require("../models/categories/category.model");
+const Product = require("../models/products/product.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Mahsulot kategoriyalari daraxti
+ */
+
+// Category validation
+const categoryValidation = [
+  body("name").trim().notEmpty().withMessage("Nomi majburiy"),
+  body("parent")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Noto'g'ri yuqori kategoriya ID"),
+  body("description").optional().trim(),
+  body("sortOrder")
+    .optional()
+    .isInt()
+    .withMessage("sortOrder butun son bo'lishi kerak"),
+];
+
+// Yangilashda nomi ixtiyoriy
+const categoryUpdateValidation = [
+  body("name").optional().trim().notEmpty().withMessage("Nomi bo'sh bo'lmasin"),
+  ...categoryValidation.slice(1),
+];
+
+// Yuqori kategoriyaning ancestors ro'yxati (ildizdan boshlab)
+const getAncestors = async (parentId) => {
+  if (!parentId) return [];
+  const parent = await Category.findOne({ _id: parentId, isDeleted: false });
+  if (!parent) return null;
+  return [...parent.ancestors, parent._id];
+};
+
+// Tekis ro'yxatdan daraxt yasash
+const buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      String(category._id),
+      { ...category.toObject(), children: [] },
+    ])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+/**
+ * @swagger
+ * /api/categories:
+ *   post:
+ *     summary: Kategoriya qo'shish
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Mol go'shti"
+ *               parent:
+ *                 type: string
+ *                 description: Yuqori kategoriya ID (ildiz uchun bo'sh)
+ *               description:
+ *                 type: string
+ *               sortOrder:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Kategoriya yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Yuqori kategoriya topilmadi
+ *   get:
+ *     summary: Kategoriyalar daraxti
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: flat
+ *         schema:
+ *           type: boolean
+ *         description: Daraxt o'rniga tekis ro'yxat
+ *     responses:
+ *       200:
+ *         description: Kategoriyalar (children bilan)
+ */
+
+// POST /categories - Kategoriya qo'shish
+router.post("/", authMiddleware, categoryValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, parent, description, sortOrder } = req.body;
+    const ancestors = await getAncestors(parent);
+    if (!ancestors) {
+      return res.status(404).json({ message: "Yuqori kategoriya topilmadi" });
+    }
+
+    const category = new Category({
+      name,
+      parent: parent || null,
+      ancestors,
+      description,
+      sortOrder,
+    });
+    await category.save();
+
+    res.status(201).json(category);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /categories - Kategoriyalar daraxti
+router.get("/", async (req, res) => {
+  try {
+    const categories = await Category.find({ isDeleted: false }).sort({
+      sortOrder: 1,
+      name: 1,
+    });
+
+    res.json(req.query.flat === "true" ? categories : buildTree(categories));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}:
+ *   get:
+ *     summary: Kategoriya, uning yo'li va quyi kategoriyalari
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Kategoriya topildi
+ *       404:
+ *         description: Kategoriya topilmadi
+ *   patch:
+ *     summary: Kategoriyani yangilash yoki boshqa kategoriya ostiga ko'chirish
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *               description:
+ *                 type: string
+ *               sortOrder:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Kategoriya yangilandi
+ *       400:
+ *         description: Kategoriya o'zining quyi kategoriyasi ostiga ko'chirilmaydi
+ *       404:
+ *         description: Kategoriya topilmadi
+ *   delete:
+ *     summary: Kategoriyani o'chirish (soft delete)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Kategoriya o'chirildi
+ *       400:
+ *         description: Kategoriyada quyi kategoriya yoki mahsulot bor
+ *       404:
+ *         description: Kategoriya topilmadi
+ */
+
+// GET /categories/:id - Kategoriya ma'lumotlari
+router.get("/:id", async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!category) {
+      return res.status(404).json({ message: "Kategoriya topilmadi" });
+    }
+
+    const [path, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select("name"),
+      Category.find({ parent: category._id, isDeleted: false }).sort({
+        sortOrder: 1,
+        name: 1,
+      }),
+    ]);
+
+    // ancestors tartibida (ildizdan boshlab)
+    const pathMap = new Map(path.map((c) => [String(c._id), c]));
+    res.json({
+      ...category.toObject(),
+      path: category.ancestors.map((id) => pathMap.get(String(id))),
+      children,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /categories/:id - Kategoriyani yangilash
+router.patch(
+  "/:id",
+  authMiddleware,
+  categoryUpdateValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const category = await Category.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      });
+      if (!category) {
+        return res.status(404).json({ message: "Kategoriya topilmadi" });
+      }
+
+      const { name, parent, description, sortOrder } = req.body;
+      if (name !== undefined) category.name = name;
+      if (description !== undefined) category.description = description;
+      if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+      if (
+        parent !== undefined &&
+        String(parent || "") !== String(category.parent || "")
+      ) {
+        const ancestors = await getAncestors(parent);
+        if (!ancestors) {
+          return res
+            .status(404)
+            .json({ message: "Yuqori kategoriya topilmadi" });
+        }
+        if (ancestors.some((id) => String(id) === String(category._id))) {
+          return res.status(400).json({
+            message:
+              "Kategoriya o'zining quyi kategoriyasi ostiga ko'chirilmaydi",
+          });
+        }
+
+        // Quyi kategoriyalarning ancestors yo'lini ham yangilash
+        const oldPrefix = [...category.ancestors, category._id];
+        const newPrefix = [...ancestors, category._id];
+        const descendants = await Category.find({ ancestors: category._id });
+        for (const descendant of descendants) {
+          descendant.ancestors = [
+            ...newPrefix,
+            ...descendant.ancestors.slice(oldPrefix.length),
+          ];
+          await descendant.save();
+        }
+
+        category.parent = parent || null;
+        category.ancestors = ancestors;
+      }
+
+      await category.save();
+      res.json(category);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+// DELETE /categories/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!category) {
+      return res.status(404).json({ message: "Kategoriya topilmadi" });
+    }
+
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parent: category._id, isDeleted: false }),
+      Product.countDocuments({ category: category._id, isDeleted: false }),
+    ]);
+    if (childCount || productCount) {
+      return res.status(400).json({
+        message: "Kategoriyada quyi kategoriya yoki mahsulot bor",
+      });
+    }
+
+    category.isDeleted = true;
+    category.deletedAt = new Date();
+    await category.save();
+    res.json({ message: "Kategoriya o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
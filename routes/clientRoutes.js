@@ -65,6 +65,12 @@ const jwt = require("jsonwebtoken");
  *                 format: date
  *               notes:
  *                 type: string
+ *               priceList:
+ *                 type: string
+ *                 description: ID прайс-листа клиента (например, оптовый)
+ *               group:
+ *                 type: string
+ *                 description: Группа клиента для акций (например, vip, restaurant)
  *               cars:
  *                 type: array
  *                 items:
@@ -74,6 +80,23 @@ const jwt = require("jsonwebtoken");
  *                       type: string
  *                     plateNumber:
  *                       type: string
+ *               addresses:
+ *                 type: array
+ *                 description: Адреса доставки (зона и стоимость доставки по lat/lng)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                       example: Uy
+ *                     text:
+ *                       type: string
+ *                     lat:
+ *                       type: number
+ *                     lng:
+ *                       type: number
+ *                     landmark:
+ *                       type: string
  *     responses:
  *       201:
  *         description: Клиент создан
@@ -178,6 +201,11 @@ const clientValidation = [
     .withMessage("Неверный формат даты"),
   // branch field validation removed
   body("notes").optional().trim(),
+  body("priceList")
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage("Неверный ID прайс-листа"),
+  body("group").optional().trim().toLowerCase(),
   body("cars")
     .optional()
     .isArray()
@@ -192,6 +220,20 @@ const clientValidation = [
     .trim()
     .notEmpty()
     .withMessage("Номер автомобиля обязателен"),
+  body("addresses")
+    .optional()
+    .isArray()
+    .withMessage("Список адресов должен быть массивом"),
+  body("addresses.*.text").trim().notEmpty().withMessage("Адрес обязателен"),
+  body("addresses.*.lat")
+    .optional({ values: "null" })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Неверная широта (lat)"),
+  body("addresses.*.lng")
+    .optional({ values: "null" })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Неверная долгота (lng)"),
+  body(["addresses.*.label", "addresses.*.landmark"]).optional().trim(),
 ];
 
 router.post(
@@ -376,7 +418,10 @@ router.patch("/:id", authMiddleware, clientValidation, async (req, res) => {
       "birthday",
       "notes",
       "cars",
+      "addresses",
       "debt",
+      "priceList",
+      "group",
     ];
 
     allowedFields.forEach((field) => {
@@ -26,6 +26,12 @@
  *           type: string
  *           format: date
  *         description: Ой тугаш санаси
+ *       - in: query
+ *         name: expiringDays
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *         description: Неча кун ичида муддати тугайдиган партиялар кўрсатилади
  *     responses:
  *       200:
  *         description: Dashboard маълумотлари
@@ -43,6 +49,24 @@
  *                     monthlyIncome:
  *                       type: number
  *                       description: Ойлик даромад
+ *                     todayIncomeByMethod:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           method:
+ *                             type: string
+ *                             example: card
+ *                           total:
+ *                             type: number
+ *                           count:
+ *                             type: integer
+ *                       description: Бугунги даромад тўлов усули бўйича
+ *                     monthlyIncomeByMethod:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       description: Ойлик даромад тўлов усули бўйича (todayIncomeByMethod каби)
  *                     stockCount:
  *                       type: integer
  *                       description: Омборда мавжуд махсулотлар сони
@@ -56,9 +80,47 @@
  *                           quantity:
  *                             type: number
  *                       description: Кам қолган махсулотлар
+ *                     expiringProducts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           quantity:
+ *                             type: number
+ *                           nearestExpiry:
+ *                             type: string
+ *                             format: date-time
+ *                           expiredQuantity:
+ *                             type: number
+ *                       description: Муддати яқин ёки ўтган махсулотлар (партиялар бўйича)
  *                     productCapital:
  *                       type: number
  *                       description: Махсулотлар капитали
+ *                     discounts:
+ *                       type: object
+ *                       properties:
+ *                         amount:
+ *                           type: number
+ *                         profit:
+ *                           type: number
+ *                         orderCount:
+ *                           type: integer
+ *                         byPromotion:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               promotion:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                               amount:
+ *                                 type: number
+ *                               lines:
+ *                                 type: integer
+ *                       description: Ойлик акция чегирмалари ва чегирмадан кейинги фойда (якунланган буюртмалар)
  *                     totalDebts:
  *                       type: number
  *                       description: Умумий қарзлар
@@ -107,6 +169,9 @@ const Transaction = require("../models/transactions/transaction.model");
 const Product = require("../models/products/product.model");
 const Client = require("../models/clients/client.model");
 const Debtor = require("../models/debtors/debtor.model");
+const Lot = require("../models/lots/lot.model");
+const Order = require("../models/orders/order.model");
+const { HANDED_OVER_STATUSES } = require("../utils/orderStatus");
 
 // Ҳафталик даромадни Transaction'лардан олиш
 async function getWeeklyIncomeFromTransactions() {
@@ -153,6 +218,7 @@ async function getWeeklyIncomeFromTransactions() {
 router.get("/summary", async (req, res) => {
   try {
     let { startofMonth, endofManth } = req.query;
+    const expiringDays = Math.max(0, parseInt(req.query.expiringDays) || 3);
 
     // Агар саналар берилмаган бўлса, жорий ойни олиш
     if (!startofMonth || !endofManth) {
@@ -169,6 +235,8 @@ router.get("/summary", async (req, res) => {
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(today.getDate() + 1);
+    const expiringUntil = new Date();
+    expiringUntil.setDate(expiringUntil.getDate() + expiringDays);
 
     // Ҳафталик даромад (Transaction'лардан)
     const weeklyIncome = await getWeeklyIncomeFromTransactions();
@@ -192,6 +260,34 @@ router.get("/summary", async (req, res) => {
 
     const todayIncome = todayIncomeAgg[0]?.total || 0;
 
+    // Даромад тўлов усули бўйича (нақд, карта): бўлинган тўловлар ҳар бири алоҳида Transaction
+    const getIncomeByMethod = async (from, to) => {
+      const rows = await Transaction.aggregate([
+        {
+          $match: {
+            createdAt: { $gte: from, $lt: to },
+            type: { $in: ["cash-in", "order", "debt-payment"] },
+            // Қайтарилган пул манфий сумма билан айирилади
+            amount: { $ne: 0 },
+            isDeleted: false,
+          },
+        },
+        {
+          $group: {
+            _id: "$paymentType",
+            total: { $sum: "$amount" },
+            count: { $sum: 1 },
+          },
+        },
+        { $sort: { total: -1 } },
+      ]);
+      return rows.map((row) => ({
+        method: row._id,
+        total: row.total,
+        count: row.count,
+      }));
+    };
+
     // Ойлик даромад (Transaction'лардан)
     const monthlyIncomeAgg = await Transaction.aggregate([
       {
@@ -211,10 +307,16 @@ router.get("/summary", async (req, res) => {
 
     const monthlyIncome = monthlyIncomeAgg[0]?.total || 0;
 
+    const [todayIncomeByMethod, monthlyIncomeByMethod] = await Promise.all([
+      getIncomeByMethod(today, tomorrow),
+      getIncomeByMethod(startofMonth, endofManth),
+    ]);
+
     // Параллел равишда бошқа маълумотларни олиш
     const [
       stockCount,
       lowStockProducts,
+      expiringProducts,
 
       // Мижозлар ҳақида маълумот
       totalClientsCount,
@@ -238,6 +340,50 @@ router.get("/summary", async (req, res) => {
         .sort({ quantity: 1 })
         .limit(20),
 
+      // Муддати яқин ёки ўтган партиялар, махсулот бўйича
+      Lot.aggregate([
+        {
+          $match: {
+            remaining: { $gt: 0 },
+            expiryDate: { $ne: null, $lte: expiringUntil },
+            isDeleted: false,
+          },
+        },
+        {
+          $group: {
+            _id: "$product",
+            quantity: { $sum: "$remaining" },
+            nearestExpiry: { $min: "$expiryDate" },
+            expiredQuantity: {
+              $sum: {
+                $cond: [{ $lt: ["$expiryDate", new Date()] }, "$remaining", 0],
+              },
+            },
+          },
+        },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: "$product" },
+        { $match: { "product.isDeleted": { $ne: true } } },
+        {
+          $project: {
+            _id: "$product._id",
+            name: "$product.name",
+            quantity: 1,
+            nearestExpiry: 1,
+            expiredQuantity: 1,
+          },
+        },
+        { $sort: { nearestExpiry: 1 } },
+        { $limit: 20 },
+      ]),
+
       // Умумий мижозлар сони
       Client.countDocuments({}),
 
@@ -286,6 +432,51 @@ router.get("/summary", async (req, res) => {
     // Умумий қарзлар
     const totalDebts = debtsAgg[0]?.total || 0;
 
+    // Ойлик чегирмалар ва фойда (топширилган буюртмалар, фойда чегирмадан кейин)
+    const monthlyOrdersMatch = {
+      isDeleted: false,
+      status: { $in: HANDED_OVER_STATUSES },
+      createdAt: { $gte: startofMonth, $lt: endofManth },
+    };
+    const [orderTotalsAgg, discountsByPromotion] = await Promise.all([
+      Order.aggregate([
+        { $match: monthlyOrdersMatch },
+        {
+          $group: {
+            _id: null,
+            discount: { $sum: { $ifNull: ["$discountAmount", 0] } },
+            profit: { $sum: "$profitAmount" },
+            discountedOrders: {
+              $sum: { $cond: [{ $gt: ["$discountAmount", 0] }, 1, 0] },
+            },
+          },
+        },
+      ]),
+      Order.aggregate([
+        { $match: monthlyOrdersMatch },
+        { $unwind: "$products" },
+        { $match: { "products.discount": { $gt: 0 } } },
+        {
+          $group: {
+            _id: "$products.promotion",
+            name: { $first: "$products.promotionName" },
+            amount: { $sum: "$products.discount" },
+            lines: { $sum: 1 },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            promotion: "$_id",
+            name: 1,
+            amount: 1,
+            lines: 1,
+          },
+        },
+        { $sort: { amount: -1 } },
+      ]),
+    ]);
+
     // Топ махсулотлар (Transaction'лар орқали)
     const topProductsFromTransactions = await Transaction.aggregate([
       {
@@ -312,10 +503,21 @@ router.get("/summary", async (req, res) => {
     const topCards = {
       todayIncome,
       monthlyIncome,
+      todayIncomeByMethod,
+      monthlyIncomeByMethod,
       stockCount,
       lowStockProducts,
+      expiringProducts,
       productCapital,
 
+      // Акция чегирмалари
+      discounts: {
+        amount: orderTotalsAgg[0]?.discount || 0,
+        profit: orderTotalsAgg[0]?.profit || 0,
+        orderCount: orderTotalsAgg[0]?.discountedOrders || 0,
+        byPromotion: discountsByPromotion,
+      },
+
       // Мижозлар сони
       clients: {
         total: totalClientsCount,
@@ -5,6 +5,8 @@ const Transaction = require("../models/transactions/transaction.model");
 const Client = require("../models/clients/client.model");
 const authMiddleware = require("../middleware/authMiddleware");
 const { body, validationResult } = require("express-validator");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const { applyDebtPayment } = require("../services/debtService");
 
 /**
  * @swagger
@@ -321,6 +323,10 @@ router.get("/:id", async (req, res) => {
  *                 type: number
  *                 description: To'lov miqdori
  *                 minimum: 0
+ *               paymentType:
+ *                 type: string
+ *                 enum: [cash, card]
+ *                 default: cash
  *               nextPayment:
  *                 type: object
  *                 description: Keyingi to'lov ma'lumotlari (ixtiyoriy)
@@ -365,7 +371,7 @@ router.get("/:id", async (req, res) => {
 // POST /debtors/:id/payment - Qarz to'lovi
 router.post("/:id/payment", authMiddleware, async (req, res) => {
   try {
-    const { payment, nextPayment } = req.body;
+    const { payment, nextPayment, paymentType = "cash" } = req.body;
 
     if (
       !payment ||
@@ -376,68 +382,33 @@ router.post("/:id/payment", authMiddleware, async (req, res) => {
       });
     }
 
-    const debtor = await Debtor.findOne({
-      _id: req.params.id,
-      isDeleted: false,
-    });
-
-    if (!debtor) {
-      return res.status(404).json({ message: "Qarzdor topilmadi" });
-    }
-
-    // Joriy qarzdan to'lovni ayirish
-    debtor.currentDebt = Math.max(0, debtor.currentDebt - payment);
-
-    // Umumiy to'lovga qo'shish
-    debtor.totalPaid += payment;
-
-    // Oxirgi to'lovni yangilash
-    debtor.lastPayment = {
-      amount: payment,
-      date: new Date(),
-    };
-
-    // Keyingi to'lovni o'rnatish (agar berilgan bo'lsa)
-    if (nextPayment) {
-      debtor.nextPayment = {
-        amount: Number(nextPayment.amount) || 0,
-        dueDate: nextPayment.dueDate
-      };
-    }
-
-    await debtor.save();
-
-    // To'lov Transaction'ini qo'shish
-    try {
-      await Transaction.create({
-        type: "debt-payment",
-        amount: payment,
-        paymentType: "cash", // Default, kerak bo'lsa req.body'dan olish mumkin
-        description: `Qarz to'lovi - Debtor #${debtor._id}`,
-        relatedModel: "Debtor",
-        relatedId: debtor._id,
-        client: debtor.client,
-        // branch field removed
-        createdBy: req.user?.id || null,
+    if (!["cash", "card"].includes(paymentType)) {
+      return res.status(400).json({
+        message: "To'lov turi cash yoki card bo'lishi kerak",
       });
-    } catch (transactionError) {
-      console.error(
-        "Transaction yaratishda xatolik:",
-        transactionError.message
-      );
     }
 
-    // Mijozning umumiy qarzini yangilash
-    const client = await Client.findById(debtor.client);
-    if (client) {
-      client.debt = (client.debt || 0) - payment;
-      await client.save();
-    }
+    // Debtor, mijoz qarzi va Transaction bitta tranzaksiyada yoziladi
+    const debtor = await withTransaction(async (session) => {
+      const debtor = await Debtor.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      }).session(session);
+      if (!debtor) throw new HttpError(404, "Qarzdor topilmadi");
+
+      await applyDebtPayment(
+        debtor,
+        payment,
+        { paymentType, nextPayment, createdBy: req.user?.id },
+        session
+      );
+      return debtor;
+    });
 
     const updatedDebtor = await Debtor.findById(debtor._id).populate("client");
     res.json(updatedDebtor);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
@@ -0,0 +1,675 @@
+const express = require("express");
+const router = express.Router();
+const Delivery = require("../models/deliveries/delivery.model");
+const Order = require("../models/orders/order.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const { emitOrderStatusChanged } = require("../utils/socketEvents");
+const {
+  DELIVERY_STATUSES,
+  ACTIVE_DELIVERY_STATUSES,
+} = require("../utils/deliveryStatus");
+const { tashkentDayRange } = require("../utils/tashkentTime");
+const {
+  findCourier,
+  applyDeliveryStatus,
+} = require("../services/deliveryService");
+const { resolveCar } = require("../services/orderService");
+const { planDayRoutes } = require("../services/routePlanningService");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Deliveries
+ *   description: Buyurtmalarni yetkazish, kuryerlar ("courier" rolli adminlar)
+ */
+
+// Yetkazib bo'lmaydigan buyurtma holatlari
+const CLOSED_ORDER_STATUSES = ["delivered", "completed", "cancelled"];
+
+// Kuryer faqat o'ziga biriktirilgan yetkazishlarni ko'radi va holatini o'zgartiradi
+const denyCourier = (req, res, next) => {
+  if (req.admin?.role === "courier") {
+    return res.status(403).json({ message: "Kuryer uchun ruxsat yo'q" });
+  }
+  next();
+};
+
+const isOwnDelivery = (req, delivery) =>
+  req.admin?.role !== "courier" ||
+  String(delivery.courier?._id || delivery.courier || "") ===
+    String(req.admin._id);
+
+const deliveryPopulate = [
+  {
+    path: "order",
+    select: "products totalAmount debtAmount status notes",
+    populate: { path: "products.product", select: "name unit" },
+  },
+  { path: "client", select: "fullName phone" },
+  { path: "courier", select: "fullName phone" },
+];
+
+// Yetkazish yaratish va tahrirlash validation
+const deliveryValidation = [
+  body("address.text")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Manzil bo'sh bo'lmasligi kerak"),
+  body("address.landmark").optional().trim(),
+  body("address.lat")
+    .optional({ values: "null" })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Noto'g'ri kenglik (lat)"),
+  body("address.lng")
+    .optional({ values: "null" })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Noto'g'ri uzunlik (lng)"),
+  body("courier")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Noto'g'ri kuryer ID"),
+  body(["plannedFrom", "plannedTo"])
+    .optional()
+    .isISO8601()
+    .withMessage("Noto'g'ri sana formati"),
+  body("notes").optional().trim(),
+];
+
+const createValidation = [
+  body("order").isMongoId().withMessage("Noto'g'ri buyurtma ID"),
+  body(["plannedFrom", "plannedTo"])
+    .notEmpty()
+    .withMessage("Vaqt oralig'i (plannedFrom, plannedTo) majburiy"),
+  ...deliveryValidation,
+];
+
+const checkWindow = (delivery) =>
+  delivery.plannedFrom < delivery.plannedTo
+    ? null
+    : "plannedFrom plannedTo dan oldin bo'lishi kerak";
+
+/**
+ * @swagger
+ * /api/deliveries:
+ *   post:
+ *     summary: Buyurtma uchun yetkazish yaratish
+ *     description: address berilmasa buyurtmaning yetkazish manzili (order.deliveryAddress), vehicle berilmasa buyurtmadagi mashina (order.car) olinadi. Bitta buyurtmada bitta faol yetkazish bo'ladi
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryInput'
+ *     responses:
+ *       201:
+ *         description: Yetkazish yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *       403:
+ *         description: Kuryer uchun ruxsat yo'q
+ *       404:
+ *         description: Buyurtma topilmadi
+ *   get:
+ *     summary: Yetkazishlar ro'yxati
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, assigned, out_for_delivery, delivered, failed, cancelled]
+ *       - in: query
+ *         name: courier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Rejalashtirilgan kun (Toshkent vaqti)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: "{ data, pagination }"
+ *
+ * components:
+ *   schemas:
+ *     DeliveryInput:
+ *       type: object
+ *       required:
+ *         - order
+ *         - plannedFrom
+ *         - plannedTo
+ *       properties:
+ *         order:
+ *           type: string
+ *         address:
+ *           type: object
+ *           properties:
+ *             text:
+ *               type: string
+ *               example: "Chilonzor 9-kvartal, 12-uy"
+ *             landmark:
+ *               type: string
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         courier:
+ *           type: string
+ *           description: "courier" rolli admin ID. Berilsa holat assigned bo'ladi
+ *         vehicle:
+ *           description: Mijoz mashinasi ID si (client.cars) yoki { plateNumber, ... }
+ *           oneOf:
+ *             - type: string
+ *             - type: object
+ *         plannedFrom:
+ *           type: string
+ *           format: date-time
+ *         plannedTo:
+ *           type: string
+ *           format: date-time
+ *         notes:
+ *           type: string
+ */
+
+// POST /deliveries - Yetkazish yaratish
+router.post(
+  "/",
+  authMiddleware,
+  denyCourier,
+  createValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const order = await Order.findOne({
+        _id: req.body.order,
+        isDeleted: false,
+      }).populate("client");
+      if (!order) throw new HttpError(404, "Buyurtma topilmadi");
+      if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+        throw new HttpError(
+          400,
+          `"${order.status}" holatidagi buyurtmani yetkazib bo'lmaydi`
+        );
+      }
+      const active = await Delivery.exists({
+        order: order._id,
+        status: { $in: ACTIVE_DELIVERY_STATUSES },
+        isDeleted: false,
+      });
+      if (active) {
+        throw new HttpError(400, "Bu buyurtma uchun faol yetkazish mavjud");
+      }
+
+      const address = req.body.address || order.deliveryAddress;
+      if (!address?.text) throw new HttpError(400, "Manzil majburiy");
+
+      const courier = req.body.courier
+        ? await findCourier(req.body.courier)
+        : null;
+      const delivery = new Delivery({
+        order: order._id,
+        client: order.client?._id || null,
+        address,
+        courier: courier?._id || null,
+        vehicle: resolveCar(req.body.vehicle || order.car, order.client),
+        plannedFrom: req.body.plannedFrom,
+        plannedTo: req.body.plannedTo,
+        status: courier ? "assigned" : "pending",
+        assignedAt: courier ? new Date() : null,
+        notes: req.body.notes || "",
+        createdBy: req.admin?._id,
+      });
+      const windowError = checkWindow(delivery);
+      if (windowError) throw new HttpError(400, windowError);
+
+      await delivery.save();
+      await delivery.populate(deliveryPopulate);
+      res.status(201).json(delivery);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+// GET /deliveries - Yetkazishlar ro'yxati
+router.get("/", authMiddleware, denyCourier, async (req, res) => {
+  try {
+    const { status, courier, date } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { isDeleted: false };
+    if (status) filter.status = status;
+    if (courier) filter.courier = courier;
+    if (date) {
+      const { start, end } = tashkentDayRange(new Date(`${date}T12:00:00Z`));
+      filter.plannedFrom = { $gte: start, $lt: end };
+    }
+
+    const [deliveries, totalCount] = await Promise.all([
+      Delivery.find(filter)
+        .populate(deliveryPopulate)
+        .sort({ plannedFrom: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Delivery.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    res.json({
+      data: deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/deliveries/my/today:
+ *   get:
+ *     summary: Kuryerning bugungi yetkazishlari
+ *     description: Bugunga rejalashtirilgan (bekor qilinmagan) va hali yo'lda bo'lgan yetkazishlar, vaqt bo'yicha
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Yetkazishlar ro'yxati (buyurtma mahsulotlari, mijoz telefoni bilan)
+ *       403:
+ *         description: Faqat admin tokeni bilan
+ */
+
+// GET /deliveries/my/today - Kuryerning bugungi yetkazishlari
+router.get("/my/today", authMiddleware, async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({ message: "Ruxsat yo'q" });
+    }
+
+    const { start, end } = tashkentDayRange();
+    const deliveries = await Delivery.find({
+      courier: req.admin._id,
+      isDeleted: false,
+      $or: [
+        {
+          plannedFrom: { $gte: start, $lt: end },
+          status: { $ne: "cancelled" },
+        },
+        // Kechagi, hali topshirilmagan yetkazish ham ko'rinadi
+        { status: "out_for_delivery" },
+      ],
+    })
+      .populate(deliveryPopulate)
+      .sort({ plannedFrom: 1 });
+
+    res.json(deliveries);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/deliveries/routes:
+ *   get:
+ *     summary: Kun marshrutlari kuryerlar bo'yicha
+ *     description: |
+ *       Kunga rejalashtirilgan assigned va out_for_delivery yetkazishlar kuryer bo'yicha guruhlanadi.
+ *       Bekatlar do'kondan (SHOP_LAT, SHOP_LNG) boshlab eng yaqin qo'shni va 2-opt bilan tartiblanadi.
+ *       Masofa to'g'ri chiziq bo'yicha (km), koordinatasiz manzillar unrouted da
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Kun (Toshkent vaqti), berilmasa bugun
+ *       - in: query
+ *         name: courier
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ shop, date, routes: [{ courier, stops: [{ sequence, legKm, delivery }], distanceKm, returnDistanceKm, unrouted }] }"
+ *       403:
+ *         description: Kuryer uchun ruxsat yo'q
+ */
+
+// GET /deliveries/routes - Kun marshrutlari
+router.get("/routes", authMiddleware, denyCourier, async (req, res) => {
+  try {
+    const { date, courier } = req.query;
+    const plan = await planDayRoutes({
+      date: date ? new Date(`${date}T12:00:00Z`) : new Date(),
+      courier,
+    });
+    res.json(plan);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/deliveries/my/route:
+ *   get:
+ *     summary: Kuryerning bugungi marshruti
+ *     description: Bekatlar tartibi va masofa (GET /api/deliveries/routes bilan bir xil hisob)
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "{ shop, date, stops, distanceKm, returnDistanceKm, unrouted }"
+ *       403:
+ *         description: Faqat admin tokeni bilan
+ */
+
+// GET /deliveries/my/route - Kuryerning bugungi marshruti
+router.get("/my/route", authMiddleware, async (req, res) => {
+  try {
+    if (!req.admin) {
+      return res.status(403).json({ message: "Ruxsat yo'q" });
+    }
+
+    const { shop, date, routes } = await planDayRoutes({
+      courier: req.admin._id,
+    });
+    const [route] = routes;
+    res.json({
+      shop,
+      date,
+      stops: route?.stops || [],
+      distanceKm: route?.distanceKm || 0,
+      returnDistanceKm: route?.returnDistanceKm || 0,
+      unrouted: route?.unrouted || [],
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/deliveries/{id}:
+ *   get:
+ *     summary: Yetkazish
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Yetkazish topildi
+ *       404:
+ *         description: Yetkazish topilmadi
+ *   patch:
+ *     summary: Yetkazishni tahrirlash (manzil, kuryer, mashina, vaqt)
+ *     description: Faqat yo'lga chiqmagan yetkazish. courier null - kuryer olib tashlanadi (pending)
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryInput'
+ *     responses:
+ *       200:
+ *         description: Yetkazish yangilandi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Yetkazish topilmadi
+ */
+
+// GET /deliveries/:id - Yetkazish
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const delivery = await Delivery.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    }).populate(deliveryPopulate);
+    if (!delivery || !isOwnDelivery(req, delivery)) {
+      return res.status(404).json({ message: "Yetkazish topilmadi" });
+    }
+    res.json(delivery);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /deliveries/:id - Yetkazishni tahrirlash
+router.patch(
+  "/:id",
+  authMiddleware,
+  denyCourier,
+  deliveryValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const delivery = await Delivery.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      });
+      if (!delivery) throw new HttpError(404, "Yetkazish topilmadi");
+      if (!["pending", "assigned", "failed"].includes(delivery.status)) {
+        throw new HttpError(
+          400,
+          `"${delivery.status}" holatidagi yetkazishni tahrirlab bo'lmaydi`
+        );
+      }
+
+      const { address, vehicle, plannedFrom, plannedTo, notes } = req.body;
+      if (address !== undefined) {
+        delivery.address = { ...delivery.address?.toObject(), ...address };
+      }
+      if (plannedFrom !== undefined) delivery.plannedFrom = plannedFrom;
+      if (plannedTo !== undefined) delivery.plannedTo = plannedTo;
+      if (notes !== undefined) delivery.notes = notes;
+      if (vehicle !== undefined) {
+        const order = await Order.findById(delivery.order).populate("client");
+        delivery.vehicle = resolveCar(vehicle, order?.client);
+      }
+
+      // Kuryer almashtirilsa yoki olib tashlansa holat ham o'zgaradi
+      if (req.body.courier !== undefined) {
+        if (req.body.courier) {
+          const courier = await findCourier(req.body.courier);
+          delivery.courier = courier._id;
+          delivery.status = "assigned";
+          delivery.assignedAt = new Date();
+        } else {
+          delivery.courier = null;
+          delivery.status = "pending";
+          delivery.assignedAt = null;
+        }
+      }
+
+      const windowError = checkWindow(delivery);
+      if (windowError) throw new HttpError(400, windowError);
+
+      await delivery.save();
+      await delivery.populate(deliveryPopulate);
+      res.json(delivery);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/deliveries/{id}/status:
+ *   patch:
+ *     summary: Yetkazish holatini o'zgartirish
+ *     description: |
+ *       Ruxsat etilgan o'tishlar:
+ *       pending -> assigned, cancelled;
+ *       assigned -> pending, out_for_delivery, cancelled;
+ *       out_for_delivery -> delivered, failed;
+ *       failed -> assigned, cancelled.
+ *       Buyurtma holati ham o'zgaradi: out_for_delivery, delivered, failed -> ready.
+ *       Kuryer faqat o'z yetkazishini yo'lga chiqaradi, topshiradi yoki yetkazilmadi deb belgilaydi
+ *     tags: [Deliveries]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, assigned, out_for_delivery, delivered, failed, cancelled]
+ *               note:
+ *                 type: string
+ *                 description: Topshirish tasdig'i izohi (delivered) yoki buyurtma tarixiga izoh
+ *               receivedBy:
+ *                 type: string
+ *                 description: Kim qabul qildi (delivered)
+ *               reason:
+ *                 type: string
+ *                 description: failed, cancelled uchun sabab
+ *     responses:
+ *       200:
+ *         description: Holat o'zgartirildi
+ *       400:
+ *         description: Ruxsat etilmagan o'tish
+ *       403:
+ *         description: Kuryer uchun ruxsat yo'q
+ *       404:
+ *         description: Yetkazish topilmadi
+ */
+
+// Kuryer o'zgartira oladigan holatlar
+const COURIER_STATUSES = ["out_for_delivery", "delivered", "failed"];
+
+// PATCH /deliveries/:id/status - Yetkazish holatini o'zgartirish
+router.patch(
+  "/:id/status",
+  authMiddleware,
+  [
+    body("status")
+      .isIn(DELIVERY_STATUSES)
+      .withMessage(
+        `Holat quyidagilardan biri: ${DELIVERY_STATUSES.join(", ")}`
+      ),
+    body(["note", "receivedBy", "reason"]).optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { status, note, receivedBy, reason } = req.body;
+      if (status === "failed" && !(reason || note)) {
+        throw new HttpError(400, "Yetkazilmaganlik sababi majburiy");
+      }
+
+      const { delivery, orderChange } = await withTransaction(
+        async (session) => {
+          const delivery = await Delivery.findOne({
+            _id: req.params.id,
+            isDeleted: false,
+          }).session(session);
+          if (!delivery || !isOwnDelivery(req, delivery)) {
+            throw new HttpError(404, "Yetkazish topilmadi");
+          }
+          if (
+            req.admin?.role === "courier" &&
+            !COURIER_STATUSES.includes(status)
+          ) {
+            throw new HttpError(403, "Kuryer uchun ruxsat yo'q");
+          }
+
+          const orderChange = await applyDeliveryStatus(
+            delivery,
+            status,
+            { changedBy: req.admin?._id, note, receivedBy, reason },
+            session
+          );
+          return { delivery, orderChange };
+        }
+      );
+
+      const io = req.app.get("io");
+      if (io && orderChange) {
+        emitOrderStatusChanged(io, orderChange.order, orderChange.transition);
+      }
+
+      await delivery.populate(deliveryPopulate);
+      res.json(delivery);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
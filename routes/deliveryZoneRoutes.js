@@ -0,0 +1,323 @@
+const express = require("express");
+const router = express.Router();
+const DeliveryZone = require("../models/deliveryZones/deliveryZone.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, query, validationResult } = require("express-validator");
+const { findZone } = require("../services/deliveryZoneService");
+
+/**
+ * @swagger
+ * tags:
+ *   name: DeliveryZones
+ *   description: Yetkazish hududlari (ko'pburchak, narx, minimal buyurtma)
+ */
+
+// Delivery zone validation
+const zoneValidation = [
+  body("name").trim().notEmpty().withMessage("Nomi majburiy"),
+  body("polygon")
+    .isArray({ min: 3 })
+    .withMessage("polygon kamida 3 ta nuqtadan iborat massiv bo'lishi kerak"),
+  body("polygon.*.lat")
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Noto'g'ri kenglik (lat)"),
+  body("polygon.*.lng")
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Noto'g'ri uzunlik (lng)"),
+  body(["fee", "minOrderAmount"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Summa musbat son bo'lishi kerak"),
+  body("isActive").optional().isBoolean(),
+  body("notes").optional().trim(),
+];
+
+/**
+ * @swagger
+ * /api/delivery-zones:
+ *   post:
+ *     summary: Yetkazish hududi qo'shish
+ *     tags: [DeliveryZones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZoneInput'
+ *     responses:
+ *       201:
+ *         description: Hudud yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *   get:
+ *     summary: Yetkazish hududlari
+ *     tags: [DeliveryZones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Hududlar ro'yxati
+ *
+ * components:
+ *   schemas:
+ *     DeliveryZoneInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - polygon
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Chilonzor"
+ *         polygon:
+ *           type: array
+ *           description: Ko'pburchak uchlari tartib bilan (kamida 3 ta)
+ *           items:
+ *             type: object
+ *             properties:
+ *               lat:
+ *                 type: number
+ *                 example: 41.2856
+ *               lng:
+ *                 type: number
+ *                 example: 69.2034
+ *         fee:
+ *           type: number
+ *           description: Yetkazish narxi
+ *         minOrderAmount:
+ *           type: number
+ *           description: Minimal buyurtma summasi (yetkazish narxisiz)
+ *         isActive:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ */
+
+// POST /delivery-zones - Hudud qo'shish
+router.post("/", authMiddleware, zoneValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = new DeliveryZone({
+      ...req.body,
+      createdBy: req.admin?._id,
+    });
+    await zone.save();
+    res.status(201).json(zone);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /delivery-zones - Hududlar ro'yxati
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({ isDeleted: false }).sort({
+      fee: 1,
+    });
+    res.json(zones);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/delivery-zones/check:
+ *   get:
+ *     summary: Nuqta qaysi hududga tushadi
+ *     tags: [DeliveryZones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Hudud (fee, minOrderAmount bilan)
+ *       404:
+ *         description: Nuqta yetkazish hududlaridan tashqarida
+ */
+
+// GET /delivery-zones/check - Nuqta bo'yicha hudud
+router.get(
+  "/check",
+  authMiddleware,
+  [
+    query("lat")
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Noto'g'ri kenglik (lat)"),
+    query("lng")
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Noto'g'ri uzunlik (lng)"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const zone = await findZone({
+        lat: Number(req.query.lat),
+        lng: Number(req.query.lng),
+      });
+      if (!zone) {
+        return res
+          .status(404)
+          .json({ message: "Manzil yetkazish hududlaridan tashqarida" });
+      }
+      res.json(zone);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/delivery-zones/{id}:
+ *   get:
+ *     summary: Yetkazish hududi
+ *     tags: [DeliveryZones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hudud topildi
+ *       404:
+ *         description: Hudud topilmadi
+ *   patch:
+ *     summary: Hududni yangilash
+ *     description: Yangi narx faqat keyingi buyurtmalarga qo'llanadi
+ *     tags: [DeliveryZones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZoneInput'
+ *     responses:
+ *       200:
+ *         description: Hudud yangilandi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Hudud topilmadi
+ *   delete:
+ *     summary: Hududni o'chirish (soft delete)
+ *     tags: [DeliveryZones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hudud o'chirildi
+ *       404:
+ *         description: Hudud topilmadi
+ */
+
+// GET /delivery-zones/:id - Hudud
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!zone) {
+      return res.status(404).json({ message: "Hudud topilmadi" });
+    }
+    res.json(zone);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /delivery-zones/:id - Hududni yangilash
+router.patch("/:id", authMiddleware, zoneValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!zone) {
+      return res.status(404).json({ message: "Hudud topilmadi" });
+    }
+
+    const allowedFields = [
+      "name",
+      "polygon",
+      "fee",
+      "minOrderAmount",
+      "isActive",
+      "notes",
+    ];
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) zone[field] = req.body[field];
+    }
+
+    await zone.save();
+    res.json(zone);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE /delivery-zones/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!zone) {
+      return res.status(404).json({ message: "Hudud topilmadi" });
+    }
+
+    zone.isDeleted = true;
+    zone.deletedAt = new Date();
+    await zone.save();
+    res.json({ message: "Hudud o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,181 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Order = require("../models/orders/order.model");
 const Transaction = require("../models/transactions/transaction.model");
-const Debtor = require("../models/debtors/debtor.model");
-const Client = require("../models/clients/client.model");
 const Product = require("../models/products/product.model");
+const Category = require("../models/categories/category.model");
+const OrderReturn = require("../models/orderReturns/orderReturn.model");
+const WriteOff = require("../models/writeOffs/writeOff.model");
 const { body, validationResult } = require("express-validator");
 const clientModel = require("../models/clients/client.model");
-const TelegramBot = require("node-telegram-bot-api");
-const TELEGRAM_TOKEN = "8178295781:AAHsA6ZRWFrYhXItqb1iPHskoJGweMoqk_I";
-const TELEGRAM_CHAT_ID = "-1002798343078"; // o'zingizning chat_id yoki group_id
-const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: false });
-const { emitNewOrder, emitOrderUpdate } = require("../utils/socketEvents");
+const {
+  emitOrderUpdate,
+  emitOrderStatusChanged,
+} = require("../utils/socketEvents");
+const optionalAuthMiddleware = require("../middleware/optionalAuthMiddleware");
+const {
+  ORDER_STATUSES,
+  HANDED_OVER_STATUSES,
+  canTransition,
+  isStockOut,
+  isHandedOver,
+  recordStatusChange,
+} = require("../utils/orderStatus");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const { putStock } = require("../services/stockService");
+const {
+  countedOrderDebt,
+  orderPaymentType,
+  changeClientDebt,
+} = require("../services/debtService");
+const { UNIT_CODES, normalizeUnit, roundQuantity } = require("../utils/units");
+const { resolveDeliveryFee } = require("../services/deliveryZoneService");
+const {
+  releaseReservation,
+  applyReservation,
+} = require("../services/reservationService");
+const { tashkentDayRange } = require("../utils/tashkentTime");
+const {
+  PAYMENT_METHODS,
+  TOTAL_TOLERANCE,
+  getPriceWarnings,
+  calculateProfit,
+  deductStock,
+  restoreStock,
+  sumDiscount,
+  sumProfit,
+  computeTotals,
+  reconcileTotals,
+  resolveOrderDelivery,
+  assertEditableAfterReturns,
+  recordOrderPayments,
+  resolveCar,
+  createOrder,
+  announceNewOrder,
+} = require("../services/orderService");
+
+// Qatordan qaytarilgan miqdorni ayirish: chegirma proporsional kamayadi, foyda qayta hisoblanadi.
+// Qaytarilgan summa computeTotals yaxlitlashi bilan bir xil: qatorning oldingi va yangi summasi farqi
+const reduceOrderLine = (orderProduct, quantity, unit) => {
+  const oldQuantity = orderProduct.quantity;
+  const oldTotal =
+    Math.round(orderProduct.price * oldQuantity) - (orderProduct.discount || 0);
+  const oldProfit = orderProduct.profit || 0;
+  const newQuantity = roundQuantity(oldQuantity - quantity, unit);
+  const ratio = oldQuantity ? newQuantity / oldQuantity : 0;
+
+  orderProduct.quantity = newQuantity;
+  orderProduct.returnedQuantity = roundQuantity(
+    (orderProduct.returnedQuantity || 0) + quantity,
+    unit
+  );
+  orderProduct.discount = Math.round((orderProduct.discount || 0) * ratio);
+  if (orderProduct.saleQuantity) {
+    orderProduct.saleQuantity = roundQuantity(
+      orderProduct.saleQuantity * ratio,
+      orderProduct.saleUnit
+    );
+  }
+  orderProduct.profit =
+    (orderProduct.price - orderProduct.costPrice) * newQuantity -
+    orderProduct.discount;
+
+  const newTotal =
+    Math.round(orderProduct.price * newQuantity) - orderProduct.discount;
+  return {
+    amount: oldTotal - newTotal,
+    profit: oldProfit - orderProduct.profit,
+  };
+};
+
+// Qator partiyalaridan qaytarilgan miqdorni ajratish (receiveLots kabi boshidan)
+const takeLineLots = (orderProduct, quantity, unit) => {
+  const taken = [];
+  let left = quantity;
+  for (const allocation of orderProduct.lots) {
+    if (left <= 0) break;
+    const take = Math.min(allocation.quantity, left);
+    allocation.quantity = roundQuantity(allocation.quantity - take, unit);
+    left -= take;
+    taken.push({ lot: allocation.lot, quantity: take });
+  }
+  orderProduct.lots = orderProduct.lots.filter(
+    (allocation) => allocation.quantity > 0
+  );
+  return taken;
+};
+
+// Buzilgan holda qaytgan mahsulot: omborga kirmaydi (sotuvda chiqib ketgan), tannarxi zarar sifatida yoziladi
+const writeOffReturned = async (line, quantity, lots, meta, session) => {
+  const writeOff = new WriteOff({
+    product: line.product,
+    quantity,
+    reason: "spoilage",
+    unitCost: line.costPrice,
+    totalCost: line.costPrice * quantity,
+    lots,
+    order: meta.order,
+    notes: `Qaytarilgan buyurtma #${meta.order}`,
+    createdBy: meta.createdBy || null,
+  });
+  await writeOff.save({ session });
+
+  await Transaction.create(
+    [
+      {
+        type: "write-off",
+        amount: writeOff.totalCost,
+        paymentType: "none",
+        description: `Hisobdan chiqarish - ${meta.productName} ${quantity} ${
+          meta.unit || ""
+        } (qaytarish)`,
+        relatedModel: "WriteOff",
+        relatedId: writeOff._id,
+        createdBy: meta.createdBy || null,
+      },
+    ],
+    { session }
+  );
+  return writeOff._id;
+};
+
+// Qaytariladigan pulni kassa to'lovlaridan ayirish: avval tanlangan usul, keyin boshqalari.
+// Onlayn to'lovlar bu yerda qaytarilmaydi
+const takeRefunds = (order, amount, preferredMethod) => {
+  const refunds = [];
+  let left = amount;
+  const payments = order.payments
+    .filter((payment) => PAYMENT_METHODS.includes(payment.method))
+    .sort(
+      (a, b) => (b.method === preferredMethod) - (a.method === preferredMethod)
+    );
+  for (const payment of payments) {
+    if (left <= 0) break;
+    const take = Math.min(payment.amount, left);
+    payment.amount -= take;
+    left -= take;
+    const refund = refunds.find((r) => r.method === payment.method);
+    if (refund) refund.amount += take;
+    else refunds.push({ method: payment.method, amount: take });
+  }
+  order.payments = order.payments.filter((payment) => payment.amount > 0);
+  return { refunds, left };
+};
+
+// PATCH /orders/:id da body'dan to'g'ridan-to'g'ri yoziladigan maydonlar
+const ORDER_EDITABLE_FIELDS = [
+  "client",
+  "notes",
+  "date_returned",
+  "car",
+  "km",
+  "scheduledFor",
+];
 
-// Order validation
-const orderValidation = [
+// Buyurtma qatorlari va to'lovlar validation (buyurtma va hisob-kitob uchun umumiy).
+// products massivining o'zi alohida: tahrirlashda berilmasa mavjud qatorlar saqlanadi
+const orderLineFieldsValidation = [
   body("client")
     .optional({
       nullable: true,
@@ -22,21 +183,63 @@ const orderValidation = [
     .isMongoId()
     .withMessage("Неверный ID клиента"),
   // branch validation removed
-  body("products").isArray().withMessage("Продукты должны быть массивом"),
   body("products.*.product").isMongoId().withMessage("Неверный ID продукта"),
   body("products.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Количество должно быть положительным числом"),
+  body("products.*.unit")
+    .optional()
+    .custom((value) => {
+      if (!normalizeUnit(value)) {
+        throw new Error(`Единица измерения: ${UNIT_CODES.join(", ")}`);
+      }
+      return true;
+    }),
+  body("products.*.price")
+    .optional({ nullable: true })
     .isNumeric()
-    .withMessage("Количество должно быть числом"),
-  body("products.*.price").isNumeric().withMessage("Цена должна быть числом"),
+    .withMessage("Цена должна быть числом"),
+  // Summalar ixtiyoriy: berilsa server hisobi bilan solishtiriladi
   body("totalAmount")
+    .optional({ nullable: true })
     .isNumeric()
     .withMessage("totalAmount должен быть числом"),
   body("paidAmount")
+    .optional({ nullable: true })
     .isNumeric()
     .withMessage("paidAmount должен быть числом"),
   body("debtAmount")
+    .optional({ nullable: true })
     .isNumeric()
     .withMessage("debtAmount должен быть числом"),
+  // payments berilsa paymentType hisoblanadi (cash, card, mixed yoki debt)
+  body("paymentType")
+    .optional()
+    .isIn(["cash", "card", "debt", "mixed"])
+    .withMessage("Неверный метод оплаты"),
+  body("payments")
+    .optional()
+    .isArray()
+    .withMessage("payments должен быть массивом"),
+  body("payments.*.method")
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Метод оплаты: ${PAYMENT_METHODS.join(", ")}`),
+  body("payments.*.amount")
+    .isFloat({ min: 0 })
+    .withMessage("Сумма оплаты должна быть положительным числом"),
+  body("address")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Неверный ID адреса клиента"),
+];
+
+const orderLinesValidation = [
+  body("products").isArray().withMessage("Продукты должны быть массивом"),
+  ...orderLineFieldsValidation,
+];
+
+// Buyurtma maydonlari (qatorlardan tashqari)
+const orderDetailsValidation = [
   body("profitAmount")
     .optional()
     .isNumeric()
@@ -45,14 +248,32 @@ const orderValidation = [
     .optional()
     .isNumeric()
     .withMessage("profitAmount должен быть числом"),
-  body("paymentType")
-    .isIn(["cash", "card", "debt"])
-    .withMessage("Неверный метод оплаты"),
   body("notes").optional().trim(),
   body("date_returned")
     .optional({ nullable: true })
     .isISO8601()
     .withMessage("Noto'g'ri sana formati"),
+  body("status")
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage("Неверный статус заказа"),
+  body("scheduledFor")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Noto'g'ri sana formati"),
+];
+
+// Order validation
+const orderValidation = [...orderLinesValidation, ...orderDetailsValidation];
+
+// PATCH /orders/:id: products ixtiyoriy (faqat izoh yoki holat o'zgarishi mumkin)
+const orderUpdateValidation = [
+  body("products")
+    .optional()
+    .isArray()
+    .withMessage("Продукты должны быть массивом"),
+  ...orderLineFieldsValidation,
+  ...orderDetailsValidation,
 ];
 
 /**
@@ -88,17 +309,45 @@ const orderValidation = [
  *                       type: string
  *                     quantity:
  *                       type: number
+ *                       description: unit birligidagi miqdor
+ *                     unit:
+ *                       type: string
+ *                       enum: [kg, g, piece, pack]
+ *                       description: Sotuv birligi (berilmasa mahsulot saleUnit yoki ombor birligi). Miqdor ombor birligiga o'tkaziladi
  *                     price:
  *                       type: number
+ *                       description: unit birligi uchun narx (berilmasa mijoz narxlar ro'yxatidan olinadi)
  *               totalAmount:
  *                 type: number
+ *                 description: Ixtiyoriy. Berilsa qatorlar bo'yicha server hisobi bilan solishtiriladi (1 so'mgacha farq)
  *               paidAmount:
  *                 type: number
+ *                 description: Ixtiyoriy. Berilmasa totalAmount - debtAmount
  *               debtAmount:
  *                 type: number
+ *                 description: Ixtiyoriy. Berilmasa totalAmount - paidAmount; paidAmount + debtAmount = totalAmount
  *               paymentType:
  *                 type: string
- *                 enum: [cash, card, debt]
+ *                 enum: [cash, card, debt, mixed]
+ *                 description: payments berilsa hisoblanadi (qarz qolsa debt, bir nechta usul bo'lsa mixed)
+ *               payments:
+ *                 type: array
+ *                 description: Bo'lingan to'lov. Yig'indisi paidAmount, qolgani qarz (debtAmount)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card]
+ *                     amount:
+ *                       type: number
+ *               address:
+ *                 type: string
+ *                 description: Mijozning saqlangan manzili ID si (client.addresses). Yetkazish narxi hudud bo'yicha totalAmount ga qo'shiladi, minimal summa tekshiriladi
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Oldindan buyurtma - olib ketish/yetkazish sanasi. Mahsulotlar shu kungacha band qilinadi (Product.reservedQuantity), to'lov zaklad sifatida yoziladi, qoldiq shu kuni to'lanadi
  *               notes:
  *                 type: string
  *               date_returned:
@@ -137,6 +386,16 @@ const orderValidation = [
  *           type: string
  *           format: date
  *         description: Конечная дата
+ *       - in: query
+ *         name: preOrder
+ *         schema:
+ *           type: boolean
+ *         description: true - только предзаказы (scheduledFor)
+ *       - in: query
+ *         name: standingOrder
+ *         schema:
+ *           type: string
+ *         description: ID постоянного заказа - созданные по нему заказы
  *     responses:
  *       200:
  *         description: Список заказов
@@ -164,6 +423,7 @@ const orderValidation = [
  *         description: Заказ не найден
  *   patch:
  *     summary: Обновить заказ по ID
+ *     description: products berilmasa mavjud qatorlar saqlanadi. Qaytarish bo'lgan buyurtmada products va to'lovlar (payments, paidAmount, debtAmount) o'zgartirilmaydi
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -190,17 +450,45 @@ const orderValidation = [
  *                       type: string
  *                     quantity:
  *                       type: number
+ *                       description: unit birligidagi miqdor
+ *                     unit:
+ *                       type: string
+ *                       enum: [kg, g, piece, pack]
+ *                       description: Sotuv birligi (berilmasa mahsulot saleUnit yoki ombor birligi). Miqdor ombor birligiga o'tkaziladi
  *                     price:
  *                       type: number
+ *                       description: unit birligi uchun narx (berilmasa mijoz narxlar ro'yxatidan olinadi)
  *               totalAmount:
  *                 type: number
+ *                 description: Ixtiyoriy. Berilsa qatorlar bo'yicha server hisobi bilan solishtiriladi (1 so'mgacha farq)
  *               paidAmount:
  *                 type: number
+ *                 description: Ixtiyoriy. Berilmasa totalAmount - debtAmount
  *               debtAmount:
  *                 type: number
+ *                 description: Ixtiyoriy. Berilmasa totalAmount - paidAmount; paidAmount + debtAmount = totalAmount
  *               paymentType:
  *                 type: string
- *                 enum: [cash, card, debt]
+ *                 enum: [cash, card, debt, mixed]
+ *                 description: payments berilsa hisoblanadi (qarz qolsa debt, bir nechta usul bo'lsa mixed)
+ *               payments:
+ *                 type: array
+ *                 description: Kassa to'lovlari. Onlayn to'lovlar (payme, click) saqlanib qo'shiladi
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card]
+ *                     amount:
+ *                       type: number
+ *               address:
+ *                 type: string
+ *                 description: Mijozning saqlangan manzili ID si (client.addresses). Yetkazish narxi hudud bo'yicha totalAmount ga qo'shiladi, minimal summa tekshiriladi
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Oldindan buyurtma - olib ketish/yetkazish sanasi. Mahsulotlar shu kungacha band qilinadi (Product.reservedQuantity), to'lov zaklad sifatida yoziladi, qoldiq shu kuni to'lanadi
  *               notes:
  *                 type: string
  *               date_returned:
@@ -208,9 +496,13 @@ const orderValidation = [
  *                 format: date
  *               status:
  *                 type: string
+ *                 enum: [pending, new, confirmed, packing, ready, out_for_delivery, delivered, completed, cancelled]
+ *                 description: Faqat ruxsat etilgan o'tishlar (PATCH /api/orders/{id}/status ga qarang)
  *     responses:
  *       200:
  *         description: Заказ обновлен
+ *       400:
+ *         description: Ошибка валидации или заказ с возвратом
  *       404:
  *         description: Заказ не найден
  *   delete:
@@ -237,6 +529,18 @@ const orderValidation = [
  * /api/orders/{id}/status:
  *   patch:
  *     summary: Изменить статус заказа
+ *     description: |
+ *       Ruxsat etilgan o'tishlar:
+ *       pending, new -> confirmed, packing, completed, cancelled;
+ *       confirmed -> packing, cancelled;
+ *       packing -> ready, confirmed, cancelled;
+ *       ready -> out_for_delivery, completed, cancelled;
+ *       out_for_delivery -> delivered, ready, cancelled;
+ *       delivered -> completed, cancelled;
+ *       completed -> pending, cancelled;
+ *       cancelled -> pending, new, completed.
+ *       Mahsulot packing dan boshlab ombordan chiqadi, qarz delivered/completed da yoziladi.
+ *       Har bir o'tish statusHistory ga yoziladi va Socket.IO "order_status_changed" yuboriladi
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -256,10 +560,15 @@ const orderValidation = [
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, completed, cancelled]
+ *                 enum: [pending, new, confirmed, packing, ready, out_for_delivery, delivered, completed, cancelled]
+ *               note:
+ *                 type: string
+ *                 description: Tarixga yoziladigan izoh
  *     responses:
  *       200:
  *         description: Статус обновлен
+ *       400:
+ *         description: Недопустимый переход статуса
  *       404:
  *         description: Заказ не найден
  */
@@ -290,203 +599,131 @@ const orderValidation = [
  *         description: Статистика по заказам
  */
 
-// POST /orders
-router.post("/", orderValidation, async (req, res) => {
+/**
+ * @swagger
+ * /api/orders/quote:
+ *   post:
+ *     summary: Рассчитать заказ без сохранения
+ *     description: Qatorlar ombor birligiga o'tkaziladi, narxlar ro'yxati va aksiyalar qo'llanadi, summalar POST /api/orders bilan bir xil hisoblanadi
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               client:
+ *                 type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     unit:
+ *                       type: string
+ *                       enum: [kg, g, piece, pack]
+ *                     price:
+ *                       type: number
+ *               totalAmount:
+ *                 type: number
+ *               paidAmount:
+ *                 type: number
+ *               debtAmount:
+ *                 type: number
+ *               paymentType:
+ *                 type: string
+ *                 enum: [cash, card, debt, mixed]
+ *                 description: payments berilsa hisoblanadi (qarz qolsa debt, bir nechta usul bo'lsa mixed)
+ *               address:
+ *                 type: string
+ *                 description: Mijozning saqlangan manzili ID si (client.addresses). Yetkazish narxi hudud bo'yicha totalAmount ga qo'shiladi, minimal summa tekshiriladi
+ *               payments:
+ *                 type: array
+ *                 description: Bo'lingan to'lov. Yig'indisi paidAmount, qolgani qarz (debtAmount)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [cash, card]
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: "{ lines, subtotal, discountAmount, deliveryFee, deliveryAddress, deliveryZone, totalAmount, paidAmount, debtAmount, errors, valid, priceWarnings }"
+ *       400:
+ *         description: Ошибка валидации
+ *       404:
+ *         description: Продукт не найден
+ */
+
+// POST /orders/quote - Buyurtmani saqlamasdan hisoblash
+router.post("/quote", orderLinesValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty())
       return res.status(400).json({ errors: errors.array() });
-    const {
-      totalAmount,
-      paidAmount = 0,
-      debtAmount = 0,
-      paymentType,
-      date_returned,
-      client: clientId,
-      products,
-      status = "pending",
-      km = 0,
-    } = req.body;
-    const client = await clientModel.findById(clientId);
-
-    // Har bir mahsulot uchun foyda hisobini qo'shamiz
-    let profitAmount = 0;
-    for (let orderProduct of products) {
-      const product = await Product.findById(orderProduct.product);
-      if (!product) {
-        return res.status(404).json({
-          message: `Продукт с ID ${orderProduct.product} не найден`,
-        });
-      }
-
-      // costPrice va profit hisobini qo'shamiz
-      orderProduct.costPrice = product.costPrice;
-      orderProduct.profit =
-        (orderProduct.price - product.costPrice) * orderProduct.quantity;
-
-      // Umumiy foyda hisobini qo'shamiz
-      profitAmount += orderProduct.profit;
-    }
-    const currentDate = new Date();
-    const startOfDay = new Date(currentDate);
-    startOfDay.setHours(0, 0, 0, 0);
-
-    const dailyQuery = {
-      isDeleted: false,
-      createdAt: { $gte: startOfDay, $lte: currentDate },
-    };
-    if (clientId) dailyQuery.client = clientId;
-    const index = await Order.countDocuments(dailyQuery);
-
-    // Product quantityni faqat "completed" statusda kamaytirish
-    if (status === "completed") {
-      for (const orderProduct of products) {
-        const product = await Product.findById(orderProduct.product);
-        if (product.quantity < orderProduct.quantity) {
-          return res.status(400).json({
-            message: `Недостаточно товара ${product.name}. Доступно: ${product.quantity}, запрошено: ${orderProduct.quantity}`,
-          });
-        }
-        product.quantity -= orderProduct.quantity;
-        await product.save();
-      }
-    }
-
-    // Создаем заказ с правильным carObject
-    const order = new Order({
-      client: clientId,
-      products,
-      totalAmount,
-      paidAmount,
-      debtAmount,
-      profitAmount,
-      paymentType,
-      date_returned,
-      notes: req.body.notes,
-      status,
-      car: carObject, // Сохраняем объект машины, а не ID
-      km,
-    });
 
-    await order.save();
-
-    // Populate products.product after saving
-    await order.populate([
-      { path: "products.product" },
-      { path: "client" },
-    ]);
+    const { client: clientId, products, address } = req.body;
+    await calculateProfit(products, null, { clientId });
 
-    // Transaction yaratish
-    try {
-      await Transaction.create({
-        type: "order",
-        amount: paidAmount,
-        paymentType: paymentType === "debt" ? "debt" : paymentType,
-        description: `Order #${order._id} - ${products.length} mahsulot`,
-        relatedModel: "Order",
-        relatedId: order._id,
-        client: clientId || null,
-        createdBy: req.user?.id || null,
-      });
-    } catch (transactionError) {
-      console.error(
-        "Transaction yaratishda xatolik:",
-        transactionError.message
-      );
-    }
-
-    // Telegramga xabar yuborish
-    const statusName = {
-      pending: "Kutilmoqda",
-      completed: "Yakunlandi",
-      cancelled: "Bekor qilindi",
+    // Manzil hududdan tashqarida yoki summa kam bo'lsa - xato ro'yxatiga
+    let delivery = {
+      deliveryAddress: null,
+      deliveryZone: null,
+      deliveryFee: 0,
     };
+    let deliveryError = null;
     try {
-      let msg = `🆕 Yangi buyurtma!\n`;
-      msg += `Mijoz: ${client?.fullName || "Noma'lum"}\n`;
-      msg += `Status: ${statusName[status]}\n`;
-      msg += `Umumiy summa: ${totalAmount.toLocaleString()} UZS\n`;
-      msg += `Foyda: ${profitAmount?.toLocaleString() || 0} UZS\n`;
-      msg += `Mahsulotlar:\n`;
-      for (const p of products) {
-        const prod = await Product.findById(p.product);
-        msg += `- ${prod?.name || p.product} x ${p.quantity} ${prod.unit} (${
-          p.price.toLocaleString()
-        } UZS) - Foyda: ${p.profit?.toLocaleString() || 0} UZS\n`;
-      }
-      await bot.sendMessage(TELEGRAM_CHAT_ID, msg);
-    } catch (err) {
-      console.error("Telegramga xabar yuborilmadi:", err.message);
+      const client = clientId ? await clientModel.findById(clientId) : null;
+      delivery = await resolveOrderDelivery(client, address, products, null);
+    } catch (error) {
+      if (!error.status) throw error;
+      deliveryError = error.message;
     }
+    const totals = reconcileTotals(products, req.body, delivery.deliveryFee);
+    if (deliveryError) totals.errors.push(deliveryError);
 
-    // Qarzdorlikni faqat "completed" statusda mijozga qo'shish
-    const debtTotal = debtAmount || 0;
-    if (paymentType === "debt" && debtTotal > 0) {
-      if (!date_returned) {
-        return res.status(400).json({
-          message: "Qarz buyurtmalar uchun 'date_returned' majburiy.",
-        });
-      }
-
-      // Debtor record (har doim yoziladi, lekin mijozga debt faqat completed bo'lsa)
-
-      if (clientId) {
-        let existingDebtor = await Debtor.findOne({
-          client: clientId,
-          status: { $ne: "paid" },
-        });
-
-        if (existingDebtor) {
-          existingDebtor.totalDebt = (existingDebtor.totalDebt || 0) + debtAmount;
-          existingDebtor.remainingDebt = (existingDebtor.remainingDebt || 0) + debtAmount;
-          existingDebtor.description += `\n[+${debtAmount} UZS] Yangi buyurtma`;
-          if (
-            new Date(date_returned) > new Date(existingDebtor.date_returned)
-          ) {
-            existingDebtor.date_returned = date_returned;
-          }
-          await existingDebtor.save();
-        } else {
-          const newDebtor = new Debtor({
-            client: clientId,
-            order: order._id,
-            totalDebt: debtAmount,
-            paidAmount: 0,
-            remainingDebt: debtAmount,
-            description: req.body.notes || "",
-            date_returned,
-            status: "pending",
-          });
-          await newDebtor.save();
-        }
+    res.json({
+      ...totals,
+      deliveryAddress: delivery.deliveryAddress,
+      deliveryZone: delivery.deliveryZone,
+      valid: totals.errors.length === 0,
+      priceWarnings: getPriceWarnings(products),
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
 
-        // Client.debt faqat completed bo'lsa
-        if (status === "completed") {
-          await Client.findByIdAndUpdate(clientId, {
-            $inc: {
-              debt: debtAmount || 0,
-            },
-          });
-        }
-      }
-    }
+// POST /orders
+router.post("/", optionalAuthMiddleware, orderValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty())
+      return res.status(400).json({ errors: errors.array() });
 
-    // Отправить Socket.IO событие о новом заказе
-    const io = req.app.get("io");
-    if (io) {
-      // Создаем объект заказа с индексом для отправки
-      const orderWithIndex = {
-        ...order.toObject(),
-        index,
-        car: carObject, // Используем уже сформированный carObject
-      };
+    // Ombor, buyurtma, tranzaksiya va qarzdorlik bitta tranzaksiyada yoziladi
+    const created = await withTransaction((session) =>
+      createOrder(req.body, { adminId: req.admin?._id }, session)
+    );
 
-      emitNewOrder(io, orderWithIndex);
-    }
+    await announceNewOrder(created, { io: req.app.get("io") });
 
-    res.status(201).json(order);
+    // Ro'yxat narxidan arzon sotilgan qatorlar haqida kassirga ogohlantirish
+    res.status(201).json({
+      ...created.order.toObject(),
+      priceWarnings: getPriceWarnings(created.order.products),
+    });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
@@ -501,9 +738,13 @@ router.get("/", async (req, res) => {
       page = 1,
       limit = 10,
       km,
+      preOrder,
+      standingOrder,
     } = req.query;
     let query = { isDeleted: false };
     if (client) query.client = client;
+    if (preOrder === "true") query.scheduledFor = { $ne: null };
+    if (standingOrder) query.standingOrder = standingOrder;
     if (date_returned) query.date_returned = date_returned;
     if (startDate || endDate) {
       query.createdAt = {};
@@ -583,43 +824,262 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/bestselling:
+ *   get:
+ *     summary: Eng ko'p sotilgan mahsulotlar yoki kategoriya/hayvon/qism bo'yicha sotuvlar
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product, category, animal, cut]
+ *           default: product
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: groupBy=product bo'lsa mahsulotlar (totalSold bilan), aks holda guruhlar (totalSold, revenue, profit, productCount)
+ */
 router.get("/bestselling", async (req, res) => {
   try {
-    const topProducts = await Order.aggregate([
-      { $match: { isDeleted: false, status: "completed" } }, // faqat yakunlangan buyurtmalar
-      { $unwind: "$products" },
-      {
-        $group: {
-          _id: "$products.product",
-          totalSold: { $sum: "$products.quantity" },
+    const { groupBy = "product", startDate, endDate } = req.query;
+
+    // faqat topshirilgan (delivered, completed) buyurtmalar
+    const match = { isDeleted: false, status: { $in: HANDED_OVER_STATUSES } };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    if (groupBy === "product") {
+      const topProducts = await Order.aggregate([
+        { $match: match },
+        { $unwind: "$products" },
+        {
+          $group: {
+            _id: "$products.product",
+            totalSold: { $sum: "$products.quantity" },
+          },
         },
-      },
+        {
+          $lookup: {
+            from: "products",
+            localField: "_id",
+            foreignField: "_id",
+            as: "product",
+          },
+        },
+        { $unwind: "$product" },
+        {
+          $addFields: {
+            product: {
+              $mergeObjects: ["$product", { totalSold: "$totalSold" }],
+            },
+          },
+        },
+        {
+          $replaceRoot: {
+            newRoot: "$product",
+          },
+        },
+        { $sort: { totalSold: -1 } },
+        { $limit: 20 }, // eng ko‘p 20 ta mahsulot
+      ]);
+
+      return res.status(200).json(topProducts);
+    }
+
+    if (!["category", "animal", "cut"].includes(groupBy)) {
+      return res.status(400).json({
+        message: "groupBy: product, category, animal yoki cut bo'lishi kerak",
+      });
+    }
+
+    // Qatorlarni mahsulot atributi bo'yicha guruhlash
+    const groups = await Order.aggregate([
+      { $match: match },
+      { $unwind: "$products" },
       {
         $lookup: {
           from: "products",
-          localField: "_id",
+          localField: "products.product",
           foreignField: "_id",
           as: "product",
         },
       },
       { $unwind: "$product" },
       {
-        $addFields: {
-          product: {
-            $mergeObjects: ["$product", { totalSold: "$totalSold" }],
+        $group: {
+          _id: { $ifNull: [`$product.${groupBy}`, null] },
+          totalSold: { $sum: "$products.quantity" },
+          revenue: {
+            $sum: {
+              $subtract: [
+                { $multiply: ["$products.price", "$products.quantity"] },
+                { $ifNull: ["$products.discount", 0] },
+              ],
+            },
           },
+          profit: { $sum: "$products.profit" },
+          products: { $addToSet: "$product._id" },
         },
       },
       {
-        $replaceRoot: {
-          newRoot: "$product",
+        $project: {
+          _id: 0,
+          key: "$_id",
+          totalSold: 1,
+          revenue: 1,
+          profit: 1,
+          productCount: { $size: "$products" },
         },
       },
-      { $sort: { totalSold: -1 } },
-      { $limit: 20 }, // eng ko‘p 20 ta mahsulot
+      { $sort: { revenue: -1 } },
     ]);
 
-    res.status(200).json(topProducts);
+    // Kategoriya nomlarini qo'shish
+    if (groupBy === "category") {
+      const categories = await Category.find({
+        _id: { $in: groups.map((group) => group.key).filter(Boolean) },
+      }).select("name parent");
+      const categoryMap = new Map(categories.map((c) => [String(c._id), c]));
+      for (const group of groups) {
+        group.category = group.key
+          ? categoryMap.get(String(group.key)) || null
+          : null;
+      }
+    }
+
+    res.status(200).json(groups);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/pre-orders/calendar:
+ *   get:
+ *     summary: Oldindan buyurtmalar kalendari - kun va mahsulot bo'yicha band qilingan miqdor
+ *     description: Faqat band qilingan (hali ombordan chiqmagan, bekor qilinmagan) oldindan buyurtmalar. Kunlar Toshkent vaqti bo'yicha
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Berilmasa bugun
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Kiradi. Berilmasa from dan 30 kun
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "[{ date, products: [{ product, name, unit, reservedQuantity, orders, availableQuantity }] }]"
+ *       400:
+ *         description: Неверный ID продукта или дата
+ */
+router.get("/pre-orders/calendar", async (req, res) => {
+  try {
+    const { from, to, product } = req.query;
+    if (product && !mongoose.isValidObjectId(product)) {
+      return res.status(400).json({ message: "Неверный ID продукта" });
+    }
+    const isBadDate = (date) =>
+      date && Number.isNaN(new Date(`${date}T12:00:00Z`).getTime());
+    if (isBadDate(from) || isBadDate(to)) {
+      return res.status(400).json({ message: "Неверный формат даты" });
+    }
+    const start = tashkentDayRange(
+      from ? new Date(`${from}T12:00:00Z`) : new Date()
+    ).start;
+    const end = to
+      ? tashkentDayRange(new Date(`${to}T12:00:00Z`)).end
+      : new Date(start.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const lineMatch = { "products.quantity": { $gt: 0 } };
+    if (product) {
+      lineMatch["products.product"] = new mongoose.Types.ObjectId(product);
+    }
+
+    const rows = await Order.aggregate([
+      {
+        $match: {
+          isDeleted: false,
+          stockReserved: true,
+          scheduledFor: { $gte: start, $lt: end },
+        },
+      },
+      { $unwind: "$products" },
+      { $match: lineMatch },
+      {
+        $group: {
+          _id: {
+            date: {
+              $dateToString: {
+                format: "%Y-%m-%d",
+                date: "$scheduledFor",
+                timezone: "+05:00",
+              },
+            },
+            product: "$products.product",
+          },
+          reservedQuantity: { $sum: "$products.quantity" },
+          orders: { $addToSet: "$_id" },
+        },
+      },
+      {
+        $lookup: {
+          from: "products",
+          localField: "_id.product",
+          foreignField: "_id",
+          as: "product",
+        },
+      },
+      { $unwind: "$product" },
+      { $sort: { "_id.date": 1, "product.name": 1 } },
+    ]);
+
+    // Kunlar bo'yicha guruhlash
+    const days = new Map();
+    for (const row of rows) {
+      if (!days.has(row._id.date)) {
+        days.set(row._id.date, { date: row._id.date, products: [] });
+      }
+      days.get(row._id.date).products.push({
+        product: row.product._id,
+        name: row.product.name,
+        unit: row.product.unit,
+        reservedQuantity: roundQuantity(row.reservedQuantity, row.product.unit),
+        orders: row.orders.length,
+        // Barcha bronlardan keyin qoladigan joriy qoldiq
+        availableQuantity: roundQuantity(
+          row.product.quantity - (row.product.reservedQuantity || 0),
+          row.product.unit
+        ),
+      });
+    }
+
+    res.json([...days.values()]);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -640,171 +1100,212 @@ router.get("/:id", async (req, res) => {
 });
 
 // PATCH /orders/:id
-router.patch("/:id", orderValidation, async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty())
-      return res.status(400).json({ errors: errors.array() });
-    const order = await Order.findById(req.params.id);
-    if (!order) return res.status(404).json({ message: "Заказ не найден" });
-    const {
-      paidAmount = 0,
-      debtAmount = 0,
-      totalAmount,
-      paymentType,
-      date_returned,
-      products,
-      status,
-      client: clientId,
-      km,
-    } = req.body;
-
-    // Agar products o'zgartirilayotgan bo'lsa, foyda hisobini qayta hisoblaymiz
-    let profitAmount = 0;
-    if (products) {
-      for (let orderProduct of products) {
-        const product = await Product.findById(orderProduct.product);
-        if (!product) {
-          return res.status(404).json({
-            message: `Продукт с ID ${orderProduct.product} не найден`,
-          });
+router.patch(
+  "/:id",
+  optionalAuthMiddleware,
+  orderUpdateValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        return res.status(400).json({ errors: errors.array() });
+      const {
+        paymentType,
+        date_returned,
+        products,
+        status,
+        client: clientId,
+      } = req.body;
+
+      const { order, transition } = await withTransaction(async (session) => {
+        const order = await Order.findById(req.params.id).session(session);
+        if (!order) throw new HttpError(404, "Заказ не найден");
+        assertEditableAfterReturns(order, req.body);
+
+        // Agar products o'zgartirilayotgan bo'lsa, foyda hisobini qayta hisoblaymiz,
+        // aks holda mavjud profitAmount ni saqlaymiz
+        let profitAmount = products
+          ? await calculateProfit(products, session, {
+              clientId: clientId !== undefined ? clientId : order.client,
+              date: order.createdAt,
+            })
+          : order.profitAmount || 0;
+
+        // Summalar qatorlardan qayta hisoblanadi, kassadan kelgani mos kelmasa rad etiladi.
+        // To'lovlar umuman berilmasa buyurtmaning mavjud to'lovlari saqlanadi
+        const paymentInput = {
+          ...req.body,
+          paymentType: paymentType || order.paymentType,
+        };
+        // Onlayn to'lovlar (Payme, Click) kassadan o'zgartirilmaydi va har doim saqlanadi
+        const onlinePayments = order.payments.filter(
+          (payment) => !PAYMENT_METHODS.includes(payment.method)
+        );
+        if (
+          paymentInput.payments === undefined &&
+          paymentInput.paidAmount == null &&
+          paymentInput.debtAmount == null
+        ) {
+          paymentInput.payments = order.payments;
+        } else if (Array.isArray(paymentInput.payments)) {
+          paymentInput.payments = [...paymentInput.payments, ...onlinePayments];
+        } else if (onlinePayments.length) {
+          throw new HttpError(
+            400,
+            "Заказ оплачен онлайн: передайте оплату кассы в payments"
+          );
+        }
+        // Yetkazish narxi manzil yoki mahsulotlar o'zgarganda qayta hisoblanadi
+        let delivery = {
+          deliveryAddress: order.deliveryAddress,
+          deliveryZone: order.deliveryZone,
+          deliveryFee: order.deliveryFee || 0,
+        };
+        if (req.body.address !== undefined) {
+          const deliveryClientId =
+            clientId !== undefined ? clientId : order.client;
+          const deliveryClient = deliveryClientId
+            ? await clientModel.findById(deliveryClientId).session(session)
+            : null;
+          delivery = await resolveOrderDelivery(
+            deliveryClient,
+            req.body.address,
+            products || order.products,
+            session
+          );
+        } else if (products && order.deliveryAddress) {
+          delivery = {
+            deliveryAddress: order.deliveryAddress,
+            ...(await resolveDeliveryFee(
+              order.deliveryAddress,
+              computeTotals(products).totalAmount,
+              session
+            )),
+          };
         }
 
-        // costPrice va profit hisobini qo'shamiz
-        orderProduct.costPrice = product.costPrice;
-        orderProduct.profit =
-          (orderProduct.price - product.costPrice) * orderProduct.quantity;
+        const totals = reconcileTotals(
+          products || order.products,
+          paymentInput,
+          delivery.deliveryFee
+        );
+        if (totals.errors.length) {
+          throw new HttpError(400, totals.errors.join("; "));
+        }
+        const { totalAmount, paidAmount, debtAmount } = totals;
+        const newClientId = clientId !== undefined ? clientId : order.client;
+        if (debtAmount > 0 && !(date_returned || order.date_returned)) {
+          throw new HttpError(
+            400,
+            "Qarz buyurtmalar uchun 'date_returned' majburiy."
+          );
+        }
+        if (debtAmount > 0 && !newClientId) {
+          throw new HttpError(400, "Долг возможен только для клиента");
+        }
 
-        // Umumiy foyda hisobini qo'shamiz
-        profitAmount += orderProduct.profit;
-      }
-    } else {
-      // Agar products o'zgartirilmayotgan bo'lsa, mavjud profitAmount ni saqlaymiz
-      profitAmount = order.profitAmount || 0;
-    }
-    // if (paidAmount + debtAmount !== totalAmount) {
-    //   return res
-    //     .status(400)
-    //     .json({ message: "To'lov balansi noto'g'ri: paid + debt !== total" });
-    // }
-
-    // Eski productlarni qaytarish agar eski status completed bo'lsa
-    if (products && order.status === "completed") {
-      for (const oldProduct of order.products) {
-        const product = await Product.findById(oldProduct.product);
-        if (product) {
-          product.quantity += oldProduct.quantity;
-          await product.save();
+        const statusToApply = status !== undefined ? status : order.status;
+        if (!canTransition(order.status, statusToApply)) {
+          throw new HttpError(
+            400,
+            `Недопустимый переход статуса: ${order.status} -> ${statusToApply}`
+          );
         }
-      }
-    }
-    // Yangi productlarni kamaytirish agar yangi status completed bo'lsa
-    let statusToApply = status !== undefined ? status : order.status;
-    if (statusToApply === "completed") {
-      const newProducts = products || order.products;
-      for (const newProduct of newProducts) {
-        const product = await Product.findById(newProduct.product);
-        if (!product) {
-          return res
-            .status(404)
-            .json({ message: `Продукт с ID ${newProduct.product} не найден` });
+        const wasStockOut = isStockOut(order.status);
+        const willStockOut = isStockOut(statusToApply);
+
+        // Band qilingan miqdor avval bo'shatiladi, saqlashdan oldin yangi qatorlar bilan qayta band qilinadi
+        await releaseReservation(order, session);
+
+        // Eski productlarni qaytarish: mahsulotlar o'zgarsa yoki buyurtma omborga qaytsa
+        const movement = {
+          order: order._id,
+          createdBy: req.admin?._id,
+          description: "Buyurtma tahrirlandi",
+        };
+        if (wasStockOut && (products || !willStockOut)) {
+          await restoreStock(order.products, movement, session);
         }
-        if (product.quantity < newProduct.quantity) {
-          return res.status(400).json({
-            message: `Недостаточно товара ${product.name}. Доступно: ${product.quantity}, запрошено: ${newProduct.quantity}`,
-          });
+        // Yangi productlarni kamaytirish: yangi holatda mahsulot ombordan chiqqan bo'lsa
+        if (willStockOut && (products || !wasStockOut)) {
+          const newProducts = products || order.products;
+          await deductStock(newProducts, movement, session);
+          profitAmount = sumProfit(newProducts);
         }
-        product.quantity -= newProduct.quantity;
-        await product.save();
-      }
-    }
 
-    const oldDebt = order.debtAmount || 0;
-    const newDebt = debtAmount;
-    const oldStatus = order.status;
-    const newStatus = statusToApply;
-
-    // Qarzdorlik o‘zgarishini hisoblash: faqat completed -> completed, completed->pending/cancelled, pending->completed
-    let debtDiff = 0;
-    if (paymentType === "debt") {
-      if (oldStatus !== "completed" && newStatus === "completed") {
-        // pending->completed: debt qo'shish
-        debtDiff = newDebt;
-      } else if (oldStatus === "completed" && newStatus !== "completed") {
-        // completed->pending/cancelled: debt kamaytirish
-        debtDiff = -oldDebt;
-      } else if (oldStatus === "completed" && newStatus === "completed") {
-        // completed edi, completed bo'lib qoldi: farqini hisobla
-        debtDiff = newDebt - oldDebt;
-      }
-    }
+        // Mijoz qarziga faqat topshirilgan buyurtmaning to'lanmagan qoldig'i kiradi
+        const oldDebt = countedOrderDebt(order);
+        const newDebt = isHandedOver(statusToApply) ? debtAmount : 0;
+        const debtMeta = {
+          dueDate: date_returned || order.date_returned,
+          description: `Buyurtma #${order._id} tahrirlandi`,
+        };
+        if (String(newClientId || "") === String(order.client || "")) {
+          await changeClientDebt(
+            order.client,
+            newDebt - oldDebt,
+            session,
+            debtMeta
+          );
+        } else {
+          await changeClientDebt(order.client, -oldDebt, session);
+          await changeClientDebt(newClientId, newDebt, session, debtMeta);
+        }
 
-    // Mijozning qarzini yangilash faqat completed bo'lsa yoki completed'dan chiqsa
-    if (debtDiff !== 0) {
-      const clientDoc = await Client.findById(order.client);
-      if (clientDoc) {
-        clientDoc.debt += debtDiff;
-        await clientDoc.save();
-      }
-    }
+        const oldPayments = order.payments.map(({ method, amount }) => ({
+          method,
+          amount,
+        }));
 
-    // Debtor hujjatini yangilash yoki yaratish (har doim)
-    if (paymentType === "debt" && newDebt > 0) {
-      let debtor = await Debtor.findOne({ order: order._id });
-
-      if (debtor) {
-        debtor.totalDebt = newDebt;
-        debtor.remainingDebt = newDebt - debtor.paidAmount;
-        debtor.description = req.body.notes || "";
-        if (date_returned) debtor.date_returned = date_returned;
-        debtor.status =
-          debtor.remainingDebt <= 0
-            ? "paid"
-            : debtor.paidAmount > 0
-            ? "partial"
-            : "pending";
-        await debtor.save();
-      } else {
-        if (!date_returned) {
-          return res.status(400).json({
-            message: "Qarz buyurtmalar uchun 'date_returned' majburiy.",
-          });
+        // Faqat ruxsat etilgan maydonlar; status o'tish qoidalari orqali, summalar,
+        // to'lovlar, zaklad va band qilish yuqoridagi hisobdan yoziladi
+        for (const field of ORDER_EDITABLE_FIELDS) {
+          if (req.body[field] !== undefined) order[field] = req.body[field];
+        }
+        const transition =
+          statusToApply !== order.status
+            ? recordStatusChange(order, statusToApply, {
+                changedBy: req.admin?._id,
+              })
+            : null;
+        if (products) {
+          order.products = products;
+          order.discountAmount = sumDiscount(products);
         }
+        Object.assign(order, delivery);
+        order.totalAmount = totalAmount;
+        order.paidAmount = paidAmount;
+        order.debtAmount = debtAmount;
+        order.payments = totals.payments;
+        order.paymentType = totals.paymentType;
+        order.profitAmount = profitAmount;
+        await applyReservation(order, session);
+        await order.save({ session });
+        await recordOrderPayments(order, oldPayments, req.admin?._id, session);
+
+        return { order, transition };
+      });
 
-        const newDebtor = new Debtor({
-          client: order.client,
-          order: order._id,
-          totalDebt: newDebt,
-          paidAmount: 0,
-          remainingDebt: newDebt,
-          description: req.body.notes || "",
-          date_returned,
-          status: "pending",
-        });
-        await newDebtor.save();
-      }
-    }
+      const io = req.app.get("io");
+      if (io && transition) emitOrderStatusChanged(io, order, transition);
 
-    Object.assign(order, req.body);
-    if (products) {
-      order.products = products;
+      res.json({
+        ...order.toObject(),
+        priceWarnings: products ? getPriceWarnings(products) : [],
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
     }
-    order.profitAmount = profitAmount;
-    await order.save();
-
-    res.json(order);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
   }
-});
+);
 
 // PATCH /orders/:id/status
 router.patch(
   "/:id/status",
+  optionalAuthMiddleware,
   [
-    body("status")
-      .isIn(["pending", "completed", "cancelled"])
-      .withMessage("Неверный статус заказа"),
+    body("status").isIn(ORDER_STATUSES).withMessage("Неверный статус заказа"),
+    body("note").optional().trim(),
   ],
   async (req, res) => {
     try {
@@ -812,83 +1313,67 @@ router.patch(
       if (!errors.isEmpty())
         return res.status(400).json({ errors: errors.array() });
 
-      const order = await Order.findById(req.params.id).populate("client");
-      if (!order) return res.status(404).json({ message: "Заказ не найден" });
-
-      const oldStatus = order.status;
-      const { status } = req.body;
-
-      // cancelga o'tsa va avval completed bo'lsa product quantityni qaytarish
-      if (status === "cancelled" && oldStatus !== "cancelled") {
-        if (oldStatus === "completed") {
-          for (const orderProduct of order.products) {
-            const product = await Product.findById(orderProduct.product);
-            if (product) {
-              product.quantity += orderProduct.quantity;
-              await product.save();
-            }
-          }
-        }
-      }
-      // completed ga o'tsa product quantityni kamaytirish
-      else if (status === "completed" && oldStatus !== "completed") {
-        for (const orderProduct of order.products) {
-          const product = await Product.findById(orderProduct.product);
-          if (product) {
-            if (product.quantity < orderProduct.quantity) {
-              return res.status(400).json({
-                message: `Недостаточно товара ${product.name}. Доступно: ${product.quantity}, запрошено: ${orderProduct.quantity}`,
-              });
-            }
-            product.quantity -= orderProduct.quantity;
-            await product.save();
-          }
-        }
+      const { status, note } = req.body;
 
-        // Debt faqat completedga o'tganda qo'shiladi
-        if (order.paymentType === "debt" && order.debtAmount > 0) {
-          const clientDoc = await Client.findById(order.client);
-          if (clientDoc) {
-            clientDoc.debt += order.debtAmount;
-            await clientDoc.save();
-          }
-        }
-      }
-      // canceldan completedga qaytsa ham kamaytirish va debt qo'shish (ya'ni completedga o'tsa har doim)
-      else if (oldStatus === "cancelled" && status === "completed") {
-        for (const orderProduct of order.products) {
-          const product = await Product.findById(orderProduct.product);
-          if (product) {
-            if (product.quantity < orderProduct.quantity) {
-              return res.status(400).json({
-                message: `Недостаточно товара ${product.name}. Доступно: ${product.quantity}, запрошено: ${orderProduct.quantity}`,
-              });
-            }
-            product.quantity -= orderProduct.quantity;
-            await product.save();
-          }
+      const { order, transition } = await withTransaction(async (session) => {
+        const order = await Order.findById(req.params.id)
+          .populate("client")
+          .session(session);
+        if (!order) throw new HttpError(404, "Заказ не найден");
+
+        const oldStatus = order.status;
+        if (oldStatus === status) return { order, transition: null };
+        if (!canTransition(oldStatus, status)) {
+          throw new HttpError(
+            400,
+            `Недопустимый переход статуса: ${oldStatus} -> ${status}`
+          );
         }
-        if (order.paymentType === "debt" && order.debtAmount > 0) {
-          const clientDoc = await Client.findById(order.client);
-          if (clientDoc) {
-            clientDoc.debt += order.debtAmount;
-            await clientDoc.save();
-          }
+
+        const clientId = order.client?._id;
+        const movement = {
+          order: order._id,
+          createdBy: req.admin?._id,
+          description: `Status: ${oldStatus} -> ${status}`,
+        };
+
+        await releaseReservation(order, session);
+
+        // Ombordan chiqqan holatdan qaytsa (cancelled, pending, confirmed) product quantityni qaytarish
+        if (isStockOut(oldStatus) && !isStockOut(status)) {
+          await restoreStock(order.products, movement, session);
         }
-      }
-      // completed dan boshqa statusga o'tsa (pending yoki cancelled) va debt bo'lsa, debtni kamaytirish
-      else if (oldStatus === "completed" && status !== "completed") {
-        if (order.paymentType === "debt" && order.debtAmount > 0) {
-          const clientDoc = await Client.findById(order.client);
-          if (clientDoc) {
-            clientDoc.debt -= order.debtAmount;
-            await clientDoc.save();
-          }
+        // Yig'ish boshlanganda (packing, completed) product quantityni kamaytirish
+        else if (!isStockOut(oldStatus) && isStockOut(status)) {
+          await deductStock(order.products, movement, session);
+          order.profitAmount = sumProfit(order.products);
         }
-      }
 
-      order.status = status;
-      await order.save();
+        // Debt faqat mahsulot topshirilganda (delivered, completed) qo'shiladi, undan chiqsa kamayadi
+        const oldDebt = countedOrderDebt(order);
+        const transition = recordStatusChange(order, status, {
+          changedBy: req.admin?._id,
+          note,
+        });
+        const debtDiff = countedOrderDebt(order) - oldDebt;
+        // Oldindan buyurtma bekor qilinmasdan omborga qaytsa yana band qilinadi
+        await applyReservation(order, session);
+        await changeClientDebt(
+          clientId,
+          debtDiff,
+          session,
+          debtDiff > 0
+            ? {
+                dueDate: order.date_returned,
+                description: `[+${debtDiff} UZS] Buyurtma #${order._id}`,
+              }
+            : {}
+        );
+
+        await order.save();
+
+        return { order, transition };
+      });
 
       // Отправить Socket.IO событие об обновлении заказа
       const io = req.app.get("io");
@@ -905,45 +1390,310 @@ router.patch(
 
         const index = await Order.countDocuments(dailyQuery);
 
-        // Находим машину в массиве cars клиента или используем уже сохраненный объект
-        let carObject = null;
-
-        // Если car уже объект (новая логика), используем его
-        if (order.car && typeof order.car === "object") {
-          carObject = order.car;
-        }
-        // Если car это ID (старая логика), ищем в массиве cars клиента
-        else if (order.client && order.client.cars && order.car) {
-          const foundCar = order.client.cars.find(
-            (car) => car._id.toString() === order.car.toString()
-          );
-          if (foundCar) {
-            carObject = foundCar.toObject ? foundCar.toObject() : foundCar;
-          }
-        }
-
         // Добавляем индекс и объект машины к объекту заказа
         const orderWithIndex = {
           ...order.toObject(),
           index,
-          car: carObject,
+          car: resolveCar(order.car, order.client),
         };
 
         emitOrderUpdate(io, orderWithIndex);
+        if (transition) emitOrderStatusChanged(io, orderWithIndex, transition);
       }
 
       res.json(order);
     } catch (error) {
-      res.status(500).json({ message: error.message });
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/returns:
+ *   post:
+ *     summary: Вернуть позиции заказа
+ *     description: |
+ *       Faqat completed buyurtma. Qaytarilgan miqdor qatordan ayiriladi, chegirma proporsional kamayadi,
+ *       totalAmount va profitAmount qayta hisoblanadi. Summa avval to'lanmagan qoldiqdan (qarzdan) ayiriladi,
+ *       qolgani kassa to'lovlaridan (naqd, karta) manfiy "order" Transaction bilan qaytariladi.
+ *       restock - omborga qaytadi, write-off - buzilgan, hisobdan chiqariladi
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID заказа
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     line:
+ *                       type: string
+ *                       description: ID позиции (products._id)
+ *                     quantity:
+ *                       type: number
+ *                       description: Ombor birligida
+ *                     disposition:
+ *                       type: string
+ *                       enum: [restock, write-off]
+ *                       default: restock
+ *               refundMethod:
+ *                 type: string
+ *                 enum: [cash, card]
+ *                 description: Pul avval shu usul bo'yicha qaytariladi
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Возврат оформлен (OrderReturn + обновленный заказ в order)
+ *       400:
+ *         description: Ошибка валидации
+ *       404:
+ *         description: Заказ или позиция не найдены
+ *   get:
+ *     summary: Возвраты по заказу
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID заказа
+ *     responses:
+ *       200:
+ *         description: Список возвратов
+ */
+
+// Qaytarish validation
+const returnValidation = [
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("Укажите хотя бы одну позицию для возврата"),
+  body("items.*.line").isMongoId().withMessage("Неверный ID позиции заказа"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Количество должно быть больше 0"),
+  body("items.*.disposition")
+    .optional()
+    .isIn(["restock", "write-off"])
+    .withMessage("disposition: restock или write-off"),
+  body("refundMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Метод возврата: ${PAYMENT_METHODS.join(", ")}`),
+  body("reason").optional().trim(),
+];
+
+// POST /orders/:id/returns
+router.post(
+  "/:id/returns",
+  optionalAuthMiddleware,
+  returnValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty())
+        return res.status(400).json({ errors: errors.array() });
+
+      const orderReturn = await withTransaction(async (session) => {
+        const order = await Order.findOne({
+          _id: req.params.id,
+          isDeleted: false,
+        }).session(session);
+        if (!order) throw new HttpError(404, "Заказ не найден");
+        if (!isHandedOver(order.status)) {
+          throw new HttpError(
+            400,
+            "Возврат возможен только для доставленного или выполненного заказа"
+          );
+        }
+
+        const orderReturn = new OrderReturn({
+          order: order._id,
+          client: order.client || null,
+          reason: req.body.reason || "",
+          createdBy: req.admin?._id || null,
+        });
+        const oldDebt = countedOrderDebt(order);
+
+        for (const item of req.body.items) {
+          const line = order.products.id(item.line);
+          if (!line) {
+            throw new HttpError(
+              404,
+              `Позиция ${item.line} не найдена в заказе`
+            );
+          }
+          const product = await Product.findById(line.product).session(session);
+          const quantity = roundQuantity(Number(item.quantity), product?.unit);
+          if (quantity > line.quantity) {
+            throw new HttpError(
+              400,
+              `Можно вернуть не более ${line.quantity} (${
+                product?.name || line.product
+              })`
+            );
+          }
+
+          const lots = takeLineLots(line, quantity, product?.unit);
+          const { amount, profit } = reduceOrderLine(
+            line,
+            quantity,
+            product?.unit
+          );
+          const returnItem = {
+            line: line._id,
+            product: line.product,
+            quantity,
+            amount,
+            profit,
+            costPrice: line.costPrice,
+            disposition: item.disposition || "restock",
+          };
+
+          if (returnItem.disposition === "restock") {
+            await putStock(
+              line.product,
+              quantity,
+              {
+                type: "return",
+                unitCost: line.costPrice,
+                lots,
+                order: order._id,
+                createdBy: req.admin?._id,
+                description: `Qaytarish #${orderReturn._id}`,
+              },
+              session
+            );
+          } else {
+            returnItem.writeOff = await writeOffReturned(
+              line,
+              quantity,
+              lots,
+              {
+                order: order._id,
+                productName: product?.name || line.product,
+                unit: product?.unit,
+                createdBy: req.admin?._id,
+              },
+              session
+            );
+          }
+          orderReturn.items.push(returnItem);
+        }
+
+        // Qaytarilgan summa avval qarzdan, qolgani kassa to'lovlaridan
+        const returnAmount = orderReturn.items.reduce(
+          (sum, item) => sum + item.amount,
+          0
+        );
+        const debtReduction = Math.min(order.debtAmount || 0, returnAmount);
+        const { refunds, left } = takeRefunds(
+          order,
+          returnAmount - debtReduction,
+          req.body.refundMethod
+        );
+        if (left > TOTAL_TOLERANCE) {
+          throw new HttpError(
+            400,
+            `Сумма возврата превышает оплату кассой на ${left}. Онлайн-оплата возвращается через платежную систему`
+          );
+        }
+        const refundAmount = refunds.reduce((sum, r) => sum + r.amount, 0);
+
+        const totals = computeTotals(order.products, order.deliveryFee || 0);
+        order.totalAmount = totals.totalAmount;
+        order.discountAmount = totals.discountAmount;
+        order.debtAmount = (order.debtAmount || 0) - debtReduction;
+        order.paidAmount = (order.paidAmount || 0) - refundAmount;
+        order.returnedAmount = (order.returnedAmount || 0) + returnAmount;
+        order.profitAmount = sumProfit(order.products);
+        order.paymentType = orderPaymentType(order);
+        await order.save({ session });
+
+        await changeClientDebt(
+          order.client,
+          countedOrderDebt(order) - oldDebt,
+          session
+        );
+
+        // Qaytarilgan pul manfiy Transaction: kunlik tushumdan ayiriladi
+        if (refunds.length) {
+          await Transaction.create(
+            refunds.map((refund) => ({
+              type: "order",
+              amount: -refund.amount,
+              paymentType: refund.method,
+              description: `Qaytarish #${orderReturn._id} - Order #${order._id}`,
+              relatedModel: "Order",
+              relatedId: order._id,
+              client: order.client || null,
+              createdBy: req.admin?._id || null,
+            })),
+            { session, ordered: true }
+          );
+        }
+
+        orderReturn.totalAmount = returnAmount;
+        orderReturn.debtReduction = debtReduction;
+        orderReturn.refunds = refunds;
+        orderReturn.profitReduction = orderReturn.items.reduce(
+          (sum, item) => sum + item.profit,
+          0
+        );
+        await orderReturn.save({ session });
+        return orderReturn;
+      });
+
+      const order = await Order.findById(orderReturn.order).populate(
+        "products.product"
+      );
+      res.status(201).json({ ...orderReturn.toObject(), order });
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
     }
   }
 );
 
+// GET /orders/:id/returns
+router.get("/:id/returns", async (req, res) => {
+  try {
+    const returns = await OrderReturn.find({
+      order: req.params.id,
+      isDeleted: false,
+    })
+      .populate("items.product", "name unit")
+      .sort({ createdAt: -1 });
+    res.json(returns);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // GET /orders/stats/summary
 router.get("/stats/summary", async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
-    let match = { status: "completed", isDeleted: false }; // Faqat completed va o'chirilmagan
+    // Faqat topshirilgan (delivered, completed) va o'chirilmagan
+    let match = { status: { $in: HANDED_OVER_STATUSES }, isDeleted: false };
     if (startDate || endDate) {
       match.createdAt = {};
       if (startDate) match.createdAt.$gte = new Date(startDate);
@@ -955,7 +1705,7 @@ router.get("/stats/summary", async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(today.getDate() + 1);
 
-    // Faqat completed orderlar
+    // Faqat topshirilgan orderlar
     const orders = await Order.find(match).populate("products.product");
 
     let totalAmount = 0;
@@ -972,7 +1722,7 @@ router.get("/stats/summary", async (req, res) => {
       totalSales += order.paidAmount || 0;
     }
 
-    // Bugungi savdo (completed orderlar)
+    // Bugungi savdo (topshirilgan orderlar)
     const todayOrders = await Order.find({
       ...match,
       createdAt: { $gte: today, $lt: tomorrow },
@@ -985,7 +1735,7 @@ router.get("/stats/summary", async (req, res) => {
       todayProfit += order.profitAmount || 0;
     }
 
-    // Unikal mahsulotlar soni (faqat completed)
+    // Unikal mahsulotlar soni (faqat topshirilgan)
     const productsCount = await Order.distinct("products.product", match).then(
       (products) => products.length
     );
@@ -1009,38 +1759,41 @@ router.get("/stats/summary", async (req, res) => {
 });
 
 // DELETE /orders/:id (soft delete)
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", optionalAuthMiddleware, async (req, res) => {
   try {
-    const order = await Order.findOne({ _id: req.params.id, isDeleted: false });
-    if (!order) return res.status(404).json({ message: "Заказ не найден" });
-
-    // Agar order completed bo'lsa, product quantityni qaytarish
-    if (order.status === "completed") {
-      for (const orderProduct of order.products) {
-        const product = await Product.findById(orderProduct.product);
-        if (product) {
-          product.quantity += orderProduct.quantity;
-          await product.save();
-        }
+    await withTransaction(async (session) => {
+      const order = await Order.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      }).session(session);
+      if (!order) throw new HttpError(404, "Заказ не найден");
+
+      await releaseReservation(order, session);
+
+      // Agar mahsulot ombordan chiqqan bo'lsa, product quantityni qaytarish
+      if (isStockOut(order.status)) {
+        await restoreStock(
+          order.products,
+          {
+            order: order._id,
+            createdBy: req.admin?._id,
+            description: "Buyurtma o'chirildi",
+          },
+          session
+        );
       }
 
-      // Agar debt bo'lsa, mijozdan debtni kamaytirish
-      if (order.paymentType === "debt" && order.debtAmount) {
-        const clientDoc = await Client.findById(order.client);
-        if (clientDoc) {
-          clientDoc.debt = (clientDoc.debt || 0) - (order.debtAmount || 0);
-          await clientDoc.save();
-        }
-      }
-    }
+      // Agar debt yozilgan bo'lsa, mijozdan debtni kamaytirish
+      await changeClientDebt(order.client, -countedOrderDebt(order), session);
 
-    // Soft delete
-    order.isDeleted = true;
-    await order.save();
+      // Soft delete
+      order.isDeleted = true;
+      await order.save();
+    });
 
     res.json({ message: "Заказ удален" });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.status || 500).json({ message: error.message });
   }
 });
 
@@ -0,0 +1,276 @@
+const express = require("express");
+const router = express.Router();
+const ProviderPayment = require("../models/providerPayments/providerPayment.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const {
+  findTarget,
+  checkPayable,
+} = require("../services/onlinePaymentService");
+const { getProvider, listProviders } = require("../services/paymentProviders");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Onlayn to'lovlar (Payme, Click) - buyurtma qoldig'i va qarz to'lovi
+ */
+
+// Havola yaratish validation
+const checkoutValidation = [
+  body("provider").trim().notEmpty().withMessage("provider majburiy"),
+  body("order")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Noto'g'ri buyurtma ID"),
+  body("debtor")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Noto'g'ri qarzdor ID"),
+  body("amount")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Summa musbat son bo'lishi kerak"),
+];
+
+/**
+ * @swagger
+ * /api/payments/providers:
+ *   get:
+ *     summary: To'lov tizimlari va ularning holati
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: "[{ name, enabled }]"
+ */
+
+// GET /payments/providers - To'lov tizimlari
+router.get("/providers", authMiddleware, (req, res) => {
+  res.json(listProviders());
+});
+
+/**
+ * @swagger
+ * /api/payments/checkout:
+ *   post:
+ *     summary: Mijoz uchun to'lov havolasi
+ *     description: order yoki debtor dan biri beriladi. amount berilmasa to'lanmagan qoldiq to'liq olinadi
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [payme, click, stub]
+ *               order:
+ *                 type: string
+ *                 description: Buyurtma ID (debtAmount to'lanadi)
+ *               debtor:
+ *                 type: string
+ *                 description: Qarzdor ID (currentDebt to'lanadi)
+ *               amount:
+ *                 type: number
+ *                 description: So'mda, qoldiqdan oshmasligi kerak
+ *     responses:
+ *       200:
+ *         description: "{ provider, amount, amountDue, url }"
+ *       400:
+ *         description: Validation xatosi yoki to'lanadigan qoldiq yo'q
+ *       404:
+ *         description: To'lov tizimi, buyurtma yoki qarzdor topilmadi
+ */
+
+// POST /payments/checkout - To'lov havolasi
+router.post(
+  "/checkout",
+  authMiddleware,
+  checkoutValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { order, debtor } = req.body;
+      if (Boolean(order) === Boolean(debtor)) {
+        return res
+          .status(400)
+          .json({ message: "order yoki debtor dan bittasi berilishi kerak" });
+      }
+      const provider = getProvider(req.body.provider);
+      if (!provider) {
+        return res.status(404).json({ message: "To'lov tizimi yoqilmagan" });
+      }
+
+      const account = order
+        ? { relatedModel: "Order", relatedId: order }
+        : { relatedModel: "Debtor", relatedId: debtor };
+      // amount berilmasa to'lanmagan qoldiq to'liq olinadi
+      const { amountDue } = await findTarget(account);
+      const amount = Number(req.body.amount) || amountDue;
+      await checkPayable(account, amount);
+
+      res.json({
+        provider: provider.name,
+        amount,
+        amountDue,
+        url: provider.checkoutUrl(account, amount),
+      });
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/payments:
+ *   get:
+ *     summary: Onlayn to'lov tranzaksiyalari
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [payme, click, stub]
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [created, performed, cancelled]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: debtor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Tranzaksiyalar va pagination
+ */
+
+// GET /payments - Onlayn to'lov tranzaksiyalari
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { provider, state, order, debtor, page = 1, limit = 20 } = req.query;
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit) || 20));
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = { isDeleted: false };
+    if (provider) query.provider = provider;
+    if (state) query.state = state;
+    if (order) {
+      query.relatedModel = "Order";
+      query.relatedId = order;
+    } else if (debtor) {
+      query.relatedModel = "Debtor";
+      query.relatedId = debtor;
+    }
+
+    const [payments, totalCount] = await Promise.all([
+      ProviderPayment.find(query)
+        .populate("client", "fullName phone")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      ProviderPayment.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    res.json({
+      data: payments,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        limit: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+        nextPage: pageNumber < totalPages ? pageNumber + 1 : null,
+        prevPage: pageNumber > 1 ? pageNumber - 1 : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payments/{provider}/callback:
+ *   post:
+ *     summary: To'lov tizimi chaqiradigan merchant API
+ *     description: |
+ *       Token talab qilinmaydi, har bir provayder o'z imzosi bilan tekshiriladi.
+ *       - payme - JSON-RPC (CheckPerformTransaction, CreateTransaction, PerformTransaction,
+ *         CancelTransaction, CheckTransaction, GetStatement), Basic auth "Paycom:PAYME_KEY",
+ *         account - order_id yoki debtor_id, summa tiyinda
+ *       - click - Prepare (action=0) va Complete (action=1), sign_string md5 bilan,
+ *         merchant_trans_id - "order-<id>" yoki "debtor-<id>", summa so'mda
+ *       - stub - sinov uchun (PAYMENT_STUB_ENABLED=true) - { action: check | create | perform | cancel | pay,
+ *         id, order_id | debtor_id, amount }
+ *       To'lov qabul qilinganda buyurtmaga payments qatori qo'shiladi yoki
+ *       POST /api/debtors/{id}/payment bilan bir xil qarz to'lovi yoziladi
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [payme, click, stub]
+ *     responses:
+ *       200:
+ *         description: Provayder protokoli bo'yicha javob (xatolar ham body ichida)
+ *       404:
+ *         description: To'lov tizimi yoqilmagan
+ */
+
+// POST /payments/:provider/callback - Merchant API (Click form-urlencoded yuboradi)
+router.post(
+  "/:provider/callback",
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    try {
+      const provider = getProvider(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({ message: "To'lov tizimi yoqilmagan" });
+      }
+
+      const { status, body: payload } = await provider.handleCallback(req);
+      res.status(status).json(payload);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,408 @@
+const express = require("express");
+const router = express.Router();
+const PriceList = require("../models/priceLists/priceList.model");
+const Product = require("../models/products/product.model");
+const Client = require("../models/clients/client.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { resolvePrices } = require("../services/pricingService");
+
+/**
+ * @swagger
+ * tags:
+ *   name: PriceLists
+ *   description: Narxlar ro'yxatlari (chakana, ulgurji, mijoz uchun)
+ */
+
+// PriceList validation
+const priceListValidation = [
+  body("name").trim().notEmpty().withMessage("Nomi majburiy"),
+  body("type")
+    .isIn(["retail", "wholesale", "client"])
+    .withMessage("type retail, wholesale yoki client bo'lishi kerak"),
+  body("client")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Noto'g'ri mijoz ID"),
+  body("isDefault").optional().isBoolean(),
+  body("isActive").optional().isBoolean(),
+  body("items").optional().isArray().withMessage("items massiv bo'lishi kerak"),
+  body("items.*.product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("items.*.price")
+    .isFloat({ min: 0 })
+    .withMessage("Narx musbat son bo'lishi kerak"),
+  body("items.*.minQuantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("minQuantity musbat son bo'lishi kerak"),
+  body("notes").optional().trim(),
+];
+
+// Narxni aniqlash validation
+const resolveValidation = [
+  body("client")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Noto'g'ri mijoz ID"),
+  body("products")
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta mahsulot bo'lishi kerak"),
+  body("products.*.product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("products.*.quantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Miqdor musbat son bo'lishi kerak"),
+];
+
+// Ro'yxat ma'lumotlarini tekshirish, xato bo'lsa xabar qaytaradi
+const checkPriceList = async (priceList) => {
+  if (priceList.type === "client") {
+    if (!priceList.client) return "Mijoz ro'yxati uchun client majburiy";
+    const client = await Client.exists({
+      _id: priceList.client,
+      isDeleted: false,
+    });
+    if (!client) return "Mijoz topilmadi";
+  } else {
+    priceList.client = null;
+  }
+
+  // Bir mahsulot uchun bir xil chegara ikki marta berilmasin
+  const keys = priceList.items.map(
+    (item) => `${item.product}:${item.minQuantity || 0}`
+  );
+  if (new Set(keys).size !== keys.length) {
+    return "Bir mahsulot uchun bir xil minQuantity takrorlangan";
+  }
+
+  const productIds = [
+    ...new Set(priceList.items.map((i) => String(i.product))),
+  ];
+  const productCount = await Product.countDocuments({
+    _id: { $in: productIds },
+    isDeleted: false,
+  });
+  if (productCount !== productIds.length) return "Mahsulot topilmadi";
+
+  return null;
+};
+
+// Yangi standart ro'yxat belgilanganda boshqalaridan belgini olib tashlash
+const unsetOtherDefaults = async (priceList) => {
+  if (!priceList.isDefault) return;
+  await PriceList.updateMany(
+    { _id: { $ne: priceList._id }, isDefault: true },
+    { isDefault: false }
+  );
+};
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   post:
+ *     summary: Narxlar ro'yxatini qo'shish
+ *     tags: [PriceLists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceListInput'
+ *     responses:
+ *       201:
+ *         description: Ro'yxat yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *   get:
+ *     summary: Narxlar ro'yxatlari
+ *     tags: [PriceLists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [retail, wholesale, client]
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ro'yxatlar
+ *
+ * components:
+ *   schemas:
+ *     PriceListInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Ulgurji"
+ *         type:
+ *           type: string
+ *           enum: [retail, wholesale, client]
+ *         client:
+ *           type: string
+ *           description: type = client bo'lsa majburiy
+ *         isDefault:
+ *           type: boolean
+ *           description: Mijozga ro'yxat biriktirilmaganda ishlatiladi (faqat bitta)
+ *         isActive:
+ *           type: boolean
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 description: Ombor birligi uchun narx
+ *               minQuantity:
+ *                 type: number
+ *                 description: Shu miqdordan boshlab amal qiladi
+ *                 default: 0
+ *         notes:
+ *           type: string
+ */
+
+// POST /price-lists - Ro'yxat qo'shish
+router.post("/", authMiddleware, priceListValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const priceList = new PriceList(req.body);
+    const checkError = await checkPriceList(priceList);
+    if (checkError) return res.status(400).json({ message: checkError });
+
+    await priceList.save();
+    await unsetOtherDefaults(priceList);
+    res.status(201).json(priceList);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /price-lists - Ro'yxatlar
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { type, client } = req.query;
+    const query = { isDeleted: false };
+    if (type) query.type = type;
+    if (client) query.client = client;
+
+    const priceLists = await PriceList.find(query)
+      .populate("client", "fullName phone")
+      .sort({ isDefault: -1, name: 1 });
+    res.json(priceLists);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-lists/resolve:
+ *   post:
+ *     summary: Mijoz va miqdor bo'yicha amaldagi narxlarni aniqlash
+ *     description: Ustuvorlik - mijozning shaxsiy ro'yxati, mijozga biriktirilgan ro'yxat, standart ro'yxat, mahsulotning salePrice narxi
+ *     tags: [PriceLists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - products
+ *             properties:
+ *               client:
+ *                 type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                       description: Ombor birligida
+ *     responses:
+ *       200:
+ *         description: "[{ product, name, unit, quantity, price, source, priceList, minQuantity }]"
+ *       404:
+ *         description: Mahsulot topilmadi
+ */
+
+// POST /price-lists/resolve - Narxlarni aniqlash
+router.post("/resolve", authMiddleware, resolveValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const prices = await resolvePrices(req.body.products, req.body.client);
+    res.json(prices);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   get:
+ *     summary: Narxlar ro'yxati
+ *     tags: [PriceLists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ro'yxat topildi
+ *       404:
+ *         description: Ro'yxat topilmadi
+ *   patch:
+ *     summary: Narxlar ro'yxatini yangilash
+ *     tags: [PriceLists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceListInput'
+ *     responses:
+ *       200:
+ *         description: Ro'yxat yangilandi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Ro'yxat topilmadi
+ *   delete:
+ *     summary: Narxlar ro'yxatini o'chirish (soft delete)
+ *     tags: [PriceLists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ro'yxat o'chirildi
+ *       404:
+ *         description: Ro'yxat topilmadi
+ */
+
+// GET /price-lists/:id - Ro'yxat
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("client", "fullName phone")
+      .populate("items.product", "name unit salePrice");
+    if (!priceList) {
+      return res.status(404).json({ message: "Ro'yxat topilmadi" });
+    }
+    res.json(priceList);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /price-lists/:id - Ro'yxatni yangilash
+router.patch("/:id", authMiddleware, priceListValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!priceList) {
+      return res.status(404).json({ message: "Ro'yxat topilmadi" });
+    }
+
+    const allowedFields = [
+      "name",
+      "type",
+      "client",
+      "isDefault",
+      "isActive",
+      "items",
+      "notes",
+    ];
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) priceList[field] = req.body[field];
+    }
+
+    const checkError = await checkPriceList(priceList);
+    if (checkError) return res.status(400).json({ message: checkError });
+
+    await priceList.save();
+    await unsetOtherDefaults(priceList);
+    res.json(priceList);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE /price-lists/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const priceList = await PriceList.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!priceList) {
+      return res.status(404).json({ message: "Ro'yxat topilmadi" });
+    }
+
+    priceList.isDeleted = true;
+    priceList.deletedAt = new Date();
+    await priceList.save();
+
+    // Mijozlarga biriktirilgan bo'lsa, bog'lanishni olib tashlash
+    await Client.updateMany({ priceList: priceList._id }, { priceList: null });
+    res.json({ message: "Ro'yxat o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,36 @@
 const express = require("express");
 const router = express.Router();
 const Product = require("../models/products/product.model");
+const StockMovement = require("../models/stockMovements/stockMovement.model");
+const CostLayer = require("../models/costLayers/costLayer.model");
+const Lot = require("../models/lots/lot.model");
+const Category = require("../models/categories/category.model");
+const PriceHistory = require("../models/priceHistory/priceHistory.model");
+const ScheduledPrice = require("../models/scheduledPrices/scheduledPrice.model");
+const { adjustStock } = require("../services/stockService");
+const { normalizePlu } = require("../services/barcodeService");
+const { recordPriceChanges } = require("../services/pricingService");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const {
+  UNIT_CODES,
+  normalizeUnit,
+  getConversionFactor,
+  roundQuantity,
+} = require("../utils/units");
 const authMiddleware = require("../middleware/authMiddleware");
 const { body, validationResult } = require("express-validator");
 
+const ANIMALS = [
+  "beef",
+  "veal",
+  "mutton",
+  "goat",
+  "chicken",
+  "turkey",
+  "horse",
+  "other",
+];
+
 /** Product validation rules for form-data (more flexible) */
 const productFormValidation = [
   body("name")
@@ -25,31 +52,126 @@ const productFormValidation = [
     if (num < 0) throw new Error("Sale price cannot be negative");
     return true;
   }),
-  body("quantity").custom((value) => {
-    const num = Number(value);
-    if (isNaN(num)) throw new Error("Quantity must be a number");
-    if (num < 0) throw new Error("Quantity cannot be negative");
-    return true;
-  }),
   body("minQuantity").custom((value) => {
     const num = Number(value);
     if (isNaN(num)) throw new Error("Minimal quantity must be a number");
     if (num < 0) throw new Error("Minimal quantity cannot be negative");
     return true;
   }),
+  body("packSize")
+    .optional({ values: "falsy" })
+    .isFloat({ gt: 0 })
+    .withMessage("packSize must be a positive number"),
+  body("saleUnit")
+    .optional({ values: "falsy" })
+    .custom((value, { req }) => {
+      if (!normalizeUnit(value)) {
+        throw new Error(`Sale unit must be one of: ${UNIT_CODES.join(", ")}`);
+      }
+      const factor = getConversionFactor(value, {
+        unit: req.body.unit,
+        packSize: Number(req.body.packSize) || null,
+      });
+      if (!factor) {
+        throw new Error(
+          `Sale unit ${value} cannot be converted to stock unit ${req.body.unit}`
+        );
+      }
+      return true;
+    })
+    .customSanitizer(normalizeUnit),
+  body("category")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid category ID"),
+  body("animal")
+    .optional({ values: "falsy" })
+    .isIn(ANIMALS)
+    .withMessage(`animal must be one of: ${ANIMALS.join(", ")}`),
+  body("boneType")
+    .optional({ values: "falsy" })
+    .isIn(["bone-in", "boneless"])
+    .withMessage("boneType must be 'bone-in' or 'boneless'"),
+  body("cut").optional().trim(),
+  body("halalCertificate").optional().trim(),
+  body("pluCode")
+    .optional({ values: "falsy" })
+    .matches(/^\d{1,6}$/)
+    .withMessage("pluCode must be 1-6 digits"),
   body("isAvailable")
     .optional()
     .isIn(["true", "false", true, false])
     .withMessage("isAvailable must be a boolean or boolean string"),
+  body("costingMethod")
+    .optional()
+    .isIn(["average", "fifo"])
+    .withMessage("costingMethod must be 'average' or 'fifo'"),
+  body("shelfLifeDays")
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage("shelfLifeDays must be a positive integer"),
   // Игнорируем старые поля, которые могут приходить с фронтенда
 ];
 
+// Yangi mahsulot birligi faqat katalogdan
+const unitValidation = body("unit")
+  .custom((value) => {
+    if (!normalizeUnit(value)) {
+      throw new Error(`Unit must be one of: ${UNIT_CODES.join(", ")}`);
+    }
+    return true;
+  })
+  .customSanitizer(normalizeUnit);
+
+const isStockQuantity = (value) => {
+  const num = Number(value);
+  if (isNaN(num)) throw new Error("Quantity must be a number");
+  if (num < 0) throw new Error("Quantity cannot be negative");
+  return true;
+};
+
+// Tahrirda quantity ixtiyoriy: qoldiq faqat expectedQuantity bilan birga berilsa o'zgaradi.
+// Birlik handler'da tekshiriladi: katalogda yo'q eski birlik o'zgarmasdan saqlanishi mumkin
+const productUpdateValidation = [
+  ...productFormValidation,
+  body("unit").trim().notEmpty().withMessage("Unit is required"),
+  body("quantity").optional().custom(isStockQuantity),
+  body("expectedQuantity").optional().custom(isStockQuantity),
+];
+
+// PLU kod faol mahsulotlar orasida takrorlanmasligi kerak
+const ensureUniquePlu = async (pluCode, productId, session) => {
+  if (!pluCode) return;
+  const duplicate = await Product.findOne({
+    pluCode,
+    isDeleted: false,
+    _id: { $ne: productId },
+  }).session(session);
+  if (duplicate) {
+    throw new HttpError(
+      400,
+      `pluCode ${pluCode} is already used by ${duplicate.name}`
+    );
+  }
+};
+
+const ensureCategoryExists = async (categoryId, session) => {
+  if (!categoryId) return;
+  const category = await Category.findOne({
+    _id: categoryId,
+    isDeleted: false,
+  }).session(session);
+  if (!category) throw new HttpError(404, "Category not found");
+};
+
 /** Create product */
 router.post(
   "/",
   authMiddleware,
   (req, res, next) => next(),
   productFormValidation,
+  unitValidation,
+  body("quantity").custom(isStockQuantity),
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -64,7 +186,19 @@ router.post(
         salePrice: Number(req.body.salePrice),
         quantity: Number(req.body.quantity),
         minQuantity: Number(req.body.minQuantity),
-        unit: req.body.unit?.trim(),
+        unit: req.body.unit,
+        saleUnit: req.body.saleUnit || null,
+        packSize: req.body.packSize ? Number(req.body.packSize) : null,
+        pluCode: normalizePlu(req.body.pluCode),
+        category: req.body.category || null,
+        animal: req.body.animal || null,
+        cut: req.body.cut || "",
+        boneType: req.body.boneType || null,
+        halalCertificate: req.body.halalCertificate || "",
+        costingMethod: req.body.costingMethod || "average",
+        shelfLifeDays: req.body.shelfLifeDays
+          ? Number(req.body.shelfLifeDays)
+          : null,
         description:
           req.body.description === "string" ? "" : req.body.description || "",
         isAvailable:
@@ -76,14 +210,38 @@ router.post(
 
       console.log("Processed fields:", allowedFields);
 
-      const product = new Product(allowedFields);
-      await product.save();
+      // Начальный остаток записываем как движение склада
+      const product = await withTransaction(async (session) => {
+        await ensureUniquePlu(allowedFields.pluCode, null, session);
+        await ensureCategoryExists(allowedFields.category, session);
+        const product = new Product({ ...allowedFields, quantity: 0 });
+        await product.save({ session });
+        await recordPriceChanges(
+          product,
+          {},
+          { changedBy: req.admin?._id },
+          session
+        );
+        if (allowedFields.quantity) {
+          await adjustStock(
+            product,
+            allowedFields.quantity,
+            {
+              type: "adjustment",
+              createdBy: req.admin?._id,
+              description: "Boshlang'ich qoldiq",
+            },
+            session
+          );
+        }
+        return product;
+      });
       const populatedProduct = await Product.findById(product._id);
 
       res.status(201).json(populatedProduct);
     } catch (error) {
       console.error("Error creating product:", error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         message: error.message,
         error: process.env.NODE_ENV === "development" ? error.stack : undefined,
       });
@@ -102,6 +260,11 @@ router.get("/", async (req, res) => {
       maxSalePrice,
       search,
       isAvailable,
+      category,
+      animal,
+      cut,
+      boneType,
+      halal,
       page = 1,
       limit = 10,
       sortBy = "createdAt",
@@ -147,12 +310,26 @@ router.get("/", async (req, res) => {
       query.isAvailable = isAvailable === "true";
     }
     if (search) query.name = { $regex: search, $options: "i" };
+    if (category) {
+      // Kategoriya va uning barcha quyi kategoriyalari
+      const categories = await Category.find({
+        $or: [{ _id: category }, { ancestors: category }],
+        isDeleted: false,
+      }).select("_id");
+      query.category = { $in: categories.map((c) => c._id) };
+    }
+    if (animal) query.animal = animal;
+    if (cut) query.cut = { $regex: cut, $options: "i" };
+    if (boneType) query.boneType = boneType;
+    if (halal === "true") query.halalCertificate = { $nin: ["", null] };
+    if (halal === "false") query.halalCertificate = { $in: ["", null] };
 
     // Получаем общее количество документов для пагинации
     const totalCount = await Product.countDocuments(query);
     const totalPages = Math.ceil(totalCount / limitNumber);
 
     const products = await Product.find(query)
+      .populate("category", "name parent")
       .sort({ [sortField]: sortDirection })
       .skip(skip)
       .limit(limitNumber);
@@ -186,7 +363,7 @@ router.get("/:id", async (req, res) => {
     const product = await Product.findOne({
       _id: req.params.id,
       isDeleted: false,
-    });
+    }).populate("category", "name parent ancestors");
     if (!product) return res.status(404).json({ message: "Product not found" });
 
     res.json(product);
@@ -203,7 +380,7 @@ router.patch(
     console.log("Received product update data:", req.body);
     next();
   },
-  productFormValidation,
+  productUpdateValidation,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -211,13 +388,6 @@ router.patch(
     }
 
     try {
-      const product = await Product.findOne({
-        _id: req.params.id,
-        isDeleted: false,
-      });
-      if (!product)
-        return res.status(404).json({ message: "Product not found" });
-
       // Фильтруем только разрешенные поля для обновления
       const allowedFields = {};
       if (req.body.name !== undefined) allowedFields.name = req.body.name;
@@ -225,13 +395,34 @@ router.patch(
         allowedFields.costPrice = req.body.costPrice;
       if (req.body.salePrice !== undefined)
         allowedFields.salePrice = req.body.salePrice;
-      if (req.body.quantity !== undefined)
-        allowedFields.quantity = req.body.quantity;
       if (req.body.minQuantity !== undefined)
         allowedFields.minQuantity = req.body.minQuantity;
       if (req.body.unit !== undefined) allowedFields.unit = req.body.unit;
+      if (req.body.saleUnit !== undefined)
+        allowedFields.saleUnit = req.body.saleUnit || null;
+      if (req.body.packSize !== undefined)
+        allowedFields.packSize = req.body.packSize
+          ? Number(req.body.packSize)
+          : null;
+      if (req.body.costingMethod !== undefined)
+        allowedFields.costingMethod = req.body.costingMethod;
+      if (req.body.shelfLifeDays !== undefined)
+        allowedFields.shelfLifeDays = req.body.shelfLifeDays
+          ? Number(req.body.shelfLifeDays)
+          : null;
       if (req.body.description !== undefined)
         allowedFields.description = req.body.description;
+      if (req.body.pluCode !== undefined)
+        allowedFields.pluCode = normalizePlu(req.body.pluCode);
+      if (req.body.category !== undefined)
+        allowedFields.category = req.body.category || null;
+      if (req.body.animal !== undefined)
+        allowedFields.animal = req.body.animal || null;
+      if (req.body.cut !== undefined) allowedFields.cut = req.body.cut || "";
+      if (req.body.boneType !== undefined)
+        allowedFields.boneType = req.body.boneType || null;
+      if (req.body.halalCertificate !== undefined)
+        allowedFields.halalCertificate = req.body.halalCertificate || "";
       if (req.body.isAvailable !== undefined) {
         allowedFields.isAvailable =
           req.body.isAvailable === "false"
@@ -239,16 +430,102 @@ router.patch(
             : Boolean(req.body.isAvailable);
       }
 
-      // Обновляем данные продукта
-      Object.assign(product, allowedFields);
-      await product.save();
+      // Обновляем данные продукта, изменение количества пишем в историю склада
+      const product = await withTransaction(async (session) => {
+        const product = await Product.findOne({
+          _id: req.params.id,
+          isDeleted: false,
+        }).session(session);
+        if (!product) throw new HttpError(404, "Product not found");
+        await ensureUniquePlu(allowedFields.pluCode, product._id, session);
+        await ensureCategoryExists(allowedFields.category, session);
+
+        // Katalogda yo'q eski birlik o'zgarmasdan yuborilsa saqlanadi
+        if (allowedFields.unit === product.unit) {
+          delete allowedFields.unit;
+        } else if (allowedFields.unit !== undefined) {
+          const unit = normalizeUnit(allowedFields.unit);
+          if (!unit) {
+            throw new HttpError(
+              400,
+              `Unit must be one of: ${UNIT_CODES.join(", ")}`
+            );
+          }
+          // Qoldiq bor mahsulotning ombor birligini almashtirish miqdorni buzadi
+          // (eski birlik tanilmasa ham)
+          if (unit !== normalizeUnit(product.unit) && product.quantity !== 0) {
+            throw new HttpError(
+              400,
+              "Stock unit cannot be changed while the product has stock"
+            );
+          }
+          allowedFields.unit = unit;
+        }
+
+        // Qoldiq faqat aniq so'ralganda tuzatiladi: quantity forma ochilgandagi qoldiqdan
+        // (expectedQuantity) farq qilsa. Eskirgan formadagi quantity e'tiborsiz qoldiriladi
+        const changesQuantity =
+          req.body.quantity !== undefined &&
+          req.body.expectedQuantity !== undefined &&
+          Number(req.body.quantity) !== Number(req.body.expectedQuantity);
+        // Forma ochilgandan keyin sotuv yoki kirim bo'lgan bo'lsa qoldiq tuzatilmaydi
+        if (
+          changesQuantity &&
+          Number(req.body.expectedQuantity) !== product.quantity
+        ) {
+          throw new HttpError(
+            409,
+            `Stock has changed since the form was loaded (current quantity: ${product.quantity})`
+          );
+        }
+
+        const oldPrices = {
+          costPrice: product.costPrice,
+          salePrice: product.salePrice,
+        };
+        Object.assign(product, allowedFields);
+        const delta = changesQuantity
+          ? roundQuantity(
+              Number(req.body.quantity) - product.quantity,
+              product.unit
+            )
+          : 0;
+        if (delta !== 0) {
+          // Qoldiqni faqat superadmin to'g'ridan-to'g'ri tuzatadi, boshqalar inventarizatsiya orqali
+          if (req.admin?.role !== "superadmin") {
+            throw new HttpError(
+              403,
+              "Quantity can only be changed through a stocktake (/api/stocktakes)"
+            );
+          }
+          await adjustStock(
+            product,
+            delta,
+            {
+              type: "adjustment",
+              createdBy: req.admin?._id,
+              description: req.body.reason || "Qo'lda tuzatish",
+            },
+            session
+          );
+        } else {
+          await product.save({ session });
+        }
+        await recordPriceChanges(
+          product,
+          oldPrices,
+          { changedBy: req.admin?._id },
+          session
+        );
+        return product;
+      });
 
       const populatedProduct = await Product.findById(product._id);
 
       res.json(populatedProduct);
     } catch (error) {
       console.error("Error updating product:", error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         message: error.message,
         error: process.env.NODE_ENV === "development" ? error.stack : undefined,
       });
@@ -256,6 +533,285 @@ router.patch(
   }
 );
 
+/** Get stock movement history of a product */
+router.get("/:id/movements", async (req, res) => {
+  try {
+    const { type, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(req.params.id).select(
+      "name quantity unit"
+    );
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const pageNumber = Math.max(1, parseInt(page));
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit)));
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = { product: product._id, isDeleted: false };
+    if (type) query.type = type;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [movements, totalCount] = await Promise.all([
+      StockMovement.find(query)
+        .populate("order", "totalAmount status createdAt")
+        .populate("createdBy", "fullName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      StockMovement.countDocuments(query),
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    res.json({
+      product,
+      data: movements,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        limit: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+        nextPage: pageNumber < totalPages ? pageNumber + 1 : null,
+        prevPage: pageNumber > 1 ? pageNumber - 1 : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/** Get open cost layers (batches) of a product */
+router.get("/:id/cost-layers", async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select(
+      "name quantity unit costPrice costingMethod"
+    );
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const layers = await CostLayer.find({
+      product: product._id,
+      remaining: { $gt: 0 },
+      isDeleted: false,
+    }).sort({ receivedAt: 1, _id: 1 });
+
+    const stockValue = layers.reduce(
+      (sum, layer) => sum + layer.remaining * layer.unitCost,
+      0
+    );
+
+    res.json({ product, layers, stockValue });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/** Get open lots of a product, soonest expiry first */
+router.get("/:id/lots", async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select(
+      "name quantity unit shelfLifeDays"
+    );
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const lots = await Lot.find({
+      product: product._id,
+      remaining: { $gt: 0 },
+      isDeleted: false,
+    }).sort({ expiryDate: 1, receivedAt: 1 });
+
+    // Muddatsiz partiyalar oxirida
+    const sortedLots = [
+      ...lots.filter((lot) => lot.expiryDate),
+      ...lots.filter((lot) => !lot.expiryDate),
+    ];
+
+    res.json({ product, lots: sortedLots });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/** Get lots expiring within N days (already expired included) */
+router.get("/lots/expiring", async (req, res) => {
+  try {
+    const days = Math.max(0, parseInt(req.query.days) || 3);
+    const until = new Date();
+    until.setDate(until.getDate() + days);
+
+    const lots = await Lot.find({
+      remaining: { $gt: 0 },
+      expiryDate: { $ne: null, $lte: until },
+      isDeleted: false,
+    })
+      .populate("product", "name unit salePrice")
+      .sort({ expiryDate: 1 });
+
+    const now = new Date();
+    const data = lots
+      .filter((lot) => lot.product)
+      .map((lot) => ({
+        ...lot.toObject(),
+        isExpired: lot.expiryDate < now,
+        daysLeft: Math.ceil((lot.expiryDate - now) / (1000 * 60 * 60 * 24)),
+      }));
+
+    res.json({ days, count: data.length, data });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/** Get price change history of a product */
+router.get("/:id/price-history", async (req, res) => {
+  try {
+    const { field, page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(req.params.id).select(
+      "name unit costPrice salePrice"
+    );
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const pageNumber = Math.max(1, parseInt(page));
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit)));
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const query = { product: product._id, isDeleted: false };
+    if (field) query.field = field;
+
+    const [history, totalCount, scheduled] = await Promise.all([
+      PriceHistory.find(query)
+        .populate("changedBy", "fullName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      PriceHistory.countDocuments(query),
+      ScheduledPrice.find({
+        product: product._id,
+        status: "pending",
+        isDeleted: false,
+      }).sort({ effectiveAt: 1 }),
+    ]);
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    res.json({
+      product,
+      data: history,
+      scheduled,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        limit: limitNumber,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+        nextPage: pageNumber < totalPages ? pageNumber + 1 : null,
+        prevPage: pageNumber > 1 ? pageNumber - 1 : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/** Schedule a future sale price change */
+router.post(
+  "/:id/scheduled-prices",
+  authMiddleware,
+  [
+    body("salePrice")
+      .isFloat({ min: 0 })
+      .withMessage("Sale price must be a positive number"),
+    body("effectiveAt")
+      .isISO8601()
+      .withMessage("effectiveAt must be a valid date")
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error("effectiveAt must be in the future");
+        }
+        return true;
+      }),
+    body("notes").optional().trim(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const product = await Product.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      });
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const scheduled = await ScheduledPrice.create({
+        product: product._id,
+        salePrice: Number(req.body.salePrice),
+        effectiveAt: new Date(req.body.effectiveAt),
+        notes: req.body.notes || "",
+        createdBy: req.admin?._id,
+      });
+
+      res.status(201).json(scheduled);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/** Get scheduled sale price changes of a product */
+router.get("/:id/scheduled-prices", async (req, res) => {
+  try {
+    const query = { product: req.params.id, isDeleted: false };
+    if (req.query.status) query.status = req.query.status;
+
+    const scheduled = await ScheduledPrice.find(query)
+      .populate("createdBy", "fullName")
+      .sort({ effectiveAt: 1 });
+    res.json(scheduled);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/** Cancel a pending scheduled price change */
+router.post(
+  "/scheduled-prices/:scheduledId/cancel",
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const scheduled = await ScheduledPrice.findOne({
+        _id: req.params.scheduledId,
+        isDeleted: false,
+      });
+      if (!scheduled) {
+        return res
+          .status(404)
+          .json({ message: "Scheduled price change not found" });
+      }
+      if (scheduled.status !== "pending") {
+        return res.status(400).json({
+          message: `Scheduled price change is already ${scheduled.status}`,
+        });
+      }
+
+      scheduled.status = "cancelled";
+      await scheduled.save();
+      res.json(scheduled);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 /** Soft delete product by ID */
 router.delete("/:id", authMiddleware, async (req, res) => {
   try {
@@ -382,10 +938,51 @@ module.exports = router;
  *           description: Minimum quantity threshold
  *         unit:
  *           type: string
- *           description: Unit of measurement
+ *           enum: [kg, g, piece, pack]
+ *           description: Stock unit (quantity is kept in this unit)
+ *         saleUnit:
+ *           type: string
+ *           enum: [kg, g, piece, pack]
+ *           nullable: true
+ *           description: Default sale unit, null means the stock unit
+ *         packSize:
+ *           type: number
+ *           nullable: true
+ *           description: Stock units in one pack
+ *         pluCode:
+ *           type: string
+ *           nullable: true
+ *           description: Scale PLU code embedded in weight barcodes
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Category ID
+ *         animal:
+ *           type: string
+ *           enum: [beef, veal, mutton, goat, chicken, turkey, horse, other]
+ *           nullable: true
+ *         cut:
+ *           type: string
+ *           description: Cut name (tenderloin, brisket, ribs ...)
+ *         boneType:
+ *           type: string
+ *           enum: [bone-in, boneless]
+ *           nullable: true
+ *         halalCertificate:
+ *           type: string
+ *           description: Halal certificate number
  *         description:
  *           type: string
  *           description: Product description
+ *         costingMethod:
+ *           type: string
+ *           enum: [average, fifo]
+ *           default: average
+ *           description: How order line cost is taken from stock batches
+ *         shelfLifeDays:
+ *           type: integer
+ *           nullable: true
+ *           description: Shelf life in days, used to set lot expiry on stock-in
  *         isAvailable:
  *           type: boolean
  *           default: true
@@ -434,12 +1031,52 @@ module.exports = router;
  *           description: Minimum quantity threshold
  *         unit:
  *           type: string
- *           example: "литр"
- *           description: Unit of measurement
+ *           enum: [kg, g, piece, pack]
+ *           example: "kg"
+ *           description: Stock unit (quantity is kept in this unit)
+ *         saleUnit:
+ *           type: string
+ *           enum: [kg, g, piece, pack]
+ *           example: "g"
+ *           description: Default sale unit, must be convertible to the stock unit
+ *         packSize:
+ *           type: number
+ *           example: 0.5
+ *           description: Stock units in one pack
+ *         pluCode:
+ *           type: string
+ *           example: "00123"
+ *           description: Scale PLU code embedded in weight barcodes
+ *         category:
+ *           type: string
+ *           description: Category ID
+ *         animal:
+ *           type: string
+ *           enum: [beef, veal, mutton, goat, chicken, turkey, horse, other]
+ *           example: "beef"
+ *         cut:
+ *           type: string
+ *           example: "tenderloin"
+ *         boneType:
+ *           type: string
+ *           enum: [bone-in, boneless]
+ *           example: "boneless"
+ *         halalCertificate:
+ *           type: string
+ *           example: "UZ-HAL-2024-0153"
  *         description:
  *           type: string
  *           example: "High quality motor oil for modern engines"
  *           description: Product description
+ *         costingMethod:
+ *           type: string
+ *           enum: [average, fifo]
+ *           example: "average"
+ *           description: How order line cost is taken from stock batches
+ *         shelfLifeDays:
+ *           type: integer
+ *           example: 5
+ *           description: Shelf life in days, used to set lot expiry on stock-in
  *         isAvailable:
  *           type: boolean
  *           example: true
@@ -448,6 +1085,16 @@ module.exports = router;
  *     ProductFormUpdateInput:
  *       type: object
  *       properties:
+ *         reason:
+ *           type: string
+ *           description: Reason saved to the stock movement when quantity changes (superadmin only)
+ *         expectedQuantity:
+ *           type: number
+ *           description: Stock quantity the form was loaded with. Stock is adjusted only when quantity differs from it; if the stock has changed since, the update is rejected with 409
+ *         shelfLifeDays:
+ *           type: integer
+ *           nullable: true
+ *           description: Shelf life in days, used to set lot expiry on stock-in
  *         name:
  *           type: string
  *           description: Product name
@@ -460,14 +1107,46 @@ module.exports = router;
  *         quantity:
  *           type: number
  *           minimum: 0
- *           description: Current quantity in stock
+ *           description: New stock quantity. Ignored unless expectedQuantity is sent
  *         minQuantity:
  *           type: number
  *           minimum: 0
  *           description: Minimum quantity threshold
  *         unit:
  *           type: string
- *           description: Unit of measurement
+ *           enum: [kg, g, piece, pack]
+ *           description: Stock unit (quantity is kept in this unit). A legacy unit outside the catalogue may be sent unchanged; the unit cannot change while the product has stock
+ *         saleUnit:
+ *           type: string
+ *           enum: [kg, g, piece, pack]
+ *           nullable: true
+ *           description: Default sale unit, null means the stock unit
+ *         packSize:
+ *           type: number
+ *           nullable: true
+ *           description: Stock units in one pack
+ *         pluCode:
+ *           type: string
+ *           nullable: true
+ *           description: Scale PLU code embedded in weight barcodes
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Category ID
+ *         animal:
+ *           type: string
+ *           enum: [beef, veal, mutton, goat, chicken, turkey, horse, other]
+ *           nullable: true
+ *         cut:
+ *           type: string
+ *           description: Cut name (tenderloin, brisket, ribs ...)
+ *         boneType:
+ *           type: string
+ *           enum: [bone-in, boneless]
+ *           nullable: true
+ *         halalCertificate:
+ *           type: string
+ *           description: Halal certificate number
  *         description:
  *           type: string
  *           description: Product description
@@ -504,7 +1183,39 @@ module.exports = router;
  *           description: Minimum quantity threshold
  *         unit:
  *           type: string
- *           description: Unit of measurement
+ *           enum: [kg, g, piece, pack]
+ *           description: Stock unit (quantity is kept in this unit)
+ *         saleUnit:
+ *           type: string
+ *           enum: [kg, g, piece, pack]
+ *           nullable: true
+ *           description: Default sale unit, null means the stock unit
+ *         packSize:
+ *           type: number
+ *           nullable: true
+ *           description: Stock units in one pack
+ *         pluCode:
+ *           type: string
+ *           nullable: true
+ *           description: Scale PLU code embedded in weight barcodes
+ *         category:
+ *           type: string
+ *           nullable: true
+ *           description: Category ID
+ *         animal:
+ *           type: string
+ *           enum: [beef, veal, mutton, goat, chicken, turkey, horse, other]
+ *           nullable: true
+ *         cut:
+ *           type: string
+ *           description: Cut name (tenderloin, brisket, ribs ...)
+ *         boneType:
+ *           type: string
+ *           enum: [bone-in, boneless]
+ *           nullable: true
+ *         halalCertificate:
+ *           type: string
+ *           description: Halal certificate number
  *         description:
  *           type: string
  *           description: Product description
@@ -542,7 +1253,7 @@ module.exports = router;
  *             salePrice: 75000
  *             quantity: 100.5
  *             minQuantity: 10.5
- *             unit: "литр"
+ *             unit: "kg"
  *             description: "High quality motor oil"
  *             isAvailable: true
  *     responses:
@@ -613,6 +1324,31 @@ module.exports = router;
  *           type: boolean
  *         description: Filter by product availability
  *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID (products of its subcategories are included)
+ *       - in: query
+ *         name: animal
+ *         schema:
+ *           type: string
+ *           enum: [beef, veal, mutton, goat, chicken, turkey, horse, other]
+ *       - in: query
+ *         name: cut
+ *         schema:
+ *           type: string
+ *         description: Cut name (case insensitive)
+ *       - in: query
+ *         name: boneType
+ *         schema:
+ *           type: string
+ *           enum: [bone-in, boneless]
+ *       - in: query
+ *         name: halal
+ *         schema:
+ *           type: boolean
+ *         description: Only products with (true) or without (false) a halal certificate
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -743,7 +1479,8 @@ module.exports = router;
  *             costPrice: 55000
  *             salePrice: 80000
  *             quantity: 90
- *             unit: "литр"
+ *             expectedQuantity: 100.5
+ *             unit: "kg"
  *             description: "Updated description"
  *         application/json:
  *           schema:
@@ -760,8 +1497,12 @@ module.exports = router;
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Quantity change by a non-superadmin (use a stocktake)
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: Stock changed since the form was loaded (expectedQuantity differs from current quantity)
  *       500:
  *         description: Internal server error
  *
@@ -796,6 +1537,242 @@ module.exports = router;
  *         description: Internal server error
  */
 
+/**
+ * @swagger
+ * /api/products/{id}/movements:
+ *   get:
+ *     summary: Get stock movement history of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, return, adjustment, receipt, write-off]
+ *         description: Filter by movement type
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated stock movements (quantity is signed, balanceAfter is the stock after the movement)
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/cost-layers:
+ *   get:
+ *     summary: Get open cost layers (stock batches) of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Batches with remaining quantity, oldest first, and their total value
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/lots:
+ *   get:
+ *     summary: Get open lots of a product with slaughter and expiry dates
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     responses:
+ *       200:
+ *         description: Lots with remaining quantity, soonest expiry first (lots without expiry last)
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/products/lots/expiring:
+ *   get:
+ *     summary: Get lots expiring within N days
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *         description: Days ahead to look; already expired lots are always included
+ *     responses:
+ *       200:
+ *         description: Lots with remaining stock, soonest expiry first, with isExpired and daysLeft
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/price-history:
+ *   get:
+ *     summary: Get cost and sale price change history of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           enum: [costPrice, salePrice]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Price changes (newest first) with who changed them, plus pending scheduled changes
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/scheduled-prices:
+ *   post:
+ *     summary: Schedule a future sale price change
+ *     description: A cron job checks every minute and applies the price at effectiveAt
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - salePrice
+ *               - effectiveAt
+ *             properties:
+ *               salePrice:
+ *                 type: number
+ *                 example: 95000
+ *               effectiveAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-03-01T06:00:00+05:00"
+ *               notes:
+ *                 type: string
+ *                 example: "Ramazon oldidan"
+ *     responses:
+ *       201:
+ *         description: Scheduled price change created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ *   get:
+ *     summary: Get scheduled sale price changes of a product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, applied, cancelled]
+ *     responses:
+ *       200:
+ *         description: Scheduled changes, earliest first
+ */
+
+/**
+ * @swagger
+ * /api/products/scheduled-prices/{scheduledId}/cancel:
+ *   post:
+ *     summary: Cancel a pending scheduled price change
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: scheduledId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scheduled price change cancelled
+ *       400:
+ *         description: Already applied or cancelled
+ *       404:
+ *         description: Scheduled price change not found
+ */
+
 /**
  * @swagger
  * /api/products/search/{query}:
@@ -0,0 +1,369 @@
+const express = require("express");
+const router = express.Router();
+const Promotion = require("../models/promotions/promotion.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { isPromotionActive } = require("../services/promotionService");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Aksiyalar va chegirmalar (buyurtma yaratilganda qo'llanadi)
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Promotion validation
+const promotionValidation = [
+  body("name").trim().notEmpty().withMessage("Nomi majburiy"),
+  body("type")
+    .isIn(["percentage", "fixed", "buy_x_get_y"])
+    .withMessage("type percentage, fixed yoki buy_x_get_y bo'lishi kerak"),
+  body("value")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("value musbat son bo'lishi kerak"),
+  body(["buyQuantity", "freeQuantity"])
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Miqdor musbat son bo'lishi kerak"),
+  body(["products", "categories", "clientGroups", "daysOfWeek"])
+    .optional()
+    .isArray()
+    .withMessage("Massiv bo'lishi kerak"),
+  body(["products.*", "categories.*"]).isMongoId().withMessage("Noto'g'ri ID"),
+  body("clientGroups.*").trim().toLowerCase(),
+  body("daysOfWeek.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Hafta kuni 0-6 oralig'ida bo'lishi kerak"),
+  body("minQuantity")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("minQuantity musbat son bo'lishi kerak"),
+  body(["startsAt", "endsAt"])
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Noto'g'ri sana formati"),
+  body(["timeFrom", "timeTo"])
+    .optional({ values: "null" })
+    .matches(TIME_PATTERN)
+    .withMessage("Vaqt HH:mm formatida bo'lishi kerak"),
+  body("isActive").optional().isBoolean(),
+  body("notes").optional().trim(),
+];
+
+// Aksiya turi bo'yicha maydonlarni tekshirish, xato bo'lsa xabar qaytaradi
+const checkPromotion = (promotion) => {
+  if (promotion.type === "percentage") {
+    if (!(promotion.value > 0 && promotion.value <= 100)) {
+      return "Foiz 0 dan katta va 100 dan oshmasligi kerak";
+    }
+  } else if (promotion.type === "fixed") {
+    if (!(promotion.value > 0)) return "Chegirma summasi majburiy";
+  } else if (!promotion.buyQuantity || !promotion.freeQuantity) {
+    return "buy_x_get_y uchun buyQuantity va freeQuantity majburiy";
+  }
+  if (
+    promotion.startsAt &&
+    promotion.endsAt &&
+    promotion.startsAt >= promotion.endsAt
+  ) {
+    return "startsAt endsAt dan oldin bo'lishi kerak";
+  }
+  if (Boolean(promotion.timeFrom) !== Boolean(promotion.timeTo)) {
+    return "timeFrom va timeTo birga berilishi kerak";
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Aksiya qo'shish
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       201:
+ *         description: Aksiya yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *   get:
+ *     summary: Aksiyalar ro'yxati
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: true - hozir amal qilayotganlar
+ *     responses:
+ *       200:
+ *         description: Aksiyalar (isActiveNow bilan)
+ *
+ * components:
+ *   schemas:
+ *     PromotionInput:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Hayit oldidan mol go'shtiga 10%"
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, buy_x_get_y]
+ *         value:
+ *           type: number
+ *           description: percentage - foiz, fixed - ombor birligi uchun chegirma summasi
+ *         buyQuantity:
+ *           type: number
+ *           description: buy_x_get_y - shuncha olinsa
+ *         freeQuantity:
+ *           type: number
+ *           description: buy_x_get_y - shuncha bepul
+ *         products:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Quyi kategoriyalar ham kiradi. products va categories bo'sh bo'lsa barcha mahsulotlar
+ *         clientGroups:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Bo'sh bo'lsa barcha mijozlar
+ *         minQuantity:
+ *           type: number
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: 0 - yakshanba
+ *         timeFrom:
+ *           type: string
+ *           example: "18:00"
+ *         timeTo:
+ *           type: string
+ *           example: "21:00"
+ *         isActive:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ */
+
+// POST /promotions - Aksiya qo'shish
+router.post("/", authMiddleware, promotionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = new Promotion({
+      ...req.body,
+      createdBy: req.admin?._id,
+    });
+    const checkError = checkPromotion(promotion);
+    if (checkError) return res.status(400).json({ message: checkError });
+
+    await promotion.save();
+    res.status(201).json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /promotions - Aksiyalar ro'yxati
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const promotions = await Promotion.find({ isDeleted: false })
+      .populate("products", "name")
+      .populate("categories", "name")
+      .sort({ createdAt: -1 });
+
+    const now = new Date();
+    const data = promotions.map((promotion) => ({
+      ...promotion.toObject(),
+      isActiveNow: isPromotionActive(promotion, now),
+    }));
+
+    res.json(
+      req.query.active === "true"
+        ? data.filter((promotion) => promotion.isActiveNow)
+        : data
+    );
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   get:
+ *     summary: Aksiya
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aksiya topildi
+ *       404:
+ *         description: Aksiya topilmadi
+ *   patch:
+ *     summary: Aksiyani yangilash
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromotionInput'
+ *     responses:
+ *       200:
+ *         description: Aksiya yangilandi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Aksiya topilmadi
+ *   delete:
+ *     summary: Aksiyani o'chirish (soft delete)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aksiya o'chirildi
+ *       404:
+ *         description: Aksiya topilmadi
+ */
+
+// GET /promotions/:id - Aksiya
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("products", "name")
+      .populate("categories", "name");
+    if (!promotion) {
+      return res.status(404).json({ message: "Aksiya topilmadi" });
+    }
+    res.json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /promotions/:id - Aksiyani yangilash
+router.patch("/:id", authMiddleware, promotionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!promotion) {
+      return res.status(404).json({ message: "Aksiya topilmadi" });
+    }
+
+    const allowedFields = [
+      "name",
+      "type",
+      "value",
+      "buyQuantity",
+      "freeQuantity",
+      "products",
+      "categories",
+      "clientGroups",
+      "minQuantity",
+      "startsAt",
+      "endsAt",
+      "daysOfWeek",
+      "timeFrom",
+      "timeTo",
+      "isActive",
+      "notes",
+    ];
+    for (const field of allowedFields) {
+      if (req.body[field] !== undefined) promotion[field] = req.body[field];
+    }
+
+    const checkError = checkPromotion(promotion);
+    if (checkError) return res.status(400).json({ message: checkError });
+
+    await promotion.save();
+    res.json(promotion);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE /promotions/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const promotion = await Promotion.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!promotion) {
+      return res.status(404).json({ message: "Aksiya topilmadi" });
+    }
+
+    promotion.isDeleted = true;
+    promotion.deletedAt = new Date();
+    await promotion.save();
+    res.json({ message: "Aksiya o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
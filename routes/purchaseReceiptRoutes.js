@@ -0,0 +1,459 @@
+const express = require("express");
+const router = express.Router();
+const PurchaseReceipt = require("../models/purchaseReceipts/purchaseReceipt.model");
+const Supplier = require("../models/suppliers/supplier.model");
+const Product = require("../models/products/product.model");
+const Transaction = require("../models/transactions/transaction.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { adjustStock } = require("../services/stockService");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+
+/**
+ * @swagger
+ * tags:
+ *   name: PurchaseReceipts
+ *   description: Yetkazib beruvchidan mahsulot qabul qilish (kirim)
+ */
+
+// Receipt validation
+const receiptValidation = [
+  body("supplier").isMongoId().withMessage("Noto'g'ri yetkazib beruvchi ID"),
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta mahsulot bo'lishi kerak"),
+  body("items.*.product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("items.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Miqdor musbat raqam bo'lishi kerak"),
+  body("items.*.costPrice")
+    .isFloat({ min: 0 })
+    .withMessage("costPrice manfiy bo'lmasligi kerak"),
+  body("items.*.lotNumber").optional().trim(),
+  body("items.*.slaughterDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Noto'g'ri so'yilgan sana formati"),
+  body("items.*.expiryDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Noto'g'ri yaroqlilik muddati formati"),
+  body("paidAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("paidAmount manfiy bo'lmasligi kerak"),
+  body("paymentType")
+    .optional()
+    .isIn(["cash", "card"])
+    .withMessage("Noto'g'ri to'lov turi"),
+  body("dueDate")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Noto'g'ri sana formati"),
+  body("description").optional().trim(),
+];
+
+/**
+ * @swagger
+ * /api/purchase-receipts:
+ *   post:
+ *     summary: Yetkazib beruvchidan mahsulot qabul qilish
+ *     description: Mahsulot qoldig'i oshadi, har bir qator uchun tannarx qatlami va partiya ochiladi, costPrice o'rtacha tortilgan holda yangilanadi. To'lanmagan qism yetkazib beruvchiga qarz sifatida yoziladi
+ *     tags: [PurchaseReceipts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier
+ *               - items
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     costPrice:
+ *                       type: number
+ *                       description: Bir birlik uchun xarid narxi
+ *                     lotNumber:
+ *                       type: string
+ *                       description: Partiya raqami
+ *                     slaughterDate:
+ *                       type: string
+ *                       format: date
+ *                       description: So'yilgan sana
+ *                     expiryDate:
+ *                       type: string
+ *                       format: date
+ *                       description: Yaroqlilik muddati (berilmasa mahsulot shelfLifeDays bo'yicha)
+ *               paidAmount:
+ *                 type: number
+ *                 description: Qabul paytida to'langan summa
+ *               paymentType:
+ *                 type: string
+ *                 enum: [cash, card]
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Qarzni to'lash muddati
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Kirim yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Yetkazib beruvchi yoki mahsulot topilmadi
+ *   get:
+ *     summary: Kirimlar ro'yxati
+ *     tags: [PurchaseReceipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, partial, paid, overdue]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Kirimlar ro'yxati
+ */
+
+// POST /purchase-receipts - Mahsulot qabul qilish
+router.post("/", authMiddleware, receiptValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const {
+      supplier: supplierId,
+      items,
+      paidAmount = 0,
+      paymentType = "cash",
+      dueDate,
+      description,
+    } = req.body;
+
+    const receipt = await withTransaction(async (session) => {
+      const supplier = await Supplier.findOne({
+        _id: supplierId,
+        isDeleted: false,
+      }).session(session);
+      if (!supplier) {
+        throw new HttpError(404, "Yetkazib beruvchi topilmadi");
+      }
+
+      const receipt = new PurchaseReceipt({
+        supplier: supplier._id,
+        dueDate: dueDate || null,
+        description: description || "",
+        createdBy: req.admin?._id || null,
+      });
+
+      // Har bir mahsulot qoldig'ini oshirish
+      let totalAmount = 0;
+      for (const item of items) {
+        const product = await Product.findOne({
+          _id: item.product,
+          isDeleted: false,
+        }).session(session);
+        if (!product) {
+          throw new HttpError(404, `Mahsulot topilmadi: ${item.product}`);
+        }
+
+        const quantity = Number(item.quantity);
+        const costPrice = Number(item.costPrice);
+        // costPrice qatlamlar orqali o'rtacha tortilgan holda yangilanadi
+        const { lots } = await adjustStock(
+          product,
+          quantity,
+          {
+            type: "receipt",
+            unitCost: costPrice,
+            lot: {
+              lotNumber: item.lotNumber,
+              slaughterDate: item.slaughterDate,
+              expiryDate: item.expiryDate,
+            },
+            relatedModel: "PurchaseReceipt",
+            relatedId: receipt._id,
+            createdBy: req.admin?._id,
+            description: `Kirim - ${supplier.fullName}`,
+          },
+          session
+        );
+
+        const total = quantity * costPrice;
+        receipt.items.push({
+          product: product._id,
+          quantity,
+          costPrice,
+          total,
+          lot: lots[lots.length - 1]?.lot || null,
+        });
+        totalAmount += total;
+      }
+
+      const paid = Number(paidAmount) || 0;
+      if (paid > totalAmount) {
+        throw new HttpError(
+          400,
+          "To'langan summa kirim summasidan oshmasligi kerak"
+        );
+      }
+
+      receipt.totalAmount = totalAmount;
+      receipt.paidAmount = paid;
+      receipt.debtAmount = totalAmount - paid;
+      if (paid > 0) {
+        receipt.payments.push({
+          amount: paid,
+          paymentType,
+          createdBy: req.admin?._id || null,
+        });
+      }
+      await receipt.save({ session });
+
+      // To'langan qism uchun Transaction
+      if (paid > 0) {
+        await Transaction.create(
+          [
+            {
+              type: "purchase",
+              amount: paid,
+              paymentType,
+              description: `Kirim #${receipt._id} - ${supplier.fullName}`,
+              relatedModel: "PurchaseReceipt",
+              relatedId: receipt._id,
+              supplier: supplier._id,
+              createdBy: req.admin?._id || null,
+            },
+          ],
+          { session }
+        );
+      }
+
+      // To'lanmagan qism yetkazib beruvchiga qarz bo'lib yoziladi
+      if (receipt.debtAmount > 0) {
+        supplier.debt = (supplier.debt || 0) + receipt.debtAmount;
+        await supplier.save();
+      }
+
+      return receipt;
+    });
+
+    const populatedReceipt = await PurchaseReceipt.findById(receipt._id)
+      .populate("supplier")
+      .populate("items.product", "name unit quantity costPrice");
+    res.status(201).json(populatedReceipt);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// GET /purchase-receipts - Kirimlar ro'yxati
+router.get("/", async (req, res) => {
+  try {
+    const { supplier, status, startDate, endDate } = req.query;
+
+    const query = { isDeleted: false };
+    if (supplier) query.supplier = supplier;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.receivedAt = {};
+      if (startDate) query.receivedAt.$gte = new Date(startDate);
+      if (endDate) query.receivedAt.$lte = new Date(endDate);
+    }
+
+    const receipts = await PurchaseReceipt.find(query)
+      .populate("supplier")
+      .populate("items.product", "name unit")
+      .sort({ receivedAt: -1 });
+
+    res.json(receipts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-receipts/{id}:
+ *   get:
+ *     summary: Kirim ma'lumotlari
+ *     tags: [PurchaseReceipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Kirim topildi
+ *       404:
+ *         description: Kirim topilmadi
+ */
+
+// GET /purchase-receipts/:id - Kirim ma'lumotlari
+router.get("/:id", async (req, res) => {
+  try {
+    const receipt = await PurchaseReceipt.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("supplier")
+      .populate("items.product", "name unit")
+      .populate("payments.createdBy", "fullName");
+
+    if (!receipt) {
+      return res.status(404).json({ message: "Kirim topilmadi" });
+    }
+
+    res.json(receipt);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/purchase-receipts/{id}/payment:
+ *   post:
+ *     summary: Yetkazib beruvchiga qarz to'lovi (qisman yoki to'liq)
+ *     tags: [PurchaseReceipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - payment
+ *             properties:
+ *               payment:
+ *                 type: number
+ *                 minimum: 0
+ *               paymentType:
+ *                 type: string
+ *                 enum: [cash, card]
+ *     responses:
+ *       200:
+ *         description: To'lov qabul qilindi
+ *       400:
+ *         description: Noto'g'ri to'lov ma'lumotlari
+ *       404:
+ *         description: Kirim topilmadi
+ */
+
+// POST /purchase-receipts/:id/payment - Yetkazib beruvchiga to'lov
+router.post("/:id/payment", authMiddleware, async (req, res) => {
+  try {
+    const { payment, paymentType = "cash" } = req.body;
+
+    if (!payment || typeof payment !== "number" || payment < 0) {
+      return res.status(400).json({
+        message: "To'lov miqdori musbat raqam bo'lishi kerak",
+      });
+    }
+    if (!["cash", "card"].includes(paymentType)) {
+      return res.status(400).json({ message: "Noto'g'ri to'lov turi" });
+    }
+
+    const receipt = await withTransaction(async (session) => {
+      const receipt = await PurchaseReceipt.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      }).session(session);
+      if (!receipt) throw new HttpError(404, "Kirim topilmadi");
+
+      if (payment > receipt.debtAmount) {
+        throw new HttpError(
+          400,
+          `To'lov qarzdan oshib ketdi. Qolgan qarz: ${receipt.debtAmount}`
+        );
+      }
+
+      receipt.paidAmount += payment;
+      receipt.debtAmount -= payment;
+      receipt.payments.push({
+        amount: payment,
+        paymentType,
+        createdBy: req.admin?._id || null,
+      });
+      await receipt.save();
+
+      await Transaction.create(
+        [
+          {
+            type: "supplier-payment",
+            amount: payment,
+            paymentType,
+            description: `Yetkazib beruvchiga to'lov - Kirim #${receipt._id}`,
+            relatedModel: "PurchaseReceipt",
+            relatedId: receipt._id,
+            supplier: receipt.supplier,
+            createdBy: req.admin?._id || null,
+          },
+        ],
+        { session }
+      );
+
+      await Supplier.findByIdAndUpdate(
+        receipt.supplier,
+        { $inc: { debt: -payment } },
+        { session }
+      );
+
+      return receipt;
+    });
+
+    const updatedReceipt = await PurchaseReceipt.findById(receipt._id).populate(
+      "supplier"
+    );
+    res.json(updatedReceipt);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
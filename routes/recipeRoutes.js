@@ -0,0 +1,542 @@
+const express = require("express");
+const router = express.Router();
+const Recipe = require("../models/recipes/recipe.model");
+const ProductionRun = require("../models/productionRuns/productionRun.model");
+const Product = require("../models/products/product.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { adjustStock, takeStock } = require("../services/stockService");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recipes
+ *   description: Retseptlar va ishlab chiqarish (qiyma, kolbasa, yarim tayyor mahsulotlar)
+ */
+
+// Ingredient qatorlari validation (yaratish va tahrirlash uchun umumiy)
+const ingredientItemValidation = [
+  body("ingredients.*.product")
+    .isMongoId()
+    .withMessage("Noto'g'ri ingredient ID"),
+  body("ingredients.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Ingredient miqdori musbat raqam bo'lishi kerak"),
+];
+
+// Recipe validation
+const recipeValidation = [
+  body("name").trim().notEmpty().withMessage("Retsept nomi majburiy"),
+  body("product").isMongoId().withMessage("Noto'g'ri tayyor mahsulot ID"),
+  body("ingredients")
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta ingredient bo'lishi kerak"),
+  ...ingredientItemValidation,
+  body("description").optional().trim(),
+];
+
+// Recipe update validation (hamma maydon ixtiyoriy)
+const recipeUpdateValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Retsept nomi bo'sh bo'lmasligi kerak"),
+  body("ingredients")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta ingredient bo'lishi kerak"),
+  ...ingredientItemValidation,
+  body("description").optional().trim(),
+  body("isActive").optional().isBoolean(),
+];
+
+// Retsept mahsulotlari mavjudligini tekshirish
+const checkRecipeProducts = async (productId, ingredients) => {
+  if (
+    ingredients.some((ingredient) => String(ingredient.product) === productId)
+  ) {
+    return "Tayyor mahsulot o'ziga ingredient bo'la olmaydi";
+  }
+  const ids = [
+    productId,
+    ...ingredients.map((ingredient) => ingredient.product),
+  ];
+  const count = await Product.countDocuments({
+    _id: { $in: ids },
+    isDeleted: false,
+  });
+  if (count !== new Set(ids.map(String)).size) {
+    return "Retseptdagi mahsulotlardan biri topilmadi";
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/recipes:
+ *   post:
+ *     summary: Yangi retsept
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - product
+ *               - ingredients
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Mol qiyma"
+ *               product:
+ *                 type: string
+ *                 description: Tayyor mahsulot ID
+ *               ingredients:
+ *                 type: array
+ *                 description: Tayyor mahsulotning 1 birligi uchun sarf
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Retsept yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *   get:
+ *     summary: Retseptlar ro'yxati
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Retseptlar ro'yxati
+ */
+
+// POST /recipes - Yangi retsept
+router.post("/", authMiddleware, recipeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, product, ingredients, description } = req.body;
+    const productError = await checkRecipeProducts(product, ingredients);
+    if (productError) {
+      return res.status(400).json({ message: productError });
+    }
+
+    const recipe = new Recipe({ name, product, ingredients, description });
+    await recipe.save();
+
+    const populatedRecipe = await Recipe.findById(recipe._id)
+      .populate("product", "name unit")
+      .populate("ingredients.product", "name unit quantity costPrice");
+    res.status(201).json(populatedRecipe);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /recipes - Retseptlar ro'yxati
+router.get("/", async (req, res) => {
+  try {
+    const recipes = await Recipe.find({ isDeleted: false })
+      .populate("product", "name unit")
+      .populate("ingredients.product", "name unit quantity costPrice")
+      .sort({ createdAt: -1 });
+    res.json(recipes);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recipes/runs:
+ *   get:
+ *     summary: Ishlab chiqarish tarixi
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: recipe
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Ishlab chiqarishlar ro'yxati
+ */
+
+// GET /recipes/runs - Ishlab chiqarish tarixi
+router.get("/runs", async (req, res) => {
+  try {
+    const { recipe, startDate, endDate } = req.query;
+
+    const query = { isDeleted: false };
+    if (recipe) query.recipe = recipe;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const runs = await ProductionRun.find(query)
+      .populate("recipe", "name")
+      .populate("product", "name unit")
+      .populate("ingredients.product", "name unit")
+      .populate("createdBy", "fullName")
+      .sort({ createdAt: -1 });
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recipes/{id}:
+ *   get:
+ *     summary: Retsept ma'lumotlari va taxminiy tannarx
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retsept topildi
+ *       404:
+ *         description: Retsept topilmadi
+ *   patch:
+ *     summary: Retseptni yangilash
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               ingredients:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Retsept yangilandi
+ *       404:
+ *         description: Retsept topilmadi
+ *   delete:
+ *     summary: Retseptni o'chirish (soft delete)
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retsept o'chirildi
+ *       404:
+ *         description: Retsept topilmadi
+ */
+
+// GET /recipes/:id - Retsept va joriy narxlar bo'yicha taxminiy tannarx
+router.get("/:id", async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("product", "name unit quantity costPrice")
+      .populate("ingredients.product", "name unit quantity costPrice");
+    if (!recipe) return res.status(404).json({ message: "Retsept topilmadi" });
+
+    const estimatedUnitCost = recipe.ingredients.reduce(
+      (sum, ingredient) =>
+        sum + ingredient.quantity * (ingredient.product?.costPrice || 0),
+      0
+    );
+
+    res.json({ ...recipe.toObject(), estimatedUnitCost });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /recipes/:id - Retseptni yangilash
+router.patch(
+  "/:id",
+  authMiddleware,
+  recipeUpdateValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const recipe = await Recipe.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      });
+      if (!recipe)
+        return res.status(404).json({ message: "Retsept topilmadi" });
+
+      const { name, ingredients, description, isActive } = req.body;
+      if (ingredients !== undefined) {
+        const productError = await checkRecipeProducts(
+          String(recipe.product),
+          ingredients
+        );
+        if (productError) {
+          return res.status(400).json({ message: productError });
+        }
+        recipe.ingredients = ingredients.map(({ product, quantity }) => ({
+          product,
+          quantity: Number(quantity),
+        }));
+      }
+      if (name !== undefined) recipe.name = name;
+      if (description !== undefined) recipe.description = description;
+      if (isActive !== undefined) recipe.isActive = Boolean(isActive);
+
+      await recipe.save();
+      res.json(recipe);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+// DELETE /recipes/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!recipe) return res.status(404).json({ message: "Retsept topilmadi" });
+
+    recipe.isDeleted = true;
+    recipe.deletedAt = new Date();
+    await recipe.save();
+
+    res.json({ message: "Retsept o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/recipes/{id}/produce:
+ *   post:
+ *     summary: Retsept bo'yicha ishlab chiqarish
+ *     description: Ingredientlar ombordan chiqariladi, tayyor mahsulot sarflangan tannarx bilan omborga kiritiladi
+ *     tags: [Recipes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *                 description: Ishlab chiqariladigan tayyor mahsulot miqdori
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Tayyor mahsulot yaroqlilik muddati (berilmasa shelfLifeDays bo'yicha)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Ishlab chiqarildi
+ *       400:
+ *         description: Ingredientlar yetarli emas
+ *       404:
+ *         description: Retsept topilmadi
+ */
+
+// POST /recipes/:id/produce - Ishlab chiqarish
+router.post(
+  "/:id/produce",
+  authMiddleware,
+  [
+    body("quantity")
+      .isFloat({ gt: 0 })
+      .withMessage("Miqdor musbat raqam bo'lishi kerak"),
+    body("expiryDate")
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage("Noto'g'ri yaroqlilik muddati formati"),
+    body("notes").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const quantity = Number(req.body.quantity);
+
+      const run = await withTransaction(async (session) => {
+        const recipe = await Recipe.findOne({
+          _id: req.params.id,
+          isDeleted: false,
+        }).session(session);
+        if (!recipe) throw new HttpError(404, "Retsept topilmadi");
+        if (!recipe.isActive) {
+          throw new HttpError(400, "Retsept faol emas");
+        }
+
+        // Barcha yetishmayotgan ingredientlarni bir vaqtda ko'rsatish
+        const shortages = [];
+        for (const ingredient of recipe.ingredients) {
+          const product = await Product.findById(ingredient.product).session(
+            session
+          );
+          const required = ingredient.quantity * quantity;
+          if (!product || product.quantity < required) {
+            shortages.push(
+              `${
+                product?.name || ingredient.product
+              }: kerak ${required}, mavjud ${product?.quantity || 0}`
+            );
+          }
+        }
+        if (shortages.length) {
+          throw new HttpError(
+            400,
+            `Ingredientlar yetarli emas: ${shortages.join("; ")}`
+          );
+        }
+
+        const run = new ProductionRun({
+          recipe: recipe._id,
+          product: recipe.product,
+          quantity,
+          notes: req.body.notes || "",
+          createdBy: req.admin?._id || null,
+        });
+        const movement = {
+          type: "production",
+          relatedModel: "ProductionRun",
+          relatedId: run._id,
+          createdBy: req.admin?._id,
+        };
+
+        // Ingredientlarni chiqarish
+        let totalCost = 0;
+        for (const ingredient of recipe.ingredients) {
+          const required = ingredient.quantity * quantity;
+          const { unitCost } = await takeStock(
+            ingredient.product,
+            required,
+            { ...movement, description: `${recipe.name} uchun sarflandi` },
+            session
+          );
+          run.ingredients.push({
+            product: ingredient.product,
+            quantity: required,
+            unitCost,
+            totalCost: unitCost * required,
+          });
+          totalCost += unitCost * required;
+        }
+
+        // Tayyor mahsulotni kiritish
+        const product = await Product.findOne({
+          _id: recipe.product,
+          isDeleted: false,
+        }).session(session);
+        if (!product) throw new HttpError(404, "Tayyor mahsulot topilmadi");
+
+        run.totalCost = totalCost;
+        run.unitCost = totalCost / quantity;
+        await adjustStock(
+          product,
+          quantity,
+          {
+            ...movement,
+            unitCost: run.unitCost,
+            lot: { expiryDate: req.body.expiryDate },
+            description: `${recipe.name} ishlab chiqarildi`,
+          },
+          session
+        );
+
+        await run.save({ session });
+        return run;
+      });
+
+      const populatedRun = await ProductionRun.findById(run._id)
+        .populate("product", "name unit quantity costPrice")
+        .populate("ingredients.product", "name unit quantity");
+      res.status(201).json(populatedRun);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,620 @@
+const express = require("express");
+const router = express.Router();
+const StandingOrder = require("../models/standingOrders/standingOrder.model");
+const Client = require("../models/clients/client.model");
+const Product = require("../models/products/product.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { HttpError } = require("../utils/withTransaction");
+const { ORDER_STATUSES } = require("../utils/orderStatus");
+const { UNIT_CODES, normalizeUnit } = require("../utils/units");
+const { tashkentDayRange } = require("../utils/tashkentTime");
+
+/**
+ * @swagger
+ * tags:
+ *   name: StandingOrders
+ *   description: Doimiy buyurtmalar (restoranlar uchun har hafta takrorlanadigan shablonlar)
+ */
+
+const standingOrderPopulate = [
+  { path: "client", select: "fullName phone addresses" },
+  { path: "products.product", select: "name unit salePrice" },
+  { path: "lastOrder", select: "totalAmount status createdAt" },
+];
+
+// Shablon validation (tahrirlashda hamma maydon ixtiyoriy)
+const standingOrderValidation = [
+  body("name").optional().trim(),
+  body("products")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("products kamida bitta qatordan iborat massiv bo'lishi kerak"),
+  body("products.*.product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("products.*.quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Miqdor musbat son bo'lishi kerak"),
+  body("products.*.unit")
+    .optional({ values: "null" })
+    .custom((value) => {
+      if (!normalizeUnit(value)) {
+        throw new Error(`O'lchov birligi: ${UNIT_CODES.join(", ")}`);
+      }
+      return true;
+    }),
+  body("products.*.price")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Narx musbat son bo'lishi kerak"),
+  body("weekdays")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("weekdays kamida bitta kundan iborat massiv bo'lishi kerak"),
+  body("weekdays.*")
+    .isInt({ min: 1, max: 7 })
+    .withMessage("Hafta kuni 1 (dushanba) dan 7 (yakshanba) gacha"),
+  body("time")
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage("Vaqt HH:mm formatida bo'lishi kerak"),
+  body("address")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Noto'g'ri manzil ID"),
+  body("orderStatus")
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage("Noto'g'ri buyurtma holati"),
+  body("paymentTermDays")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("paymentTermDays musbat butun son bo'lishi kerak"),
+  body("notes").optional().trim(),
+];
+
+const createValidation = [
+  body("client").isMongoId().withMessage("Noto'g'ri mijoz ID"),
+  body(["products", "weekdays", "time"])
+    .exists({ values: "null" })
+    .withMessage("products, weekdays va time majburiy"),
+  ...standingOrderValidation,
+];
+
+// Sana (YYYY-MM-DD) -> Toshkent kuni boshi
+const toTashkentDay = (date) =>
+  tashkentDayRange(new Date(`${date}T12:00:00Z`)).start;
+
+// Mijoz, uning manzili va mahsulotlar mavjudligini tekshirish
+const checkReferences = async (standingOrder) => {
+  const client = await Client.findOne({
+    _id: standingOrder.client,
+    isDeleted: false,
+  });
+  if (!client) throw new HttpError(404, "Mijoz topilmadi");
+  if (standingOrder.address && !client.addresses?.id(standingOrder.address)) {
+    throw new HttpError(400, "Mijoz manzili topilmadi");
+  }
+
+  const productIds = [
+    ...new Set(standingOrder.products.map((line) => String(line.product))),
+  ];
+  const count = await Product.countDocuments({
+    _id: { $in: productIds },
+    isDeleted: false,
+  });
+  if (count !== productIds.length) {
+    throw new HttpError(404, "Mahsulot topilmadi");
+  }
+  return client;
+};
+
+const findStandingOrder = async (id) => {
+  const standingOrder = await StandingOrder.findOne({
+    _id: id,
+    isDeleted: false,
+  });
+  if (!standingOrder) throw new HttpError(404, "Doimiy buyurtma topilmadi");
+  return standingOrder;
+};
+
+/**
+ * @swagger
+ * /api/standing-orders:
+ *   post:
+ *     summary: Doimiy buyurtma shabloni qo'shish
+ *     description: |
+ *       Tanlangan hafta kunlari belgilangan vaqtda (Toshkent) scheduler POST /api/orders bilan bir xil hisobda buyurtma yaratadi.
+ *       Narx berilmasa yaratilgan kuni mijoz narxlar ro'yxatidan olinadi, aksiyalar qo'llanadi.
+ *       Buyurtma to'lovsiz yaratiladi: qoldiq qarz, muddati buyurtma kunidan paymentTermDays kun keyin.
+ *       Yaratilganda Telegram xabari va Socket.IO "new_order", "standing_order_generated" yuboriladi,
+ *       yaratilmasa "standing_order_failed" va lastError
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StandingOrderInput'
+ *     responses:
+ *       201:
+ *         description: Shablon yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Mijoz yoki mahsulot topilmadi
+ *   get:
+ *     summary: Doimiy buyurtmalar ro'yxati
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isPaused
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: weekday
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: "{ data, pagination }"
+ *
+ * components:
+ *   schemas:
+ *     StandingOrderInput:
+ *       type: object
+ *       required:
+ *         - client
+ *         - products
+ *         - weekdays
+ *         - time
+ *       properties:
+ *         client:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: "Har kungi go'sht"
+ *         products:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               unit:
+ *                 type: string
+ *                 enum: [kg, g, piece, pack]
+ *               price:
+ *                 type: number
+ *                 description: Berilmasa buyurtma kuni narxlar ro'yxatidan
+ *         weekdays:
+ *           type: array
+ *           description: 1 - dushanba ... 7 - yakshanba
+ *           items:
+ *             type: integer
+ *           example: [1, 2, 3, 4, 5, 6]
+ *         time:
+ *           type: string
+ *           description: Buyurtma yaratiladigan vaqt (Toshkent, HH:mm)
+ *           example: "06:30"
+ *         address:
+ *           type: string
+ *           description: Mijozning saqlangan manzili ID si (client.addresses)
+ *         car:
+ *           description: Mijoz mashinasi ID si (client.cars) yoki obyekt
+ *         orderStatus:
+ *           type: string
+ *           enum: [pending, new, confirmed, packing, ready, out_for_delivery, delivered, completed, cancelled]
+ *           default: new
+ *         paymentTermDays:
+ *           type: integer
+ *           description: Qarz muddati (buyurtma kunidan necha kun keyin)
+ *           default: 0
+ *         notes:
+ *           type: string
+ */
+
+// POST /standing-orders - Shablon qo'shish
+router.post("/", authMiddleware, createValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const standingOrder = new StandingOrder({
+      client: req.body.client,
+      name: req.body.name,
+      products: req.body.products,
+      weekdays: [...new Set(req.body.weekdays.map(Number))].sort(),
+      time: req.body.time,
+      address: req.body.address || null,
+      car: req.body.car || null,
+      orderStatus: req.body.orderStatus,
+      paymentTermDays: req.body.paymentTermDays,
+      notes: req.body.notes,
+      createdBy: req.admin?._id,
+    });
+    const client = await checkReferences(standingOrder);
+    if (!standingOrder.name) standingOrder.name = client.fullName;
+
+    await standingOrder.save();
+    await standingOrder.populate(standingOrderPopulate);
+    res.status(201).json(standingOrder);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// GET /standing-orders - Shablonlar ro'yxati
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const { client, isPaused, weekday } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = { isDeleted: false };
+    if (client) filter.client = client;
+    if (isPaused !== undefined) filter.isPaused = isPaused === "true";
+    if (weekday) filter.weekdays = Number(weekday);
+
+    const [standingOrders, totalCount] = await Promise.all([
+      StandingOrder.find(filter)
+        .populate(standingOrderPopulate)
+        .sort({ time: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StandingOrder.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+    res.json({
+      data: standingOrders,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        nextPage: page < totalPages ? page + 1 : null,
+        prevPage: page > 1 ? page - 1 : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/standing-orders/{id}:
+ *   get:
+ *     summary: Doimiy buyurtma
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shablon (lastOrder, lastError bilan)
+ *       404:
+ *         description: Doimiy buyurtma topilmadi
+ *   patch:
+ *     summary: Shablonni yangilash
+ *     description: O'zgarish keyingi yaratiladigan buyurtmalarga qo'llanadi
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StandingOrderInput'
+ *     responses:
+ *       200:
+ *         description: Shablon yangilandi
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Doimiy buyurtma topilmadi
+ *   delete:
+ *     summary: Shablonni o'chirish (soft delete)
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shablon o'chirildi
+ *       404:
+ *         description: Doimiy buyurtma topilmadi
+ */
+
+// GET /standing-orders/:id - Shablon
+router.get("/:id", authMiddleware, async (req, res) => {
+  try {
+    const standingOrder = await findStandingOrder(req.params.id);
+    await standingOrder.populate(standingOrderPopulate);
+    res.json(standingOrder);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// PATCH /standing-orders/:id - Shablonni yangilash
+router.patch(
+  "/:id",
+  authMiddleware,
+  standingOrderValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const standingOrder = await findStandingOrder(req.params.id);
+      const allowedFields = [
+        "name",
+        "products",
+        "time",
+        "address",
+        "car",
+        "orderStatus",
+        "paymentTermDays",
+        "notes",
+      ];
+      for (const field of allowedFields) {
+        if (req.body[field] !== undefined) {
+          standingOrder[field] = req.body[field];
+        }
+      }
+      if (req.body.weekdays !== undefined) {
+        standingOrder.weekdays = [
+          ...new Set(req.body.weekdays.map(Number)),
+        ].sort();
+      }
+      await checkReferences(standingOrder);
+
+      await standingOrder.save();
+      await standingOrder.populate(standingOrderPopulate);
+      res.json(standingOrder);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+// DELETE /standing-orders/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const standingOrder = await findStandingOrder(req.params.id);
+    standingOrder.isDeleted = true;
+    standingOrder.deletedAt = new Date();
+    await standingOrder.save();
+    res.json({ message: "Doimiy buyurtma o'chirildi" });
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/standing-orders/{id}/pause:
+ *   patch:
+ *     summary: Shablonni to'xtatish
+ *     description: until berilsa shu kundan boshlab avtomatik davom etadi, berilmasa resume gacha
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               until:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-01-05"
+ *     responses:
+ *       200:
+ *         description: Shablon to'xtatildi
+ *       404:
+ *         description: Doimiy buyurtma topilmadi
+ */
+
+// PATCH /standing-orders/:id/pause - To'xtatish
+router.patch(
+  "/:id/pause",
+  authMiddleware,
+  [
+    body("until")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Noto'g'ri sana formati"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const standingOrder = await findStandingOrder(req.params.id);
+      const pausedUntil = req.body.until
+        ? toTashkentDay(req.body.until.slice(0, 10))
+        : null;
+      if (pausedUntil && pausedUntil <= new Date()) {
+        throw new HttpError(400, "until kelajakdagi sana bo'lishi kerak");
+      }
+
+      standingOrder.isPaused = true;
+      standingOrder.pausedUntil = pausedUntil;
+      await standingOrder.save();
+      res.json(standingOrder);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/standing-orders/{id}/resume:
+ *   patch:
+ *     summary: Shablonni davom ettirish
+ *     description: Bugungi vaqt o'tgan bo'lsa va bugun hali yaratilmagan bo'lsa, buyurtma keyingi daqiqada yaratiladi
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shablon davom ettirildi
+ *       404:
+ *         description: Doimiy buyurtma topilmadi
+ */
+
+// PATCH /standing-orders/:id/resume - Davom ettirish
+router.patch("/:id/resume", authMiddleware, async (req, res) => {
+  try {
+    const standingOrder = await findStandingOrder(req.params.id);
+    standingOrder.isPaused = false;
+    standingOrder.pausedUntil = null;
+    await standingOrder.save();
+    res.json(standingOrder);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/standing-orders/{id}/skip:
+ *   patch:
+ *     summary: Bitta kunni o'tkazib yuborish yoki qaytarish
+ *     description: skip=false bo'lsa kun o'tkazib yuboriladiganlar ro'yxatidan olib tashlanadi
+ *     tags: [StandingOrders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2026-01-01"
+ *               skip:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Shablon (skipDates bilan)
+ *       400:
+ *         description: Validation xatosi
+ *       404:
+ *         description: Doimiy buyurtma topilmadi
+ */
+
+// PATCH /standing-orders/:id/skip - Kunni o'tkazib yuborish
+router.patch(
+  "/:id/skip",
+  authMiddleware,
+  [
+    body("date").isISO8601().withMessage("Noto'g'ri sana formati"),
+    body("skip").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const standingOrder = await findStandingOrder(req.params.id);
+      const day = toTashkentDay(req.body.date.slice(0, 10));
+      const today = tashkentDayRange().start;
+      if (day < today) {
+        throw new HttpError(400, "O'tgan kunni o'tkazib bo'lmaydi");
+      }
+
+      // O'tib ketgan kunlar ro'yxatdan tozalanadi
+      const skipDates = standingOrder.skipDates.filter(
+        (date) => date >= today && date.getTime() !== day.getTime()
+      );
+      if (req.body.skip !== false && req.body.skip !== "false") {
+        skipDates.push(day);
+      }
+      standingOrder.skipDates = skipDates.sort((a, b) => a - b);
+      await standingOrder.save();
+      res.json(standingOrder);
+    } catch (error) {
+      res.status(error.status || 500).json({ message: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,442 @@
+const express = require("express");
+const router = express.Router();
+const Stocktake = require("../models/stocktakes/stocktake.model");
+const Product = require("../models/products/product.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { adjustStock } = require("../services/stockService");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const { roundQuantity } = require("../utils/units");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Stocktakes
+ *   description: Inventarizatsiya - qoldiqni sanash va farqlarni tasdiqlash
+ */
+
+// Count validation
+const countValidation = [
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("Kamida bitta mahsulot bo'lishi kerak"),
+  body("items.*.product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("items.*.countedQuantity")
+    .isFloat({ min: 0 })
+    .withMessage("Sanalgan miqdor manfiy bo'lmasligi kerak"),
+];
+
+// Ochiq sessiya uchun farq sanash paytidagi tizim qoldig'i bo'yicha
+const withVariance = async (stocktake) => {
+  const result = stocktake.toObject();
+  if (stocktake.status !== "open") return result;
+
+  const products = await Product.find({
+    _id: { $in: stocktake.items.map((item) => item.product) },
+  }).select("name unit quantity costPrice");
+  const productMap = new Map(products.map((p) => [String(p._id), p]));
+
+  result.totalVarianceValue = 0;
+  result.items = result.items.map((item) => {
+    const product = productMap.get(String(item.product));
+    const variance = roundQuantity(
+      item.countedQuantity - item.systemQuantity,
+      product?.unit
+    );
+    result.totalVarianceValue += variance * item.costPrice;
+    return {
+      ...item,
+      product: product || item.product,
+      variance,
+      varianceValue: variance * item.costPrice,
+    };
+  });
+  return result;
+};
+
+/**
+ * @swagger
+ * /api/stocktakes:
+ *   post:
+ *     summary: Yangi inventarizatsiya sessiyasini ochish
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Sessiya ochildi
+ *       400:
+ *         description: Boshqa ochiq sessiya mavjud
+ *   get:
+ *     summary: Inventarizatsiyalar ro'yxati
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, approved, cancelled]
+ *     responses:
+ *       200:
+ *         description: Inventarizatsiyalar ro'yxati
+ */
+
+// POST /stocktakes - Sessiyani ochish
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const openStocktake = await Stocktake.findOne({
+      status: "open",
+      isDeleted: false,
+    });
+    if (openStocktake) {
+      return res.status(400).json({
+        message: "Ochiq inventarizatsiya mavjud, avval uni yakunlang",
+        stocktake: openStocktake._id,
+      });
+    }
+
+    const stocktake = new Stocktake({
+      notes: req.body.notes || "",
+      createdBy: req.admin?._id || null,
+    });
+    await stocktake.save();
+
+    res.status(201).json(stocktake);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /stocktakes - Inventarizatsiyalar ro'yxati
+router.get("/", async (req, res) => {
+  try {
+    const query = { isDeleted: false };
+    if (req.query.status) query.status = req.query.status;
+
+    const stocktakes = await Stocktake.find(query)
+      .select("-items")
+      .populate("createdBy", "fullName")
+      .populate("approvedBy", "fullName")
+      .sort({ createdAt: -1 });
+
+    res.json(stocktakes);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}:
+ *   get:
+ *     summary: Inventarizatsiya va farqlar
+ *     description: Ochiq sessiyada farq joriy Product.quantity bo'yicha hisoblanadi, tasdiqlanganda qo'llangan farq qaytadi
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sanalgan mahsulotlar, tizimdagi qoldiq, farq va uning tannarx qiymati
+ *       404:
+ *         description: Inventarizatsiya topilmadi
+ */
+
+// GET /stocktakes/:id - Inventarizatsiya va farqlar
+router.get("/:id", async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("createdBy", "fullName")
+      .populate("approvedBy", "fullName");
+    if (!stocktake) {
+      return res.status(404).json({ message: "Inventarizatsiya topilmadi" });
+    }
+
+    if (stocktake.status !== "open") {
+      await stocktake.populate("items.product", "name unit");
+    }
+    res.json(await withVariance(stocktake));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/counts:
+ *   patch:
+ *     summary: Sanalgan miqdorlarni kiritish
+ *     description: Avval sanalgan mahsulot qayta yuborilsa, miqdori yangilanadi. Sanash paytidagi tizim qoldig'i (systemQuantity) va tannarx saqlanadi
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     countedQuantity:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Miqdorlar saqlandi
+ *       400:
+ *         description: Validation xatosi yoki sessiya yopilgan
+ *       404:
+ *         description: Inventarizatsiya yoki mahsulot topilmadi
+ */
+
+// PATCH /stocktakes/:id/counts - Sanalgan miqdorlarni kiritish
+router.patch(
+  "/:id/counts",
+  authMiddleware,
+  countValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const stocktake = await Stocktake.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      });
+      if (!stocktake) {
+        return res.status(404).json({ message: "Inventarizatsiya topilmadi" });
+      }
+      if (stocktake.status !== "open") {
+        return res
+          .status(400)
+          .json({
+            message: "Inventarizatsiya yopilgan, o'zgartirib bo'lmaydi",
+          });
+      }
+
+      const productIds = req.body.items.map((item) => item.product);
+      const products = await Product.find({
+        _id: { $in: productIds },
+        isDeleted: false,
+      }).select("unit quantity costPrice");
+      if (products.length !== new Set(productIds.map(String)).size) {
+        return res.status(404).json({ message: "Mahsulot topilmadi" });
+      }
+      const productMap = new Map(products.map((p) => [String(p._id), p]));
+
+      // Farq sanash paytidagi qoldiqqa nisbatan: sanash va tasdiqlash orasidagi
+      // sotuv, kirim va hisobdan chiqarishlar tasdiqlashda saqlanib qoladi
+      for (const { product, countedQuantity } of req.body.items) {
+        const { unit, quantity, costPrice } = productMap.get(String(product));
+        const count = {
+          countedQuantity: roundQuantity(Number(countedQuantity), unit),
+          countedAt: new Date(),
+          countedBy: req.admin?._id || null,
+          systemQuantity: quantity,
+          costPrice,
+        };
+        const existing = stocktake.items.find(
+          (item) => String(item.product) === String(product)
+        );
+        if (existing) Object.assign(existing, count);
+        else stocktake.items.push({ product, ...count });
+      }
+      await stocktake.save();
+
+      res.json(await withVariance(stocktake));
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/approve:
+ *   post:
+ *     summary: Inventarizatsiyani tasdiqlash va farqlarni qo'llash (faqat superadmin)
+ *     description: Har bir mahsulotga sanalgan miqdor va sanash paytidagi tizim qoldig'i farqi (countedQuantity - systemQuantity) ombor harakati sifatida qo'llanadi. Sanashdan keyingi harakatlar saqlanib qoladi
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Farqlar qo'llandi
+ *       400:
+ *         description: Sessiya ochiq emas, bo'sh yoki farq qo'llansa qoldiq manfiy bo'ladi
+ *       403:
+ *         description: Ruxsat yo'q
+ *       404:
+ *         description: Inventarizatsiya topilmadi
+ */
+
+// POST /stocktakes/:id/approve - Tasdiqlash (faqat superadmin)
+router.post("/:id/approve", authMiddleware, async (req, res) => {
+  try {
+    if (req.admin?.role !== "superadmin") {
+      return res.status(403).json({
+        message: "Inventarizatsiyani faqat superadmin tasdiqlay oladi",
+      });
+    }
+
+    const stocktake = await withTransaction(async (session) => {
+      const stocktake = await Stocktake.findOne({
+        _id: req.params.id,
+        isDeleted: false,
+      }).session(session);
+      if (!stocktake) throw new HttpError(404, "Inventarizatsiya topilmadi");
+      if (stocktake.status !== "open") {
+        throw new HttpError(400, "Inventarizatsiya ochiq emas");
+      }
+      if (!stocktake.items.length) {
+        throw new HttpError(400, "Sanalgan mahsulotlar yo'q");
+      }
+
+      let totalVarianceValue = 0;
+      for (const item of stocktake.items) {
+        const product = await Product.findById(item.product).session(session);
+        if (!product) {
+          throw new HttpError(404, `Mahsulot topilmadi: ${item.product}`);
+        }
+
+        // Farq sanash paytidagi qoldiqqa nisbatan olinadi
+        item.variance = roundQuantity(
+          item.countedQuantity - item.systemQuantity,
+          product.unit
+        );
+        item.varianceValue = item.variance * item.costPrice;
+
+        // Sanashdan keyin sotilgan bo'lsa farq joriy qoldiqdan ko'p bo'lishi mumkin
+        const quantityAfter = roundQuantity(
+          product.quantity + item.variance,
+          product.unit
+        );
+        if (quantityAfter < 0) {
+          throw new HttpError(
+            400,
+            `${product.name}: sanashdan keyin qoldiq o'zgargan, farq qo'llansa qoldiq manfiy bo'ladi (${quantityAfter}). Mahsulotni qayta sanang`
+          );
+        }
+
+        if (item.variance !== 0) {
+          const { unitCost } = await adjustStock(
+            product,
+            item.variance,
+            {
+              type: "adjustment",
+              relatedModel: "Stocktake",
+              relatedId: stocktake._id,
+              createdBy: req.admin?._id,
+              description: "Inventarizatsiya",
+            },
+            session
+          );
+          item.costPrice = unitCost;
+          item.varianceValue = item.variance * unitCost;
+        }
+        totalVarianceValue += item.varianceValue;
+      }
+
+      stocktake.status = "approved";
+      stocktake.totalVarianceValue = totalVarianceValue;
+      stocktake.approvedBy = req.admin._id;
+      stocktake.approvedAt = new Date();
+      await stocktake.save();
+      return stocktake;
+    });
+
+    const populatedStocktake = await Stocktake.findById(stocktake._id)
+      .populate("items.product", "name unit quantity")
+      .populate("approvedBy", "fullName");
+    res.json(populatedStocktake);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stocktakes/{id}/cancel:
+ *   post:
+ *     summary: Inventarizatsiyani bekor qilish (qoldiq o'zgarmaydi)
+ *     tags: [Stocktakes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bekor qilindi
+ *       400:
+ *         description: Sessiya ochiq emas
+ *       404:
+ *         description: Inventarizatsiya topilmadi
+ */
+
+// POST /stocktakes/:id/cancel - Bekor qilish
+router.post("/:id/cancel", authMiddleware, async (req, res) => {
+  try {
+    const stocktake = await Stocktake.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!stocktake) {
+      return res.status(404).json({ message: "Inventarizatsiya topilmadi" });
+    }
+    if (stocktake.status !== "open") {
+      return res.status(400).json({ message: "Inventarizatsiya ochiq emas" });
+    }
+
+    stocktake.status = "cancelled";
+    await stocktake.save();
+    res.json(stocktake);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
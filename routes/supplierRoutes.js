@@ -0,0 +1,262 @@
+const express = require("express");
+const router = express.Router();
+const Supplier = require("../models/suppliers/supplier.model");
+const PurchaseReceipt = require("../models/purchaseReceipts/purchaseReceipt.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Suppliers
+ *   description: Yetkazib beruvchilar boshqaruvi
+ */
+
+// Supplier validation
+const supplierValidation = [
+  body("fullName").trim().notEmpty().withMessage("Ism majburiy"),
+  body("phone").trim().notEmpty().withMessage("Telefon majburiy"),
+  body("company").optional().trim(),
+  body("notes").optional().trim(),
+];
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Yangi yetkazib beruvchi qo'shish
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fullName
+ *               - phone
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               company:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Yetkazib beruvchi yaratildi
+ *       400:
+ *         description: Validation xatosi
+ *       500:
+ *         description: Server xatosi
+ *   get:
+ *     summary: Yetkazib beruvchilar ro'yxati
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Ism, kompaniya yoki telefon bo'yicha qidiruv
+ *       - in: query
+ *         name: hasDebt
+ *         schema:
+ *           type: boolean
+ *         description: Faqat qarzimiz bor yetkazib beruvchilar
+ *     responses:
+ *       200:
+ *         description: Yetkazib beruvchilar ro'yxati
+ */
+
+// POST /suppliers - Yangi yetkazib beruvchi
+router.post("/", authMiddleware, supplierValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fullName, phone, company, notes } = req.body;
+    const supplier = new Supplier({ fullName, phone, company, notes });
+    await supplier.save();
+
+    res.status(201).json(supplier);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET /suppliers - Yetkazib beruvchilar ro'yxati
+router.get("/", async (req, res) => {
+  try {
+    const { search, hasDebt } = req.query;
+
+    const query = { isDeleted: false };
+    if (search) {
+      query.$or = [
+        { fullName: { $regex: search, $options: "i" } },
+        { company: { $regex: search, $options: "i" } },
+        { phone: { $regex: search, $options: "i" } },
+      ];
+    }
+    if (hasDebt === "true") query.debt = { $gt: 0 };
+
+    const suppliers = await Supplier.find(query).sort({ createdAt: -1 });
+    res.json(suppliers);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Yetkazib beruvchi ma'lumotlari va oxirgi xaridlari
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Yetkazib beruvchi topildi
+ *       404:
+ *         description: Yetkazib beruvchi topilmadi
+ *   patch:
+ *     summary: Yetkazib beruvchi ma'lumotlarini yangilash
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               company:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Ma'lumotlar yangilandi
+ *       404:
+ *         description: Yetkazib beruvchi topilmadi
+ *   delete:
+ *     summary: Yetkazib beruvchini o'chirish (soft delete)
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Yetkazib beruvchi o'chirildi
+ *       400:
+ *         description: Yetkazib beruvchiga qarz bor
+ *       404:
+ *         description: Yetkazib beruvchi topilmadi
+ */
+
+// GET /suppliers/:id - Yetkazib beruvchi ma'lumotlari
+router.get("/:id", async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!supplier) {
+      return res.status(404).json({ message: "Yetkazib beruvchi topilmadi" });
+    }
+
+    const receipts = await PurchaseReceipt.find({
+      supplier: supplier._id,
+      isDeleted: false,
+    })
+      .populate("items.product", "name unit")
+      .sort({ receivedAt: -1 })
+      .limit(20);
+
+    res.json({ ...supplier.toObject(), receipts });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PATCH /suppliers/:id - Ma'lumotlarni yangilash (qarz faqat xarid va to'lovlar orqali o'zgaradi)
+router.patch("/:id", authMiddleware, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!supplier) {
+      return res.status(404).json({ message: "Yetkazib beruvchi topilmadi" });
+    }
+
+    const { fullName, phone, company, notes } = req.body;
+    if (fullName !== undefined) supplier.fullName = fullName;
+    if (phone !== undefined) supplier.phone = phone;
+    if (company !== undefined) supplier.company = company;
+    if (notes !== undefined) supplier.notes = notes;
+
+    await supplier.save();
+    res.json(supplier);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE /suppliers/:id - Soft delete
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    });
+    if (!supplier) {
+      return res.status(404).json({ message: "Yetkazib beruvchi topilmadi" });
+    }
+    if (supplier.debt > 0) {
+      return res.status(400).json({
+        message: "Yetkazib beruvchiga qarz to'lanmagan, o'chirib bo'lmaydi",
+      });
+    }
+
+    supplier.isDeleted = true;
+    supplier.deletedAt = new Date();
+    await supplier.save();
+
+    res.json({ message: "Yetkazib beruvchi o'chirildi" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
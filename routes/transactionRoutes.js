@@ -181,9 +181,12 @@ router.get("/statistics/monthly-transactions", async (req, res) => {
     result.forEach((item) => {
       const index = item._id.month - 1;
       if (item._id.type === "cash-in") {
-        cashIn[index] = item.total;
-      } else if (item._id.type === "cash-out") {
-        cashOut[index] = item.total;
+        cashIn[index] += item.total;
+      } else if (
+        ["cash-out", "purchase", "supplier-payment"].includes(item._id.type)
+      ) {
+        // Yetkazib beruvchiga to'lovlar ham chiqim hisoblanadi
+        cashOut[index] += item.total;
       }
     });
     res.json({ cashIn, cashOut });
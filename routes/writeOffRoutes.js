@@ -0,0 +1,327 @@
+const express = require("express");
+const router = express.Router();
+const WriteOff = require("../models/writeOffs/writeOff.model");
+const { WRITE_OFF_REASONS } = WriteOff;
+const Transaction = require("../models/transactions/transaction.model");
+const authMiddleware = require("../middleware/authMiddleware");
+const { body, validationResult } = require("express-validator");
+const { takeStock } = require("../services/stockService");
+const { withTransaction } = require("../utils/withTransaction");
+
+/**
+ * @swagger
+ * tags:
+ *   name: WriteOffs
+ *   description: Hisobdan chiqarish (buzilish, qurish, tozalash) va yo'qotishlar hisoboti
+ */
+
+// Write-off validation
+const writeOffValidation = [
+  body("product").isMongoId().withMessage("Noto'g'ri mahsulot ID"),
+  body("quantity")
+    .isFloat({ gt: 0 })
+    .withMessage("Miqdor musbat raqam bo'lishi kerak"),
+  body("reason")
+    .isIn(WRITE_OFF_REASONS)
+    .withMessage(`Sabab quyidagilardan biri: ${WRITE_OFF_REASONS.join(", ")}`),
+  body("notes").optional().trim(),
+];
+
+/**
+ * @swagger
+ * /api/write-offs:
+ *   post:
+ *     summary: Mahsulotni hisobdan chiqarish
+ *     description: Qoldiq tannarx bo'yicha kamayadi (partiyalar FEFO tartibida), ombor harakati va yo'qotish xarajati yoziladi
+ *     tags: [WriteOffs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - quantity
+ *               - reason
+ *             properties:
+ *               product:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 example: 1.5
+ *               reason:
+ *                 type: string
+ *                 enum: [spoilage, shrinkage, trimming, theft, sample]
+ *                 description: "spoilage - buzilish, shrinkage - qurish (vazn yo'qotish), trimming - tozalash, theft - o'g'irlik, sample - namuna"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Hisobdan chiqarildi
+ *       400:
+ *         description: Validation xatosi yoki ombor yetarli emas
+ *       404:
+ *         description: Mahsulot topilmadi
+ *   get:
+ *     summary: Hisobdan chiqarishlar ro'yxati
+ *     tags: [WriteOffs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [spoilage, shrinkage, trimming, theft, sample]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Hisobdan chiqarishlar ro'yxati
+ */
+
+// POST /write-offs - Hisobdan chiqarish
+router.post("/", authMiddleware, writeOffValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { product: productId, reason, notes } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    const writeOff = await withTransaction(async (session) => {
+      const writeOff = new WriteOff({
+        product: productId,
+        quantity,
+        reason,
+        notes: notes || "",
+        createdBy: req.admin?._id || null,
+      });
+
+      const { product, unitCost, lots } = await takeStock(
+        productId,
+        quantity,
+        {
+          type: "write-off",
+          relatedModel: "WriteOff",
+          relatedId: writeOff._id,
+          createdBy: req.admin?._id,
+          description: `Hisobdan chiqarildi (${reason})`,
+        },
+        session
+      );
+
+      writeOff.unitCost = unitCost;
+      writeOff.totalCost = unitCost * quantity;
+      writeOff.lots = lots.map(({ lot, quantity }) => ({ lot, quantity }));
+      await writeOff.save({ session });
+
+      // Yo'qotish xarajat sifatida (pul harakatisiz)
+      await Transaction.create(
+        [
+          {
+            type: "write-off",
+            amount: writeOff.totalCost,
+            paymentType: "none",
+            description: `Hisobdan chiqarish - ${product.name} ${quantity} ${
+              product.unit || ""
+            } (${reason})`,
+            relatedModel: "WriteOff",
+            relatedId: writeOff._id,
+            createdBy: req.admin?._id || null,
+          },
+        ],
+        { session }
+      );
+
+      return writeOff;
+    });
+
+    const populatedWriteOff = await WriteOff.findById(writeOff._id).populate(
+      "product",
+      "name unit quantity costPrice"
+    );
+    res.status(201).json(populatedWriteOff);
+  } catch (error) {
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// GET /write-offs - Hisobdan chiqarishlar ro'yxati
+router.get("/", async (req, res) => {
+  try {
+    const { product, reason, startDate, endDate } = req.query;
+
+    const query = { isDeleted: false };
+    if (product) query.product = product;
+    if (reason) query.reason = reason;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const writeOffs = await WriteOff.find(query)
+      .populate("product", "name unit")
+      .populate("createdBy", "fullName")
+      .sort({ createdAt: -1 });
+
+    res.json(writeOffs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/write-offs/report/monthly:
+ *   get:
+ *     summary: Oylik yo'qotishlar hisoboti (mahsulot va sabab bo'yicha)
+ *     tags: [WriteOffs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Yil (standart - joriy yil)
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Oy (standart - joriy oy)
+ *     responses:
+ *       200:
+ *         description: Mahsulot va sabab kesimida yo'qotish miqdori va qiymati
+ */
+
+// GET /write-offs/report/monthly - Oylik yo'qotishlar hisoboti
+router.get("/report/monthly", async (req, res) => {
+  try {
+    const now = new Date();
+    const year = parseInt(req.query.year) || now.getFullYear();
+    const month = parseInt(req.query.month) || now.getMonth() + 1;
+    if (month < 1 || month > 12) {
+      return res
+        .status(400)
+        .json({ message: "Oy 1 dan 12 gacha bo'lishi kerak" });
+    }
+
+    const start = new Date(year, month - 1, 1);
+    const end = new Date(year, month, 1);
+
+    const rows = await WriteOff.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: start, $lt: end },
+          isDeleted: false,
+        },
+      },
+      {
+        $group: {
+          _id: { product: "$product", reason: "$reason" },
+          quantity: { $sum: "$quantity" },
+          totalCost: { $sum: "$totalCost" },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $lookup: {
+          from: "products",
+          localField: "_id.product",
+          foreignField: "_id",
+          as: "product",
+        },
+      },
+      { $unwind: { path: "$product", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          product: "$_id.product",
+          name: "$product.name",
+          unit: "$product.unit",
+          reason: "$_id.reason",
+          quantity: 1,
+          totalCost: 1,
+          count: 1,
+        },
+      },
+      { $sort: { totalCost: -1 } },
+    ]);
+
+    const byReason = {};
+    let totalCost = 0;
+    for (const row of rows) {
+      byReason[row.reason] = (byReason[row.reason] || 0) + row.totalCost;
+      totalCost += row.totalCost;
+    }
+
+    res.json({ year, month, totalCost, byReason, data: rows });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/write-offs/{id}:
+ *   get:
+ *     summary: Hisobdan chiqarish ma'lumotlari
+ *     tags: [WriteOffs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hisobdan chiqarish topildi
+ *       404:
+ *         description: Hisobdan chiqarish topilmadi
+ */
+
+// GET /write-offs/:id - Hisobdan chiqarish ma'lumotlari
+router.get("/:id", async (req, res) => {
+  try {
+    const writeOff = await WriteOff.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+    })
+      .populate("product", "name unit")
+      .populate("lots.lot", "lotNumber slaughterDate expiryDate")
+      .populate("createdBy", "fullName");
+
+    if (!writeOff) {
+      return res.status(404).json({ message: "Hisobdan chiqarish topilmadi" });
+    }
+
+    res.json(writeOff);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
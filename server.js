@@ -26,7 +26,23 @@ const dashboardRoutes = require("./routes/dashboardRoutes");
 const transactionRoutes = require("./routes/transactionRoutes");
 const debtorRoutes = require("./routes/debtorRoutes");
 const smsRoutes = require("./routes/smsRoutes");
+const supplierRoutes = require("./routes/supplierRoutes");
+const purchaseReceiptRoutes = require("./routes/purchaseReceiptRoutes");
+const breakdownRoutes = require("./routes/breakdownRoutes");
+const recipeRoutes = require("./routes/recipeRoutes");
+const writeOffRoutes = require("./routes/writeOffRoutes");
+const stocktakeRoutes = require("./routes/stocktakeRoutes");
+const barcodeRoutes = require("./routes/barcodeRoutes");
+const categoryRoutes = require("./routes/categoryRoutes");
+const priceListRoutes = require("./routes/priceListRoutes");
+const promotionRoutes = require("./routes/promotionRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const deliveryRoutes = require("./routes/deliveryRoutes");
+const deliveryZoneRoutes = require("./routes/deliveryZoneRoutes");
+const standingOrderRoutes = require("./routes/standingOrderRoutes");
 const smsNotificationService = require("./services/smsNotificationService");
+const priceScheduleService = require("./services/priceScheduleService");
+const standingOrderService = require("./services/standingOrderService");
 
 // Middleware
 app.use(express.json({ limit: "25mb" })); // Увеличиваем лимит для больших файлов
@@ -44,6 +60,20 @@ app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/transactions", transactionRoutes);
 app.use("/api/debtors", debtorRoutes);
 app.use("/api/sms", smsRoutes);
+app.use("/api/suppliers", supplierRoutes);
+app.use("/api/purchase-receipts", purchaseReceiptRoutes);
+app.use("/api/breakdowns", breakdownRoutes);
+app.use("/api/recipes", recipeRoutes);
+app.use("/api/write-offs", writeOffRoutes);
+app.use("/api/stocktakes", stocktakeRoutes);
+app.use("/api/barcodes", barcodeRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/price-lists", priceListRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/deliveries", deliveryRoutes);
+app.use("/api/delivery-zones", deliveryZoneRoutes);
+app.use("/api/standing-orders", standingOrderRoutes);
 
 // Socket.IO connection handling
 io.on("connection", (socket) => {
@@ -105,4 +135,24 @@ server.listen(PORT, () => {
       error.message
     );
   }
+
+  // Rejalashtirilgan narx o'zgarishlarini qo'llash
+  try {
+    priceScheduleService.startScheduledTasks();
+  } catch (error) {
+    console.error(
+      "Price schedule service ishga tushirishda xatolik:",
+      error.message
+    );
+  }
+
+  // Doimiy buyurtmalardan kunlik buyurtmalar yaratish
+  try {
+    standingOrderService.startScheduledTasks(io);
+  } catch (error) {
+    console.error(
+      "Standing order service ishga tushirishda xatolik:",
+      error.message
+    );
+  }
 });
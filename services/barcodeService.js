@@ -0,0 +1,133 @@
+const BarcodeLayout = require("../models/barcodeLayouts/barcodeLayout.model");
+const Product = require("../models/products/product.model");
+const { HttpError } = require("../utils/withTransaction");
+const {
+  normalizeUnit,
+  roundQuantity,
+  toStockQuantity,
+} = require("../utils/units");
+const { getApplicableLists, resolveProductPrice } = require("./pricingService");
+
+// Sozlangan tuzilish bo'lmasa: 2X CCCCC WWWWW K (vazn grammda)
+const DEFAULT_LAYOUT = {
+  name: "default",
+  prefixes: ["20", "21", "22", "23", "24", "25", "26", "27", "28", "29"],
+  codeStart: 2,
+  codeLength: 5,
+  valueStart: 7,
+  valueLength: 5,
+  valueType: "weight",
+  valueDecimals: 3,
+  valueUnit: "kg",
+};
+
+// PLU kod boshidagi nollarsiz saqlanadi va qidiriladi ("00123" -> "123")
+const normalizePlu = (pluCode) =>
+  pluCode
+    ? String(pluCode)
+        .trim()
+        .replace(/^0+(?=\d)/, "")
+    : null;
+
+/**
+ * EAN-13 nazorat raqamini tekshirish
+ * @param {String} barcode - 13 xonali shtrix-kod
+ * @returns {Boolean}
+ */
+const isValidEan13 = (barcode) => {
+  if (!/^\d{13}$/.test(barcode)) return false;
+  const digits = barcode.split("").map(Number);
+  const sum = digits
+    .slice(0, 12)
+    .reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === digits[12];
+};
+
+// Shtrix-kod prefiksiga mos tuzilish (eng uzun prefiks ustun)
+const findLayout = async (barcode) => {
+  const layouts = await BarcodeLayout.find({
+    isActive: true,
+    isDeleted: false,
+  });
+  const candidates = (layouts.length ? layouts : [DEFAULT_LAYOUT])
+    .flatMap((layout) =>
+      layout.prefixes.map((prefix) => ({ layout, prefix: String(prefix) }))
+    )
+    .filter(({ prefix }) => barcode.startsWith(prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+  return candidates[0]?.layout || null;
+};
+
+/**
+ * Tarozi shtrix-kodini buyurtma qatoriga aylantirish.
+ * Narx buyurtmadagidek mijoz narxlar ro'yxatidan (bo'lmasa salePrice)
+ * @param {String} barcode - Skanerlangan EAN-13
+ * @param {Object} options - { clientId } - narxlar ro'yxati uchun mijoz (ixtiyoriy)
+ * @returns {Promise<Object>} { line: {product, quantity, unit, price}, product, total, layout }
+ */
+const decodeScaleBarcode = async (barcode, { clientId = null } = {}) => {
+  const code = String(barcode || "").trim();
+  if (!isValidEan13(code)) {
+    throw new HttpError(400, "Noto'g'ri EAN-13 shtrix-kod");
+  }
+
+  const layout = await findLayout(code);
+  if (!layout) {
+    throw new HttpError(400, "Shtrix-kod tarozi prefiksiga mos kelmadi");
+  }
+
+  const pluCode = code.substr(layout.codeStart, layout.codeLength);
+  const product = await Product.findOne({
+    pluCode: normalizePlu(pluCode),
+    isDeleted: false,
+  });
+  if (!product) {
+    throw new HttpError(404, `PLU ${pluCode} bo'yicha mahsulot topilmadi`);
+  }
+
+  const value =
+    Number(code.substr(layout.valueStart, layout.valueLength)) /
+    10 ** layout.valueDecimals;
+  const lists = await getApplicableLists(clientId);
+
+  let quantity;
+  let price;
+  if (layout.valueType === "weight") {
+    quantity = toStockQuantity(value, layout.valueUnit, product).quantity;
+    price = resolveProductPrice(product, quantity, lists).price;
+  } else {
+    // Yorliqda qator summasi: miqdor narxdan topiladi, keyin narx shu miqdor
+    // chegarasi (minQuantity) bo'yicha aniqlanadi
+    price = resolveProductPrice(product, 0, lists).price;
+    if (!price) {
+      throw new HttpError(
+        400,
+        `${product.name} uchun sotuv narxi belgilanmagan`
+      );
+    }
+    price = resolveProductPrice(product, value / price, lists).price;
+    quantity = roundQuantity(value / price, product.unit);
+  }
+  if (quantity <= 0) {
+    throw new HttpError(400, "Shtrix-koddagi miqdor nolga teng");
+  }
+
+  return {
+    line: {
+      product: product._id,
+      quantity,
+      // Katalogda yo'q eski birlik yuborilmaydi: buyurtma ombor birligini oladi
+      unit: normalizeUnit(product.unit) || undefined,
+      price,
+    },
+    product,
+    total: layout.valueType === "price" ? value : quantity * price,
+    layout: layout.name,
+  };
+};
+
+module.exports = {
+  normalizePlu,
+  isValidEan13,
+  decodeScaleBarcode,
+};
@@ -0,0 +1,168 @@
+const Debtor = require("../models/debtors/debtor.model");
+const Client = require("../models/clients/client.model");
+const Transaction = require("../models/transactions/transaction.model");
+const { isHandedOver } = require("../utils/orderStatus");
+
+/**
+ * Buyurtmaning mijoz qarziga yozilgan qismi: mahsulot topshirilgan (delivered, completed) va debt bo'lganda
+ * @param {Object} order - Order hujjati
+ * @returns {Number}
+ */
+const countedOrderDebt = (order) =>
+  isHandedOver(order.status) && order.paymentType === "debt"
+    ? order.debtAmount || 0
+    : 0;
+
+/**
+ * Buyurtmaning umumiy to'lov turi: qarz qolsa debt, bir nechta usul bo'lsa mixed
+ * @param {Object} order - Order hujjati (payments, debtAmount)
+ * @returns {String}
+ */
+const orderPaymentType = (order) => {
+  if (order.debtAmount > 0) return "debt";
+  const methods = [...new Set(order.payments.map((p) => p.method))];
+  return methods.length > 1 ? "mixed" : methods[0] || "cash";
+};
+
+/**
+ * Mijozning umumiy qarzini va uning ochiq Debtor yozuvini birga o'zgartirish.
+ * Qarz faqat buyurtmaning to'lanmagan qoldig'i (debtAmount) bo'yicha yoziladi
+ * @param {String} clientId - Client ID
+ * @param {Number} diff - Qarz o'zgarishi (+ qo'shiladi, - kamayadi)
+ * @param {Object} session - MongoDB session
+ * @param {Object} meta - { dueDate, description }
+ */
+const changeClientDebt = async (clientId, diff, session, meta = {}) => {
+  if (!clientId || !diff) return;
+  await Client.findByIdAndUpdate(
+    clientId,
+    { $inc: { debt: diff } },
+    { session }
+  );
+
+  let debtor = await Debtor.findOne({
+    client: clientId,
+    status: { $ne: "paid" },
+    isDeleted: false,
+  }).session(session);
+  if (!debtor) {
+    if (diff < 0) return;
+    debtor = new Debtor({
+      client: clientId,
+      currentDebt: 0,
+      initialDebt: diff,
+      initialDebtDate: new Date(),
+      description: meta.description || "",
+    });
+  } else if (diff > 0) {
+    debtor.description = [debtor.description, meta.description]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  debtor.currentDebt = Math.max(0, debtor.currentDebt + diff);
+  if (diff > 0) {
+    debtor.nextPayment.amount = debtor.currentDebt;
+    // Qaytarish sanasi eng kechki buyurtma sanasi bo'yicha
+    if (
+      meta.dueDate &&
+      (!debtor.nextPayment.dueDate ||
+        new Date(meta.dueDate) > debtor.nextPayment.dueDate)
+    ) {
+      debtor.nextPayment.dueDate = meta.dueDate;
+    }
+  }
+  await debtor.save({ session });
+};
+
+/**
+ * Qarz to'lovini qabul qilish: Debtor, mijoz qarzi va debt-payment Transaction
+ * @param {Object} debtor - Debtor hujjati (session bilan olingan)
+ * @param {Number} payment - To'lov miqdori
+ * @param {Object} options - { paymentType, nextPayment, createdBy, description }
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Yaratilgan Transaction
+ */
+const applyDebtPayment = async (debtor, payment, options = {}, session) => {
+  // Joriy qarzdan to'lovni ayirish
+  debtor.currentDebt = Math.max(0, debtor.currentDebt - payment);
+
+  // Umumiy to'lovga qo'shish
+  debtor.totalPaid += payment;
+
+  // Oxirgi to'lovni yangilash
+  debtor.lastPayment = {
+    amount: payment,
+    date: new Date(),
+  };
+
+  // Keyingi to'lovni o'rnatish (agar berilgan bo'lsa)
+  if (options.nextPayment) {
+    debtor.nextPayment = {
+      amount: Number(options.nextPayment.amount) || 0,
+      dueDate: options.nextPayment.dueDate,
+    };
+  }
+
+  await debtor.save({ session });
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        type: "debt-payment",
+        amount: payment,
+        paymentType: options.paymentType || "cash",
+        description:
+          options.description || `Qarz to'lovi - Debtor #${debtor._id}`,
+        relatedModel: "Debtor",
+        relatedId: debtor._id,
+        client: debtor.client,
+        createdBy: options.createdBy || null,
+      },
+    ],
+    { session }
+  );
+
+  // Mijozning umumiy qarzini yangilash
+  await Client.findByIdAndUpdate(
+    debtor.client,
+    { $inc: { debt: -payment } },
+    { session }
+  );
+
+  return transaction;
+};
+
+/**
+ * Qabul qilingan qarz to'lovini bekor qilish (to'lov tizimi pulni qaytarganda)
+ * @param {Object} debtor - Debtor hujjati (session bilan olingan)
+ * @param {Number} payment - Qaytarilgan miqdor
+ * @param {String} transactionId - applyDebtPayment yaratgan Transaction ID
+ * @param {Object} session - MongoDB session
+ */
+const revertDebtPayment = async (debtor, payment, transactionId, session) => {
+  debtor.currentDebt += payment;
+  debtor.totalPaid = Math.max(0, debtor.totalPaid - payment);
+  await debtor.save({ session });
+
+  if (transactionId) {
+    await Transaction.findByIdAndUpdate(
+      transactionId,
+      { isDeleted: true, deletedAt: new Date() },
+      { session }
+    );
+  }
+  await Client.findByIdAndUpdate(
+    debtor.client,
+    { $inc: { debt: payment } },
+    { session }
+  );
+};
+
+module.exports = {
+  countedOrderDebt,
+  orderPaymentType,
+  changeClientDebt,
+  applyDebtPayment,
+  revertDebtPayment,
+};
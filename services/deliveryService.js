@@ -0,0 +1,127 @@
+const Order = require("../models/orders/order.model");
+const Admin = require("../models/admin/admin.model");
+const { HttpError } = require("../utils/withTransaction");
+const { canTransition, recordStatusChange } = require("../utils/orderStatus");
+const {
+  DELIVERY_ORDER_STATUS,
+  canDeliveryTransition,
+} = require("../utils/deliveryStatus");
+const { countedOrderDebt, changeClientDebt } = require("./debtService");
+
+/**
+ * Kuryerni tekshirish: faol, "courier" rolli admin
+ * @param {String} courierId - Admin ID
+ * @returns {Promise<Object>} Admin hujjati
+ */
+const findCourier = async (courierId) => {
+  const courier = await Admin.findOne({
+    _id: courierId,
+    role: "courier",
+    isActive: true,
+    isDeleted: false,
+  }).select("-password");
+  if (!courier) throw new HttpError(400, "Kuryer topilmadi yoki faol emas");
+  return courier;
+};
+
+/**
+ * Yetkazish holatiga qarab buyurtma holatini o'zgartirish (ombor holati o'zgarmaydigan o'tishlar).
+ * Buyurtma qarzi delivered da yoziladi
+ * @param {Object} delivery - Delivery hujjati
+ * @param {String} status - Yetkazishning yangi holati
+ * @param {Object} meta - { changedBy, note }
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} { order, transition } yoki o'zgarish bo'lmasa null
+ */
+const syncOrderStatus = async (delivery, status, meta, session) => {
+  const target = DELIVERY_ORDER_STATUS[status];
+  if (!target) return null;
+
+  const order = await Order.findById(delivery.order).session(session);
+  if (!order) throw new HttpError(404, "Buyurtma topilmadi");
+  if (order.status === target) return null;
+  // Yetkazilmadi: faqat yo'lda bo'lgan buyurtma tayyor holatiga qaytadi
+  if (status === "failed" && order.status !== "out_for_delivery") return null;
+  if (!canTransition(order.status, target)) {
+    throw new HttpError(
+      400,
+      `Buyurtma holati "${order.status}" dan "${target}" ga o'tmaydi`
+    );
+  }
+
+  const oldDebt = countedOrderDebt(order);
+  const transition = recordStatusChange(order, target, meta);
+  const debtDiff = countedOrderDebt(order) - oldDebt;
+  await changeClientDebt(
+    order.client,
+    debtDiff,
+    session,
+    debtDiff > 0
+      ? {
+          dueDate: order.date_returned,
+          description: `[+${debtDiff} UZS] Buyurtma #${order._id}`,
+        }
+      : {}
+  );
+  await order.save({ session });
+
+  return { order, transition };
+};
+
+/**
+ * Yetkazish holatini o'zgartirish: o'tish qoidasi, vaqtlar, topshirish tasdig'i va buyurtma holati
+ * @param {Object} delivery - Delivery hujjati (session bilan olingan)
+ * @param {String} status - Yangi holat
+ * @param {Object} meta - { changedBy, note, receivedBy, reason }
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} Buyurtma o'zgarishi: { order, transition } yoki null
+ */
+const applyDeliveryStatus = async (delivery, status, meta, session) => {
+  if (!canDeliveryTransition(delivery.status, status)) {
+    throw new HttpError(
+      400,
+      `Yetkazish holati "${delivery.status}" dan "${status}" ga o'tmaydi`
+    );
+  }
+  if (delivery.status === status) return null;
+  if (
+    (status === "assigned" || status === "out_for_delivery") &&
+    !delivery.courier
+  ) {
+    throw new HttpError(400, "Avval kuryer biriktiring");
+  }
+
+  const orderChange = await syncOrderStatus(
+    delivery,
+    status,
+    { changedBy: meta.changedBy, note: meta.note },
+    session
+  );
+
+  const now = new Date();
+  delivery.status = status;
+  if (status === "assigned") delivery.assignedAt = now;
+  if (status === "pending") {
+    delivery.courier = null;
+    delivery.assignedAt = null;
+  }
+  if (status === "out_for_delivery") delivery.startedAt = now;
+  if (status === "delivered") {
+    delivery.deliveredAt = now;
+    delivery.proofOfDelivery = {
+      receivedBy: meta.receivedBy || "",
+      notes: meta.note || "",
+    };
+  }
+  if (status === "failed" || status === "cancelled") {
+    delivery.failureReason = meta.reason || meta.note || "";
+  }
+  await delivery.save({ session });
+
+  return orderChange;
+};
+
+module.exports = {
+  findCourier,
+  applyDeliveryStatus,
+};
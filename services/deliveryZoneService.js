@@ -0,0 +1,59 @@
+const DeliveryZone = require("../models/deliveryZones/deliveryZone.model");
+const { HttpError } = require("../utils/withTransaction");
+const { isPointInPolygon, hasCoordinates } = require("../utils/geo");
+
+/**
+ * Nuqta tushadigan faol yetkazish hududi (ustma-ust tushsa eng arzoni)
+ * @param {Object} point - { lat, lng }
+ * @param {Object} session - MongoDB session (ixtiyoriy)
+ * @returns {Promise<Object|null>} DeliveryZone hujjati
+ */
+const findZone = async (point, session = null) => {
+  if (!hasCoordinates(point)) return null;
+  const zones = await DeliveryZone.find({ isActive: true, isDeleted: false })
+    .sort({ fee: 1 })
+    .session(session);
+  return zones.find((zone) => isPointInPolygon(point, zone.polygon)) || null;
+};
+
+/**
+ * Mijozning saqlangan manzili
+ * @param {Object} client - Client hujjati
+ * @param {String} addressId - client.addresses._id
+ * @returns {Object} Manzil nusxasi { _id, label, text, lat, lng, landmark }
+ */
+const findClientAddress = (client, addressId) => {
+  const address = client?.addresses?.id(addressId);
+  if (!address) throw new HttpError(400, "Адрес клиента не найден");
+  return address.toObject();
+};
+
+/**
+ * Manzil hududi bo'yicha yetkazish narxi, minimal buyurtma tekshiriladi
+ * @param {Object} address - { lat, lng, ... }
+ * @param {Number} itemsTotal - Buyurtma summasi (chegirmadan keyin, yetkazishsiz)
+ * @param {Object} session - MongoDB session (ixtiyoriy)
+ * @returns {Promise<Object>} { deliveryZone, deliveryFee }
+ */
+const resolveDeliveryFee = async (address, itemsTotal, session = null) => {
+  if (!hasCoordinates(address)) {
+    throw new HttpError(400, "У адреса доставки нет координат (lat, lng)");
+  }
+  const zone = await findZone(address, session);
+  if (!zone) {
+    throw new HttpError(400, "Адрес вне зон доставки");
+  }
+  if (itemsTotal < zone.minOrderAmount) {
+    throw new HttpError(
+      400,
+      `Минимальная сумма заказа для зоны "${zone.name}": ${zone.minOrderAmount}`
+    );
+  }
+  return { deliveryZone: zone._id, deliveryFee: zone.fee };
+};
+
+module.exports = {
+  findZone,
+  findClientAddress,
+  resolveDeliveryFee,
+};
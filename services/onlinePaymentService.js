@@ -0,0 +1,396 @@
+const mongoose = require("mongoose");
+const Order = require("../models/orders/order.model");
+const Debtor = require("../models/debtors/debtor.model");
+const Transaction = require("../models/transactions/transaction.model");
+const ProviderPayment = require("../models/providerPayments/providerPayment.model");
+const { HttpError, withTransaction } = require("../utils/withTransaction");
+const {
+  countedOrderDebt,
+  orderPaymentType,
+  changeClientDebt,
+  applyDebtPayment,
+  revertDebtPayment,
+} = require("./debtService");
+
+// Summalardagi yaxlitlash farqi (so'm)
+const AMOUNT_TOLERANCE = 1;
+
+// To'lanmagan "created" tranzaksiya shu vaqtdan keyin eskiradi (Payme talabi - 12 soat)
+const PAYMENT_TIMEOUT = 12 * 60 * 60 * 1000;
+
+// Bekor qilish sabablari (Payme kodlari bilan bir xil)
+const CANCEL_REASONS = {
+  TIMEOUT: 4,
+  REFUND: 5,
+};
+
+/**
+ * Onlayn to'lov xatoligi. code adapterlarda provayder xato kodiga aylantiriladi:
+ * TARGET_NOT_FOUND, INVALID_AMOUNT, ALREADY_PAID, TARGET_BUSY,
+ * PAYMENT_NOT_FOUND, CANNOT_PERFORM, CANNOT_CANCEL
+ */
+class PaymentError extends HttpError {
+  constructor(code, message, status = 400) {
+    super(status, message);
+    this.name = "PaymentError";
+    this.code = code;
+  }
+}
+
+/**
+ * To'lov obyekti: buyurtmaning to'lanmagan qoldig'i yoki qarzdorning joriy qarzi
+ * @param {Object} account - { relatedModel: "Order" | "Debtor", relatedId }
+ * @param {Object} session - MongoDB session (ixtiyoriy)
+ * @returns {Promise<Object>} { relatedModel, doc, client, amountDue }
+ */
+const findTarget = async (account, session = null) => {
+  const { relatedModel, relatedId } = account || {};
+  if (!mongoose.isValidObjectId(relatedId)) {
+    throw new PaymentError("TARGET_NOT_FOUND", "To'lov obyekti topilmadi", 404);
+  }
+
+  if (relatedModel === "Order") {
+    const order = await Order.findOne({
+      _id: relatedId,
+      isDeleted: false,
+    }).session(session);
+    if (!order || order.status === "cancelled") {
+      throw new PaymentError("TARGET_NOT_FOUND", "Buyurtma topilmadi", 404);
+    }
+    return {
+      relatedModel,
+      doc: order,
+      client: order.client || null,
+      amountDue: order.debtAmount || 0,
+    };
+  }
+
+  if (relatedModel === "Debtor") {
+    const debtor = await Debtor.findOne({
+      _id: relatedId,
+      isDeleted: false,
+    }).session(session);
+    if (!debtor) {
+      throw new PaymentError("TARGET_NOT_FOUND", "Qarzdor topilmadi", 404);
+    }
+    return {
+      relatedModel,
+      doc: debtor,
+      client: debtor.client,
+      amountDue: debtor.currentDebt || 0,
+    };
+  }
+
+  throw new PaymentError("TARGET_NOT_FOUND", "To'lov obyekti topilmadi", 404);
+};
+
+// Summa musbat va to'lanadigan qoldiqdan oshmasligi kerak (qisman to'lov mumkin)
+const checkAmount = (target, amount) => {
+  if (!(amount > 0)) {
+    throw new PaymentError("INVALID_AMOUNT", "To'lov summasi noto'g'ri");
+  }
+  if (target.amountDue <= 0) {
+    throw new PaymentError("ALREADY_PAID", "To'lanadigan qoldiq yo'q");
+  }
+  if (amount > target.amountDue + AMOUNT_TOLERANCE) {
+    throw new PaymentError(
+      "INVALID_AMOUNT",
+      `To'lov summasi qoldiqdan (${target.amountDue}) katta`
+    );
+  }
+};
+
+/**
+ * To'lovni qabul qilish mumkinligini tekshirish (pul yechilishidan oldin)
+ * @param {Object} account - { relatedModel, relatedId }
+ * @param {Number} amount - So'mda
+ * @returns {Promise<Object>} findTarget natijasi
+ */
+const checkPayable = async (account, amount) => {
+  const target = await findTarget(account);
+  checkAmount(target, amount);
+  return target;
+};
+
+const isExpired = (payment) =>
+  payment.state === "created" &&
+  Date.now() - payment.createdAt.getTime() > PAYMENT_TIMEOUT;
+
+/**
+ * Provayder tranzaksiyasini topish
+ * @param {String} provider - payme, click, stub
+ * @param {String} externalId - Provayderdagi tranzaksiya ID
+ * @returns {Promise<Object>} ProviderPayment hujjati
+ */
+const findPayment = async (provider, externalId) => {
+  const payment = await ProviderPayment.findOne({
+    provider,
+    externalId: String(externalId),
+    isDeleted: false,
+  });
+  if (!payment) {
+    throw new PaymentError("PAYMENT_NOT_FOUND", "Tranzaksiya topilmadi", 404);
+  }
+  return payment;
+};
+
+// Onlayn to'lovni buyurtmaga qo'shish: qoldiq va (completed bo'lsa) mijoz qarzi kamayadi
+const applyOrderPayment = async (order, payment, session) => {
+  const oldDebt = countedOrderDebt(order);
+  order.payments.push({ method: payment.provider, amount: payment.amount });
+  order.paidAmount = (order.paidAmount || 0) + payment.amount;
+  order.debtAmount = Math.max(0, (order.debtAmount || 0) - payment.amount);
+  order.paymentType = orderPaymentType(order);
+  await order.save({ session });
+  await changeClientDebt(
+    order.client,
+    countedOrderDebt(order) - oldDebt,
+    session
+  );
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        type: "order",
+        amount: payment.amount,
+        paymentType: payment.provider,
+        description: `Order #${order._id} - ${payment.provider} to'lovi`,
+        relatedModel: "Order",
+        relatedId: order._id,
+        client: order.client || null,
+      },
+    ],
+    { session }
+  );
+  return transaction;
+};
+
+// Buyurtmadagi onlayn to'lovni qaytarish: qoldiq va mijoz qarzi tiklanadi
+const revertOrderPayment = async (order, payment, session) => {
+  const oldDebt = countedOrderDebt(order);
+  const index = order.payments.findIndex(
+    (p) => p.method === payment.provider && p.amount === payment.amount
+  );
+  if (index !== -1) order.payments.splice(index, 1);
+  order.paidAmount = Math.max(0, (order.paidAmount || 0) - payment.amount);
+  order.debtAmount = Math.max(0, order.totalAmount - order.paidAmount);
+  order.paymentType = orderPaymentType(order);
+  await order.save({ session });
+
+  const diff = countedOrderDebt(order) - oldDebt;
+  await changeClientDebt(order.client, diff, session, {
+    dueDate: order.date_returned,
+    description: `[+${diff} UZS] Buyurtma #${order._id} - ${payment.provider} to'lovi qaytarildi`,
+  });
+
+  // Buyurtma tahrirlanganda Transaction qayta yaratilgan bo'lishi mumkin, shuning uchun ID emas, mazmun bo'yicha
+  await Transaction.findOneAndUpdate(
+    {
+      type: "order",
+      relatedModel: "Order",
+      relatedId: order._id,
+      paymentType: payment.provider,
+      amount: payment.amount,
+      isDeleted: false,
+    },
+    { isDeleted: true, deletedAt: new Date() },
+    { session }
+  );
+};
+
+/**
+ * Provayder tranzaksiyasini bekor qilish. To'langan bo'lsa to'lov qaytariladi
+ * @param {String} provider - payme, click, stub
+ * @param {String} externalId - Provayderdagi tranzaksiya ID
+ * @param {Number} reason - Bekor qilish sababi (ixtiyoriy)
+ * @returns {Promise<Object>} ProviderPayment hujjati
+ */
+const cancelPayment = async (provider, externalId, reason = null) => {
+  const payment = await findPayment(provider, externalId);
+  if (payment.state === "cancelled") return payment;
+
+  return withTransaction(async (session) => {
+    const current = await ProviderPayment.findById(payment._id).session(
+      session
+    );
+    if (current.state === "cancelled") return current;
+
+    if (current.state === "performed") {
+      if (current.relatedModel === "Order") {
+        const order = await Order.findById(current.relatedId).session(session);
+        if (!order) {
+          throw new PaymentError("CANNOT_CANCEL", "Buyurtma topilmadi");
+        }
+        await revertOrderPayment(order, current, session);
+      } else {
+        const debtor = await Debtor.findById(current.relatedId).session(
+          session
+        );
+        if (!debtor) {
+          throw new PaymentError("CANNOT_CANCEL", "Qarzdor topilmadi");
+        }
+        await revertDebtPayment(
+          debtor,
+          current.amount,
+          current.transaction,
+          session
+        );
+      }
+    }
+
+    current.state = "cancelled";
+    current.cancelledAt = new Date();
+    current.cancelReason = reason;
+    await current.save({ session });
+    return current;
+  });
+};
+
+/**
+ * Provayder tranzaksiyasini yaratish (pul hali yechilmagan). Takroriy so'rovda mavjudi qaytariladi
+ * @param {String} provider - payme, click, stub
+ * @param {String} externalId - Provayderdagi tranzaksiya ID
+ * @param {Object} account - { relatedModel, relatedId }
+ * @param {Number} amount - So'mda
+ * @param {Object} meta - { providerTime, prepareId }
+ * @returns {Promise<Object>} ProviderPayment hujjati
+ */
+const createPayment = async (
+  provider,
+  externalId,
+  account,
+  amount,
+  meta = {}
+) => {
+  const existing = await ProviderPayment.findOne({
+    provider,
+    externalId: String(externalId),
+    isDeleted: false,
+  });
+  if (existing) {
+    if (existing.state !== "created") {
+      throw new PaymentError("CANNOT_PERFORM", "Tranzaksiya yakunlangan");
+    }
+    if (isExpired(existing)) {
+      await cancelPayment(provider, externalId, CANCEL_REASONS.TIMEOUT);
+      throw new PaymentError("CANNOT_PERFORM", "Tranzaksiya muddati o'tgan");
+    }
+    return existing;
+  }
+
+  const target = await checkPayable(account, amount);
+
+  // Bitta buyurtma yoki qarz uchun bir vaqtda faqat bitta kutilayotgan tranzaksiya
+  const pending = await ProviderPayment.findOne({
+    relatedModel: target.relatedModel,
+    relatedId: target.doc._id,
+    state: "created",
+    isDeleted: false,
+  });
+  if (pending) {
+    if (!isExpired(pending)) {
+      throw new PaymentError(
+        "TARGET_BUSY",
+        "Bu to'lov uchun boshqa tranzaksiya kutilmoqda"
+      );
+    }
+    await cancelPayment(
+      pending.provider,
+      pending.externalId,
+      CANCEL_REASONS.TIMEOUT
+    );
+  }
+
+  return ProviderPayment.create({
+    provider,
+    externalId: String(externalId),
+    prepareId: meta.prepareId ?? null,
+    relatedModel: target.relatedModel,
+    relatedId: target.doc._id,
+    client: target.client,
+    amount,
+    providerTime: meta.providerTime ?? Date.now(),
+  });
+};
+
+/**
+ * Pul yechilgani haqidagi xabar: buyurtma to'lovi yoki qarz to'lovi yoziladi.
+ * Qarz to'lovi POST /api/debtors/:id/payment bilan bir xil applyDebtPayment orqali
+ * @param {String} provider - payme, click, stub
+ * @param {String} externalId - Provayderdagi tranzaksiya ID
+ * @returns {Promise<Object>} ProviderPayment hujjati
+ */
+const performPayment = async (provider, externalId) => {
+  const payment = await findPayment(provider, externalId);
+  if (payment.state === "performed") return payment;
+  if (payment.state === "cancelled") {
+    throw new PaymentError("CANNOT_PERFORM", "Tranzaksiya bekor qilingan");
+  }
+  if (isExpired(payment)) {
+    await cancelPayment(provider, externalId, CANCEL_REASONS.TIMEOUT);
+    throw new PaymentError("CANNOT_PERFORM", "Tranzaksiya muddati o'tgan");
+  }
+
+  return withTransaction(async (session) => {
+    // Parallel kelgan takroriy so'rov ikkinchi marta yozmasin
+    const current = await ProviderPayment.findById(payment._id).session(
+      session
+    );
+    if (current.state === "performed") return current;
+    if (current.state !== "created") {
+      throw new PaymentError("CANNOT_PERFORM", "Tranzaksiya bekor qilingan");
+    }
+
+    const target = await findTarget(current, session);
+    try {
+      checkAmount(target, current.amount);
+    } catch (error) {
+      throw new PaymentError("CANNOT_PERFORM", error.message);
+    }
+
+    const transaction =
+      current.relatedModel === "Order"
+        ? await applyOrderPayment(target.doc, current, session)
+        : await applyDebtPayment(
+            target.doc,
+            current.amount,
+            {
+              paymentType: provider,
+              description: `Qarz to'lovi (${provider}) - Debtor #${target.doc._id}`,
+            },
+            session
+          );
+
+    current.state = "performed";
+    current.performedAt = new Date();
+    current.transaction = transaction._id;
+    await current.save({ session });
+    return current;
+  });
+};
+
+/**
+ * Davr bo'yicha provayder tranzaksiyalari (provayder vaqti bo'yicha)
+ * @param {String} provider - payme, click, stub
+ * @param {Number} from - ms
+ * @param {Number} to - ms
+ * @returns {Promise<Array>} ProviderPayment hujjatlari
+ */
+const listPayments = (provider, from, to) =>
+  ProviderPayment.find({
+    provider,
+    providerTime: { $gte: Number(from), $lte: Number(to) },
+    isDeleted: false,
+  }).sort({ providerTime: 1 });
+
+module.exports = {
+  PaymentError,
+  CANCEL_REASONS,
+  findTarget,
+  checkPayable,
+  findPayment,
+  createPayment,
+  performPayment,
+  cancelPayment,
+  listPayments,
+};
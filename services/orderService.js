@@ -0,0 +1,644 @@
+const mongoose = require("mongoose");
+const Order = require("../models/orders/order.model");
+const Transaction = require("../models/transactions/transaction.model");
+const Product = require("../models/products/product.model");
+const Category = require("../models/categories/category.model");
+const clientModel = require("../models/clients/client.model");
+const TelegramBot = require("node-telegram-bot-api");
+const { emitNewOrder } = require("../utils/socketEvents");
+const {
+  isStockOut,
+  isHandedOver,
+  recordStatusChange,
+} = require("../utils/orderStatus");
+const { HttpError } = require("../utils/withTransaction");
+const { takeStock, putStock } = require("./stockService");
+const { changeClientDebt } = require("./debtService");
+const { normalizeUnit, toStockQuantity } = require("../utils/units");
+const { getApplicableLists, resolveProductPrice } = require("./pricingService");
+const { getActivePromotions, applyPromotions } = require("./promotionService");
+const {
+  findClientAddress,
+  resolveDeliveryFee,
+} = require("./deliveryZoneService");
+const { applyReservation } = require("./reservationService");
+
+const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
+const TELEGRAM_CHAT_ID = process.env.TELEGRAM_CHAT_ID; // chat_id yoki group_id
+
+// Token va chat sozlanmagan bo'lsa Telegram xabarlari yuborilmaydi
+const bot =
+  TELEGRAM_TOKEN && TELEGRAM_CHAT_ID
+    ? new TelegramBot(TELEGRAM_TOKEN, { polling: false })
+    : null;
+
+// Buyurtmalar guruhiga Telegram xabari
+const sendTelegramMessage = async (msg) => {
+  if (!bot) return;
+  await bot.sendMessage(TELEGRAM_CHAT_ID, msg);
+};
+
+// Sotuv birligidagi qatorni ombor birligiga o'tkazish (750 g -> 0.75 kg).
+// Qator summasi o'zgarmaydi: narx ham ombor birligi uchun qayta hisoblanadi
+const convertToStockUnit = (orderProduct, product) => {
+  // unit berilmagan va avval o'tkazilgan qator qayta o'tkazilmaydi
+  if (!orderProduct.unit && orderProduct.saleUnit) return;
+
+  const saleUnit =
+    normalizeUnit(orderProduct.unit) ||
+    orderProduct.unit ||
+    product.saleUnit ||
+    product.unit;
+  const saleQuantity = Number(orderProduct.quantity);
+  // Narx berilmasa narxlar ro'yxatidan olinadi (applyListPrice)
+  const salePrice =
+    orderProduct.price == null ? null : Number(orderProduct.price);
+  const { quantity, factor } = toStockQuantity(saleQuantity, saleUnit, product);
+  if (quantity <= 0) {
+    throw new HttpError(
+      400,
+      `${product.name}: miqdor ${product.unit} birligida juda kichik`
+    );
+  }
+
+  orderProduct.saleUnit = saleUnit;
+  orderProduct.saleQuantity = saleQuantity;
+  orderProduct.salePrice = salePrice;
+  orderProduct.quantity = quantity;
+  orderProduct.price = salePrice == null ? null : salePrice / factor;
+  delete orderProduct.unit;
+};
+
+// Qatorga amaldagi ro'yxat narxini yozish, narx berilmagan bo'lsa shu narx qo'yiladi
+const applyListPrice = (orderProduct, product, lists) => {
+  const { price } = resolveProductPrice(product, orderProduct.quantity, lists);
+  orderProduct.listPrice = price;
+  if (orderProduct.price == null) {
+    orderProduct.price = price;
+    orderProduct.salePrice =
+      (price * orderProduct.quantity) / orderProduct.saleQuantity;
+  }
+};
+
+// Ro'yxat narxidan arzon sotilgan qatorlar uchun ogohlantirishlar
+const getPriceWarnings = (orderProducts) =>
+  orderProducts
+    .filter((p) => p.listPrice != null && p.price < p.listPrice - 0.01)
+    .map((p) => ({
+      product: p.product?._id || p.product,
+      price: p.price,
+      listPrice: p.listPrice,
+      message: `Цена ниже прайс-листа: ${p.price} < ${p.listPrice}`,
+    }));
+
+// Har bir mahsulot miqdorini ombor birligiga o'tkazish, narxni mijoz narxlar ro'yxati bo'yicha tekshirish,
+// aksiyalarni qo'llash, costPrice va foydani hisoblash, umumiy foydani qaytarish.
+// date - aksiyalar tekshiriladigan vaqt (tahrirlashda buyurtma yaratilgan vaqt)
+const calculateProfit = async (
+  orderProducts,
+  session,
+  { clientId = null, date = new Date() } = {}
+) => {
+  const lists = await getApplicableLists(clientId, session);
+  const promotions = await getActivePromotions(date, session);
+  const client = clientId
+    ? await clientModel.findById(clientId).select("group").session(session)
+    : null;
+  let profitAmount = 0;
+  for (const orderProduct of orderProducts) {
+    const product = await Product.findById(orderProduct.product).session(
+      session
+    );
+    if (!product) {
+      throw new HttpError(
+        404,
+        `Продукт с ID ${orderProduct.product} не найден`
+      );
+    }
+    convertToStockUnit(orderProduct, product);
+    applyListPrice(orderProduct, product, lists);
+
+    const category = product.category
+      ? await Category.findById(product.category)
+          .select("ancestors")
+          .session(session)
+      : null;
+    applyPromotions(orderProduct, product, promotions, {
+      clientGroup: client?.group || "",
+      categoryPath: category
+        ? [...category.ancestors, category._id].map(String)
+        : [],
+    });
+
+    orderProduct.costPrice = product.costPrice;
+    orderProduct.profit =
+      (orderProduct.price - product.costPrice) * orderProduct.quantity -
+      orderProduct.discount;
+    profitAmount += orderProduct.profit;
+  }
+  return profitAmount;
+};
+
+// Buyurtma mahsulotlarini ombordan chiqarish (yetarli bo'lmasa tranzaksiya bekor qilinadi).
+// Har bir qatorning costPrice va profit'i haqiqatda sarflangan partiyalar tannarxi bilan yangilanadi
+const deductStock = async (orderProducts, movement, session) => {
+  for (const orderProduct of orderProducts) {
+    // To'liq qaytarilgan qator
+    if (!orderProduct.quantity) continue;
+    const { unitCost, lots } = await takeStock(
+      orderProduct.product,
+      orderProduct.quantity,
+      { type: "sale", ...movement },
+      session
+    );
+    orderProduct.costPrice = unitCost;
+    orderProduct.lots = lots.map(({ lot, quantity }) => ({ lot, quantity }));
+    orderProduct.profit =
+      (orderProduct.price - unitCost) * orderProduct.quantity -
+      (orderProduct.discount || 0);
+  }
+};
+
+// Buyurtma mahsulotlarini omborga qaytarish (chiqib ketgan tannarxi va partiyalari bilan)
+const restoreStock = async (orderProducts, movement, session) => {
+  for (const orderProduct of orderProducts) {
+    if (!orderProduct.quantity) continue;
+    await putStock(
+      orderProduct.product,
+      orderProduct.quantity,
+      {
+        type: "return",
+        unitCost: orderProduct.costPrice,
+        lots: orderProduct.lots,
+        ...movement,
+      },
+      session
+    );
+  }
+};
+
+// Buyurtma qatorlari bo'yicha umumiy chegirma
+const sumDiscount = (orderProducts) =>
+  orderProducts.reduce(
+    (sum, orderProduct) => sum + (orderProduct.discount || 0),
+    0
+  );
+
+// Buyurtma qatorlari bo'yicha umumiy foyda
+const sumProfit = (orderProducts) =>
+  orderProducts.reduce(
+    (sum, orderProduct) => sum + (orderProduct.profit || 0),
+    0
+  );
+
+// Summalardagi yaxlitlash farqi (so'm)
+const TOTAL_TOLERANCE = 1;
+
+// Kassada qabul qilinadigan to'lov usullari (qolgan summa qarz bo'ladi).
+// Onlayn to'lovlar (payme, click) faqat /api/payments callback orqali qo'shiladi
+const PAYMENT_METHODS = ["cash", "card"];
+
+// Qatorlar bo'yicha summa: har bir qator so'mgacha yaxlitlanadi, chegirmalar ayiriladi,
+// yetkazish narxi qo'shiladi
+const computeTotals = (orderProducts, deliveryFee = 0) => {
+  let subtotal = 0;
+  const lines = orderProducts.map((orderProduct) => {
+    const lineSubtotal = Math.round(orderProduct.price * orderProduct.quantity);
+    const discount = orderProduct.discount || 0;
+    subtotal += lineSubtotal;
+    return {
+      product: orderProduct.product,
+      quantity: orderProduct.quantity,
+      price: orderProduct.price,
+      saleUnit: orderProduct.saleUnit,
+      saleQuantity: orderProduct.saleQuantity,
+      salePrice: orderProduct.salePrice,
+      listPrice: orderProduct.listPrice,
+      subtotal: lineSubtotal,
+      discount,
+      promotionName: orderProduct.promotionName || null,
+      total: lineSubtotal - discount,
+    };
+  });
+  const discountAmount = sumDiscount(orderProducts);
+  return {
+    lines,
+    subtotal,
+    discountAmount,
+    deliveryFee,
+    totalAmount: subtotal - discountAmount + deliveryFee,
+  };
+};
+
+/**
+ * Server hisobini kassadan kelgan summalar bilan solishtirish.
+ * Berilmagan paidAmount/debtAmount hisobdan to'ldiriladi, payments berilsa paidAmount ularning yig'indisi.
+ * payments berilmasa paidAmount bitta paymentType to'lovi deb olinadi (eski kassa ilovasi)
+ * @param {Array} orderProducts - calculateProfit'dan o'tgan qatorlar
+ * @param {Object} input - { totalAmount, paidAmount, debtAmount, paymentType, payments }
+ * @param {Number} deliveryFee - Yetkazish narxi (hudud bo'yicha)
+ * @returns {Object} { lines, subtotal, discountAmount, deliveryFee, totalAmount, paidAmount, debtAmount, payments, paymentType, errors }
+ */
+const reconcileTotals = (orderProducts, input, deliveryFee = 0) => {
+  const totals = computeTotals(orderProducts, deliveryFee);
+  const { totalAmount } = totals;
+  const errors = [];
+  const isSet = (value) => value !== undefined && value !== null;
+
+  if (
+    isSet(input.totalAmount) &&
+    Math.abs(Number(input.totalAmount) - totalAmount) > TOTAL_TOLERANCE
+  ) {
+    errors.push(
+      `Сумма заказа не совпадает: передано ${input.totalAmount}, рассчитано ${totalAmount}`
+    );
+  }
+
+  let paidAmount = isSet(input.paidAmount) ? Number(input.paidAmount) : null;
+  let debtAmount = isSet(input.debtAmount) ? Number(input.debtAmount) : null;
+  let payments = Array.isArray(input.payments)
+    ? input.payments
+        .map(({ method, amount }) => ({ method, amount: Number(amount) }))
+        .filter((payment) => payment.amount > 0)
+    : null;
+  if (payments) {
+    const paymentsTotal = payments.reduce((sum, p) => sum + p.amount, 0);
+    if (
+      paidAmount !== null &&
+      Math.abs(paidAmount - paymentsTotal) > TOTAL_TOLERANCE
+    ) {
+      errors.push(
+        `paidAmount ${paidAmount} не равен сумме payments ${paymentsTotal}`
+      );
+    }
+    paidAmount = paymentsTotal;
+  }
+
+  if (paidAmount === null && debtAmount === null) {
+    paidAmount = input.paymentType === "debt" ? 0 : totalAmount;
+    debtAmount = totalAmount - paidAmount;
+  } else if (paidAmount === null) {
+    paidAmount = totalAmount - debtAmount;
+  } else if (debtAmount === null) {
+    debtAmount = totalAmount - paidAmount;
+  } else if (
+    Math.abs(paidAmount + debtAmount - totalAmount) > TOTAL_TOLERANCE
+  ) {
+    errors.push(
+      `paidAmount + debtAmount (${
+        paidAmount + debtAmount
+      }) не равно сумме заказа ${totalAmount}`
+    );
+  } else if (!payments) {
+    // Yaxlitlash farqi to'lovga qo'shiladi, qarz o'zgarmaydi
+    paidAmount = totalAmount - debtAmount;
+  }
+
+  if (paidAmount < 0 || debtAmount < 0) {
+    errors.push("paidAmount и debtAmount не могут быть отрицательными");
+  }
+
+  if (!payments) {
+    const method = PAYMENT_METHODS.includes(input.paymentType)
+      ? input.paymentType
+      : "cash";
+    payments = paidAmount > 0 ? [{ method, amount: paidAmount }] : [];
+  }
+
+  // Umumiy to'lov turi: qarz qolsa debt, bir nechta usul bo'lsa mixed
+  const methods = [...new Set(payments.map((payment) => payment.method))];
+  let paymentType = methods.length > 1 ? "mixed" : methods[0] || "cash";
+  if (debtAmount > 0) paymentType = "debt";
+
+  return { ...totals, paidAmount, debtAmount, payments, paymentType, errors };
+};
+
+// Yetkazish manzili va narxi: manzil mijozning saqlangan manzillaridan tanlanadi,
+// narx va minimal buyurtma manzil tushgan hududdan olinadi
+const resolveOrderDelivery = async (
+  client,
+  addressId,
+  orderProducts,
+  session
+) => {
+  if (!addressId) {
+    return { deliveryAddress: null, deliveryZone: null, deliveryFee: 0 };
+  }
+  if (!client) {
+    throw new HttpError(400, "Доставка по адресу возможна только для клиента");
+  }
+  const deliveryAddress = findClientAddress(client, addressId);
+  const { deliveryZone, deliveryFee } = await resolveDeliveryFee(
+    deliveryAddress,
+    computeTotals(orderProducts).totalAmount,
+    session
+  );
+  return { deliveryAddress, deliveryZone, deliveryFee };
+};
+
+/**
+ * Buyurtmada qaytarish bo'lganmi (qaytarilgan summa yoki qator)
+ * @param {Object} order - Order hujjati
+ * @returns {Boolean}
+ */
+const hasReturns = (order) =>
+  (order.returnedAmount || 0) > 0 ||
+  order.products.some((orderProduct) => orderProduct.returnedQuantity > 0);
+
+/**
+ * Qaytarishdan keyin qatorlar va to'lovlarni tahrirlashni rad etish: qaytarish
+ * qatorlardagi returnedQuantity ni va kassa to'lovlarini (refund) o'zgartirgan,
+ * tahrir ularni va Transaction'lar bilan moslikni buzadi
+ * @param {Object} order - Order hujjati
+ * @param {Object} input - PATCH /api/orders/:id body
+ */
+const assertEditableAfterReturns = (order, input) => {
+  if (!hasReturns(order)) return;
+  const changesLines = input.products !== undefined;
+  const changesPayments =
+    input.payments !== undefined ||
+    input.paidAmount != null ||
+    input.debtAmount != null;
+  if (changesLines || changesPayments) {
+    throw new HttpError(
+      400,
+      "По заказу был возврат: товары и оплату изменить нельзя"
+    );
+  }
+};
+
+// Buyurtma to'lovlari bo'yicha Transaction'lar: har bir to'lov usuli alohida yoziladi.
+// Tahrirlashda faqat o'zgargan to'lovlar: olib tashlanganlari o'chiriladi, yangilari yoziladi.
+// O'zgarmagan to'lov (masalan, oldindan to'lov) o'z kunida qoladi
+const recordOrderPayments = async (order, oldPayments, createdBy, session) => {
+  const removed = [...(oldPayments || [])];
+  const added = [];
+  for (const payment of order.payments) {
+    const index = removed.findIndex(
+      (old) => old.method === payment.method && old.amount === payment.amount
+    );
+    if (index === -1) added.push(payment);
+    else removed.splice(index, 1);
+  }
+
+  for (const payment of removed) {
+    await Transaction.findOneAndUpdate(
+      {
+        type: "order",
+        relatedModel: "Order",
+        relatedId: order._id,
+        paymentType: payment.method,
+        amount: payment.amount,
+        isDeleted: false,
+      },
+      { isDeleted: true, deletedAt: new Date() },
+      { session, sort: { createdAt: -1 } }
+    );
+  }
+  if (!added.length) return;
+
+  // Topshirilmagan oldindan buyurtma to'lovi - zaklad
+  const prefix =
+    order.scheduledFor && !isHandedOver(order.status) ? "Zaklad - " : "";
+  await Transaction.create(
+    added.map((payment) => ({
+      type: "order",
+      amount: payment.amount,
+      paymentType: payment.method,
+      description: `${prefix}Order #${order._id} - ${order.products.length} mahsulot`,
+      relatedModel: "Order",
+      relatedId: order._id,
+      client: order.client || null,
+      createdBy: createdBy || null,
+    })),
+    { session, ordered: true }
+  );
+};
+
+// Buyurtma yoki yetkazish mashinasini obyekt ko'rinishida olish: mijoz mashinasi ID si
+// (client.cars, eski buyurtmalarda faqat ID saqlangan) yoki tayyor obyekt
+const resolveCar = (car, client) => {
+  if (!car) return null;
+  if (typeof car === "object" && !(car instanceof mongoose.Types.ObjectId)) {
+    return car;
+  }
+  const foundCar = client?.cars?.find(
+    (item) => item._id.toString() === car.toString()
+  );
+  if (!foundCar) return null;
+  return foundCar.toObject ? foundCar.toObject() : foundCar;
+};
+
+// Telegram xabaridagi holat nomlari
+const STATUS_NAMES = {
+  pending: "Kutilmoqda",
+  new: "Yangi",
+  confirmed: "Tasdiqlandi",
+  packing: "Yig'ilmoqda",
+  ready: "Tayyor",
+  out_for_delivery: "Yetkazilmoqda",
+  delivered: "Yetkazildi",
+  completed: "Yakunlandi",
+  cancelled: "Bekor qilindi",
+};
+
+/**
+ * Buyurtma yaratish (POST /api/orders va doimiy buyurtmalar uchun umumiy).
+ * Ombor, buyurtma, tranzaksiya va qarzdorlik chaqiruvchining tranzaksiyasida yoziladi
+ * @param {Object} input - POST /api/orders body (products qatorlari hisob bilan to'ldiriladi)
+ * @param {Object} meta - { adminId, standingOrder }
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} { order, client, index, carObject }
+ */
+const createOrder = async (input, meta, session) => {
+  const {
+    date_returned,
+    client: clientId,
+    products,
+    status = "pending",
+    car,
+    km = 0,
+    scheduledFor = null,
+  } = input;
+  // Oldindan buyurtmaning to'lanmagan qoldig'i olib ketish kunida to'lanadi
+  const dueDate = date_returned || scheduledFor;
+
+  const client = clientId
+    ? await clientModel.findById(clientId).session(session)
+    : null;
+
+  // Har bir mahsulot uchun foyda hisobini qo'shamiz
+  let profitAmount = await calculateProfit(products, session, {
+    clientId,
+  });
+
+  // Yetkazish narxi tanlangan manzil hududidan
+  const delivery = await resolveOrderDelivery(
+    client,
+    input.address,
+    products,
+    session
+  );
+
+  // Summalar qatorlardan hisoblanadi, kassadan kelgani mos kelmasa rad etiladi
+  const totals = reconcileTotals(products, input, delivery.deliveryFee);
+  if (totals.errors.length) {
+    throw new HttpError(400, totals.errors.join("; "));
+  }
+  const { totalAmount, paidAmount, debtAmount, payments, paymentType } = totals;
+  if (scheduledFor && !clientId) {
+    throw new HttpError(400, "Предзаказ возможен только для клиента");
+  }
+  if (debtAmount > 0 && !dueDate) {
+    throw new HttpError(
+      400,
+      "Qarz buyurtmalar uchun 'date_returned' majburiy."
+    );
+  }
+  if (debtAmount > 0 && !clientId) {
+    throw new HttpError(400, "Долг возможен только для клиента");
+  }
+
+  const currentDate = new Date();
+  const startOfDay = new Date(currentDate);
+  startOfDay.setHours(0, 0, 0, 0);
+
+  const dailyQuery = {
+    isDeleted: false,
+    createdAt: { $gte: startOfDay, $lte: currentDate },
+  };
+  if (clientId) dailyQuery.client = clientId;
+  const index = await Order.countDocuments(dailyQuery).session(session);
+
+  const carObject = resolveCar(car, client);
+
+  // Создаем заказ с правильным carObject
+  const order = new Order({
+    client: clientId,
+    products,
+    totalAmount,
+    paidAmount,
+    debtAmount,
+    profitAmount,
+    discountAmount: sumDiscount(products),
+    payments,
+    paymentType,
+    date_returned: dueDate,
+    notes: input.notes,
+    car: carObject, // Сохраняем объект машины, а не ID
+    km,
+    ...delivery,
+    scheduledFor,
+    depositAmount: scheduledFor ? paidAmount : 0,
+    standingOrder: meta.standingOrder || null,
+  });
+
+  recordStatusChange(order, status, { changedBy: meta.adminId });
+
+  // Product quantityni faqat ombordan chiqqan holatlarda kamaytirish
+  if (isStockOut(status)) {
+    await deductStock(
+      products,
+      { order: order._id, createdBy: meta.adminId },
+      session
+    );
+    profitAmount = sumProfit(products);
+    order.products = products;
+    order.profitAmount = profitAmount;
+  }
+
+  // Oldindan buyurtma mahsulotlari olib ketish kunigacha band qilinadi
+  await applyReservation(order, session);
+
+  await order.save({ session });
+
+  // Har bir to'lov usuli uchun Transaction
+  await recordOrderPayments(order, null, meta.adminId, session);
+
+  // To'lanmagan qoldiq mijoz qarziga faqat topshirilgan holatda yoziladi
+  if (isHandedOver(status)) {
+    await changeClientDebt(clientId, debtAmount, session, {
+      dueDate,
+      description: `[+${debtAmount} UZS] Buyurtma #${order._id}`,
+    });
+  }
+
+  return { order, client, index, carObject };
+};
+
+/**
+ * Yangi buyurtma haqida Telegram xabari va Socket.IO "new_order" (tranzaksiyadan keyin)
+ * @param {Object} created - createOrder natijasi { order, client, index, carObject }
+ * @param {Object} options - { io, title }
+ */
+const announceNewOrder = async (
+  { order, client, index, carObject },
+  { io, title = "🆕 Yangi buyurtma!" } = {}
+) => {
+  // Populate products.product after saving
+  await order.populate([{ path: "products.product" }, { path: "client" }]);
+
+  // Telegramga xabar yuborish (bot sozlanmagan bo'lsa o'tkazib yuboriladi)
+  if (bot) {
+    try {
+      let msg = `${title}\n`;
+      msg += `Mijoz: ${client?.fullName || "Noma'lum"}\n`;
+      msg += `Status: ${STATUS_NAMES[order.status]}\n`;
+      msg += `Umumiy summa: ${order.totalAmount.toLocaleString()} UZS\n`;
+      msg += `Foyda: ${order.profitAmount?.toLocaleString() || 0} UZS\n`;
+      if (order.discountAmount) {
+        msg += `Chegirma: ${order.discountAmount.toLocaleString()} UZS\n`;
+      }
+      if (order.deliveryAddress) {
+        msg += `Yetkazish: ${
+          order.deliveryAddress.text
+        } (${order.deliveryFee.toLocaleString()} UZS)\n`;
+      }
+      msg += `Mahsulotlar:\n`;
+      for (const p of order.products) {
+        const prod = p.product;
+        msg += `- ${prod?.name || "?"} x ${p.quantity} ${
+          prod?.unit || ""
+        } (${p.price.toLocaleString()} UZS) - Foyda: ${
+          p.profit?.toLocaleString() || 0
+        } UZS\n`;
+      }
+      await sendTelegramMessage(msg);
+    } catch (err) {
+      console.error("Telegramga xabar yuborilmadi:", err.message);
+    }
+  }
+
+  // Отправить Socket.IO событие о новом заказе
+  if (io) {
+    // Создаем объект заказа с индексом для отправки
+    const orderWithIndex = {
+      ...order.toObject(),
+      index,
+      car: carObject, // Используем уже сформированный carObject
+    };
+
+    emitNewOrder(io, orderWithIndex);
+  }
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  TOTAL_TOLERANCE,
+  getPriceWarnings,
+  calculateProfit,
+  deductStock,
+  restoreStock,
+  sumDiscount,
+  sumProfit,
+  computeTotals,
+  reconcileTotals,
+  resolveOrderDelivery,
+  hasReturns,
+  assertEditableAfterReturns,
+  recordOrderPayments,
+  resolveCar,
+  createOrder,
+  announceNewOrder,
+  sendTelegramMessage,
+};
@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const {
+  PaymentError,
+  findPayment,
+  createPayment,
+  performPayment,
+  cancelPayment,
+} = require("../onlinePaymentService");
+
+// Click SHOP API sozlamalari
+const CLICK_SERVICE_ID = process.env.CLICK_SERVICE_ID;
+const CLICK_MERCHANT_ID = process.env.CLICK_MERCHANT_ID;
+const CLICK_SECRET_KEY = process.env.CLICK_SECRET_KEY;
+const CLICK_CHECKOUT_URL =
+  process.env.CLICK_CHECKOUT_URL || "https://my.click.uz/services/pay";
+
+// Click xato kodlari (PaymentError.code bo'yicha)
+const ERRORS = {
+  SUCCESS: 0,
+  SIGN_FAILED: -1,
+  INVALID_AMOUNT: -2,
+  ACTION_NOT_FOUND: -3,
+  ALREADY_PAID: -4,
+  TARGET_NOT_FOUND: -5,
+  PAYMENT_NOT_FOUND: -6,
+  TARGET_BUSY: -8,
+  CANNOT_PERFORM: -9,
+  CANNOT_CANCEL: -9,
+};
+
+const ACTIONS = {
+  PREPARE: 0,
+  COMPLETE: 1,
+};
+
+// merchant_trans_id: "order-<id>" yoki "debtor-<id>"
+const toAccount = (merchantTransId = "") => {
+  const [type, id] = String(merchantTransId).split("-");
+  if (type === "order") return { relatedModel: "Order", relatedId: id };
+  if (type === "debtor") return { relatedModel: "Debtor", relatedId: id };
+  return {};
+};
+
+// md5(click_trans_id + service_id + SECRET_KEY + merchant_trans_id + [merchant_prepare_id] + amount + action + sign_time)
+const isSigned = (params) => {
+  if (!CLICK_SECRET_KEY || !params.sign_string) return false;
+  const prepareId =
+    Number(params.action) === ACTIONS.COMPLETE
+      ? params.merchant_prepare_id
+      : "";
+  const sign = crypto
+    .createHash("md5")
+    .update(
+      `${params.click_trans_id}${params.service_id}${CLICK_SECRET_KEY}${params.merchant_trans_id}${prepareId}${params.amount}${params.action}${params.sign_time}`
+    )
+    .digest("hex");
+  return sign === params.sign_string;
+};
+
+// Prepare: tekshirish va tranzaksiyani yaratish
+const prepare = async (params) => {
+  const payment = await createPayment(
+    "click",
+    params.click_trans_id,
+    toAccount(params.merchant_trans_id),
+    Number(params.amount),
+    { prepareId: Date.now() }
+  );
+  return { merchant_prepare_id: payment.prepareId };
+};
+
+// Complete: Click pul yechganini (yoki xatoni) xabar qiladi
+const complete = async (params) => {
+  const payment = await findPayment("click", params.click_trans_id);
+  if (Number(params.merchant_prepare_id) !== payment.prepareId) {
+    throw new PaymentError("PAYMENT_NOT_FOUND", "Tranzaksiya topilmadi");
+  }
+  if (Math.abs(Number(params.amount) - payment.amount) > 0.01) {
+    throw new PaymentError("INVALID_AMOUNT", "To'lov summasi mos emas");
+  }
+  if (payment.state === "performed") {
+    throw new PaymentError("ALREADY_PAID", "Tranzaksiya allaqachon to'langan");
+  }
+
+  // error < 0 - Click tomonida to'lov amalga oshmadi
+  if (Number(params.error) < 0) {
+    await cancelPayment("click", params.click_trans_id);
+    throw new PaymentError("CANNOT_PERFORM", "Tranzaksiya bekor qilingan");
+  }
+
+  const performed = await performPayment("click", params.click_trans_id);
+  return { merchant_confirm_id: performed.prepareId };
+};
+
+/**
+ * SHOP API so'rovi (Prepare va Complete bitta manzilga, action bo'yicha ajratiladi)
+ * @param {Object} req - Express request (application/x-www-form-urlencoded)
+ * @returns {Promise<Object>} { status, body }
+ */
+const handleCallback = async (req) => {
+  const params = req.body || {};
+  const base = {
+    click_trans_id: params.click_trans_id,
+    merchant_trans_id: params.merchant_trans_id,
+  };
+  const fail = (error, note) => ({
+    status: 200,
+    body: { ...base, error, error_note: note },
+  });
+
+  if (!isSigned(params) || String(params.service_id) !== CLICK_SERVICE_ID) {
+    return fail(ERRORS.SIGN_FAILED, "SIGN CHECK FAILED!");
+  }
+
+  const action = Number(params.action);
+  try {
+    let result;
+    if (action === ACTIONS.PREPARE) result = await prepare(params);
+    else if (action === ACTIONS.COMPLETE) result = await complete(params);
+    else return fail(ERRORS.ACTION_NOT_FOUND, "Action not found");
+
+    return {
+      status: 200,
+      body: {
+        ...base,
+        ...result,
+        error: ERRORS.SUCCESS,
+        error_note: "Success",
+      },
+    };
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return fail(ERRORS[error.code] ?? ERRORS.CANNOT_PERFORM, error.message);
+    }
+    console.error("Click callback xatolik:", error.message);
+    return fail(ERRORS.CANNOT_PERFORM, error.message);
+  }
+};
+
+/**
+ * Click to'lov sahifasi havolasi
+ * @param {Object} account - { relatedModel, relatedId }
+ * @param {Number} amount - So'mda
+ * @returns {String} URL
+ */
+const checkoutUrl = ({ relatedModel, relatedId }, amount) => {
+  const params = new URLSearchParams({
+    service_id: CLICK_SERVICE_ID,
+    merchant_id: CLICK_MERCHANT_ID,
+    amount: String(amount),
+    transaction_param: `${relatedModel.toLowerCase()}-${relatedId}`,
+  });
+  return `${CLICK_CHECKOUT_URL}?${params}`;
+};
+
+module.exports = {
+  name: "click",
+  isEnabled: () =>
+    Boolean(CLICK_SERVICE_ID && CLICK_MERCHANT_ID && CLICK_SECRET_KEY),
+  handleCallback,
+  checkoutUrl,
+};
@@ -0,0 +1,35 @@
+const payme = require("./payme");
+const click = require("./click");
+const stub = require("./stub");
+
+/**
+ * To'lov tizimi adapterlari. Har bir adapter:
+ *   name - provayder nomi (ProviderPayment.provider va to'lov usuli)
+ *   isEnabled() - sozlamalari berilganmi
+ *   handleCallback(req) - provayder so'rovi -> { status, body }
+ *   checkoutUrl(account, amount) - mijoz to'lov qiladigan havola
+ * To'lovni yozish onlinePaymentService orqali, adapter faqat protokolni o'giradi
+ */
+const providers = { payme, click, stub };
+
+/**
+ * Yoqilgan adapterni olish
+ * @param {String} name - payme, click, stub
+ * @returns {Object|null} Adapter
+ */
+const getProvider = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(providers, name)) return null;
+  const provider = providers[name];
+  return provider.isEnabled() ? provider : null;
+};
+
+const listProviders = () =>
+  Object.values(providers).map((provider) => ({
+    name: provider.name,
+    enabled: provider.isEnabled(),
+  }));
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
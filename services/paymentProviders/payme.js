@@ -0,0 +1,174 @@
+const {
+  PaymentError,
+  checkPayable,
+  findPayment,
+  createPayment,
+  performPayment,
+  cancelPayment,
+  listPayments,
+} = require("../onlinePaymentService");
+
+// Payme Merchant API sozlamalari
+const PAYME_MERCHANT_ID = process.env.PAYME_MERCHANT_ID;
+const PAYME_KEY = process.env.PAYME_KEY;
+const PAYME_CHECKOUT_URL =
+  process.env.PAYME_CHECKOUT_URL || "https://checkout.paycom.uz";
+
+// Payme xato kodlari (PaymentError.code bo'yicha)
+const ERRORS = {
+  INVALID_AUTH: -32504,
+  METHOD_NOT_FOUND: -32601,
+  SYSTEM: -32400,
+  INVALID_AMOUNT: -31001,
+  PAYMENT_NOT_FOUND: -31003,
+  CANNOT_CANCEL: -31007,
+  CANNOT_PERFORM: -31008,
+  TARGET_NOT_FOUND: -31050,
+  ALREADY_PAID: -31051,
+  TARGET_BUSY: -31052,
+};
+
+// Payme summalari tiyinda
+const toTiyin = (amount) => Math.round(amount * 100);
+const fromTiyin = (amount) => Number(amount) / 100;
+
+// account: { order_id } yoki { debtor_id } (Payme kabinetida sozlanadi)
+const toAccount = (account = {}) => {
+  if (account.order_id) {
+    return { relatedModel: "Order", relatedId: account.order_id };
+  }
+  if (account.debtor_id) {
+    return { relatedModel: "Debtor", relatedId: account.debtor_id };
+  }
+  return {};
+};
+
+// Payme holati: 1 - yaratilgan, 2 - to'langan, -1 - to'lovdan oldin bekor, -2 - to'lovdan keyin bekor
+const toState = (payment) => {
+  if (payment.state === "created") return 1;
+  if (payment.state === "performed") return 2;
+  return payment.performedAt ? -2 : -1;
+};
+
+const toView = (payment) => ({
+  create_time: payment.providerTime,
+  perform_time: payment.performedAt ? payment.performedAt.getTime() : 0,
+  cancel_time: payment.cancelledAt ? payment.cancelledAt.getTime() : 0,
+  transaction: String(payment._id),
+  state: toState(payment),
+  reason: payment.cancelReason,
+});
+
+const methods = {
+  async CheckPerformTransaction({ amount, account }) {
+    await checkPayable(toAccount(account), fromTiyin(amount));
+    return { allow: true };
+  },
+
+  async CreateTransaction({ id, time, amount, account }) {
+    const payment = await createPayment(
+      "payme",
+      id,
+      toAccount(account),
+      fromTiyin(amount),
+      { providerTime: time }
+    );
+    const { create_time, transaction, state } = toView(payment);
+    return { create_time, transaction, state };
+  },
+
+  async PerformTransaction({ id }) {
+    const payment = await performPayment("payme", id);
+    const { perform_time, transaction, state } = toView(payment);
+    return { perform_time, transaction, state };
+  },
+
+  async CancelTransaction({ id, reason }) {
+    const payment = await cancelPayment("payme", id, reason ?? null);
+    const { cancel_time, transaction, state } = toView(payment);
+    return { cancel_time, transaction, state };
+  },
+
+  async CheckTransaction({ id }) {
+    return toView(await findPayment("payme", id));
+  },
+
+  async GetStatement({ from, to }) {
+    const payments = await listPayments("payme", from, to);
+    return {
+      transactions: payments.map((payment) => ({
+        id: payment.externalId,
+        time: payment.providerTime,
+        amount: toTiyin(payment.amount),
+        account:
+          payment.relatedModel === "Order"
+            ? { order_id: String(payment.relatedId) }
+            : { debtor_id: String(payment.relatedId) },
+        ...toView(payment),
+      })),
+    };
+  },
+};
+
+// Authorization: Basic base64("Paycom:<PAYME_KEY>")
+const isAuthorized = (req) => {
+  const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Basic" || !encoded || !PAYME_KEY) return false;
+  const credentials = Buffer.from(encoded, "base64").toString();
+  return credentials === `Paycom:${PAYME_KEY}`;
+};
+
+/**
+ * Merchant API so'rovi (JSON-RPC). Payme har doim HTTP 200 kutadi, xato body ichida
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { status, body }
+ */
+const handleCallback = async (req) => {
+  const { id = null, method, params = {} } = req.body || {};
+  const reply = (payload) => ({
+    status: 200,
+    body: { jsonrpc: "2.0", id, ...payload },
+  });
+  const fail = (code, message) =>
+    reply({
+      error: { code, message: { uz: message, ru: message, en: message } },
+    });
+
+  if (!isAuthorized(req)) {
+    return fail(ERRORS.INVALID_AUTH, "Avtorizatsiya xatosi");
+  }
+  if (!Object.prototype.hasOwnProperty.call(methods, method)) {
+    return fail(ERRORS.METHOD_NOT_FOUND, "Metod topilmadi");
+  }
+
+  try {
+    return reply({ result: await methods[method](params) });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return fail(ERRORS[error.code] || ERRORS.SYSTEM, error.message);
+    }
+    console.error(`Payme ${method} xatolik:`, error.message);
+    return fail(ERRORS.SYSTEM, error.message);
+  }
+};
+
+/**
+ * Payme to'lov sahifasi havolasi
+ * @param {Object} account - { relatedModel, relatedId }
+ * @param {Number} amount - So'mda
+ * @returns {String} URL
+ */
+const checkoutUrl = ({ relatedModel, relatedId }, amount) => {
+  const field = relatedModel === "Order" ? "order_id" : "debtor_id";
+  const params = `m=${PAYME_MERCHANT_ID};ac.${field}=${relatedId};a=${toTiyin(
+    amount
+  )}`;
+  return `${PAYME_CHECKOUT_URL}/${Buffer.from(params).toString("base64")}`;
+};
+
+module.exports = {
+  name: "payme",
+  isEnabled: () => Boolean(PAYME_MERCHANT_ID && PAYME_KEY),
+  handleCallback,
+  checkoutUrl,
+};
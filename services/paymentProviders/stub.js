@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const {
+  PaymentError,
+  checkPayable,
+  createPayment,
+  performPayment,
+  cancelPayment,
+} = require("../onlinePaymentService");
+
+// Sinov provayderi: tarmoqsiz, faqat PAYMENT_STUB_ENABLED=true va production bo'lmaganda
+const PAYMENT_STUB_ENABLED = process.env.PAYMENT_STUB_ENABLED === "true";
+
+const toAccount = (params) => {
+  if (params.order_id) {
+    return { relatedModel: "Order", relatedId: params.order_id };
+  }
+  if (params.debtor_id) {
+    return { relatedModel: "Debtor", relatedId: params.debtor_id };
+  }
+  return {};
+};
+
+// Payme/Click chaqiradigan check/create/perform/cancel bosqichlari, pay - create + perform birga
+const actions = {
+  async check(params) {
+    const target = await checkPayable(toAccount(params), Number(params.amount));
+    return { allow: true, amountDue: target.amountDue };
+  },
+
+  async create(params) {
+    return createPayment(
+      "stub",
+      params.id || crypto.randomUUID(),
+      toAccount(params),
+      Number(params.amount)
+    );
+  },
+
+  async perform(params) {
+    return performPayment("stub", params.id);
+  },
+
+  async cancel(params) {
+    return cancelPayment("stub", params.id, params.reason ?? null);
+  },
+
+  async pay(params) {
+    const payment = await actions.create(params);
+    return performPayment("stub", payment.externalId);
+  },
+};
+
+/**
+ * Sinov so'rovi: { action, id, order_id | debtor_id, amount, reason } (body yoki query)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { status, body }
+ */
+const handleCallback = async (req) => {
+  const params = { ...req.query, ...req.body };
+  if (!Object.prototype.hasOwnProperty.call(actions, params.action)) {
+    return {
+      status: 400,
+      body: { message: `action: ${Object.keys(actions).join(", ")}` },
+    };
+  }
+
+  try {
+    return { status: 200, body: await actions[params.action](params) };
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return {
+        status: error.status,
+        body: { code: error.code, message: error.message },
+      };
+    }
+    throw error;
+  }
+};
+
+// Haqiqiy to'lov sahifasi yo'q: havolaga POST qilinsa to'lov darhol amalga oshadi
+const checkoutUrl = ({ relatedModel, relatedId }, amount) => {
+  const field = relatedModel === "Order" ? "order_id" : "debtor_id";
+  return `/api/payments/stub/callback?action=pay&${field}=${relatedId}&amount=${amount}`;
+};
+
+module.exports = {
+  name: "stub",
+  isEnabled: () =>
+    PAYMENT_STUB_ENABLED && process.env.NODE_ENV !== "production",
+  handleCallback,
+  checkoutUrl,
+};
@@ -0,0 +1,124 @@
+const cron = require("node-cron");
+const Product = require("../models/products/product.model");
+const ScheduledPrice = require("../models/scheduledPrices/scheduledPrice.model");
+const { withTransaction } = require("../utils/withTransaction");
+const { recordPriceChanges } = require("./pricingService");
+
+class PriceScheduleService {
+  constructor() {
+    this.isRunning = false;
+    this.task = null;
+  }
+
+  // Bitta rejalashtirilgan narxni qo'llash
+  async applyScheduledPrice(scheduledId) {
+    await withTransaction(async (session) => {
+      // Boshqa jarayon allaqachon qo'llagan bo'lsa o'tkazib yuboriladi
+      const scheduled = await ScheduledPrice.findOne({
+        _id: scheduledId,
+        status: "pending",
+        isDeleted: false,
+      }).session(session);
+      if (!scheduled) return;
+
+      const product = await Product.findOne({
+        _id: scheduled.product,
+        isDeleted: false,
+      }).session(session);
+      if (!product) {
+        scheduled.status = "cancelled";
+        scheduled.notes = `${scheduled.notes}\nMahsulot o'chirilgan`.trim();
+        await scheduled.save({ session });
+        return;
+      }
+
+      const oldPrices = {
+        costPrice: product.costPrice,
+        salePrice: product.salePrice,
+      };
+      product.salePrice = scheduled.salePrice;
+      await product.save({ session });
+      await recordPriceChanges(
+        product,
+        oldPrices,
+        {
+          source: "scheduled",
+          scheduledPrice: scheduled._id,
+          changedBy: scheduled.createdBy,
+        },
+        session
+      );
+
+      scheduled.status = "applied";
+      scheduled.appliedAt = new Date();
+      await scheduled.save({ session });
+    });
+  }
+
+  // Vaqti kelgan barcha narxlarni effectiveAt tartibida qo'llash
+  async applyDuePrices() {
+    try {
+      const due = await ScheduledPrice.find({
+        status: "pending",
+        effectiveAt: { $lte: new Date() },
+        isDeleted: false,
+      })
+        .select("_id")
+        .sort({ effectiveAt: 1 });
+
+      for (const scheduled of due) {
+        try {
+          await this.applyScheduledPrice(scheduled._id);
+        } catch (error) {
+          console.error(
+            `Narx o'zgarishi ${scheduled._id} qo'llanmadi:`,
+            error.message
+          );
+        }
+      }
+      if (due.length) {
+        console.log(`${due.length} ta rejalashtirilgan narx qo'llandi`);
+      }
+    } catch (error) {
+      console.error(
+        "Rejalashtirilgan narxlarni qo'llashda xatolik:",
+        error.message
+      );
+    }
+  }
+
+  // Cron job'ni ishga tushirish: har daqiqada, ishga tushganda o'tib ketganlari ham qo'llanadi
+  startScheduledTasks() {
+    if (this.isRunning) {
+      console.log("Price schedule service allaqachon ishlamoqda");
+      return;
+    }
+
+    this.task = cron.schedule(
+      "* * * * *",
+      async () => {
+        await this.applyDuePrices();
+      },
+      {
+        scheduled: false,
+        timezone: "Asia/Tashkent",
+      }
+    );
+    this.task.start();
+    this.isRunning = true;
+    this.applyDuePrices();
+
+    console.log("Price schedule service ishga tushirildi (har daqiqada)");
+  }
+
+  // Cron job'ni to'xtatish
+  stopScheduledTasks() {
+    if (!this.isRunning) return;
+    this.task.destroy();
+    this.task = null;
+    this.isRunning = false;
+    console.log("Price schedule service to'xtatildi");
+  }
+}
+
+module.exports = new PriceScheduleService();
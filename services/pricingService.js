@@ -0,0 +1,142 @@
+const PriceList = require("../models/priceLists/priceList.model");
+const Product = require("../models/products/product.model");
+const Client = require("../models/clients/client.model");
+const PriceHistory = require("../models/priceHistory/priceHistory.model");
+const { HttpError } = require("../utils/withTransaction");
+
+/**
+ * Mijoz uchun narxlar ro'yxatlarini ustuvorlik tartibida olish:
+ * mijozning shaxsiy ro'yxati -> mijozga biriktirilgan ro'yxat -> standart ro'yxat
+ * @param {String} clientId - Client ID (ixtiyoriy)
+ * @param {Object} session - MongoDB session (ixtiyoriy)
+ * @returns {Promise<Array>} PriceList hujjatlari
+ */
+const getApplicableLists = async (clientId, session = null) => {
+  const active = { isActive: true, isDeleted: false };
+  const lists = [];
+
+  if (clientId) {
+    const clientLists = await PriceList.find({
+      ...active,
+      type: "client",
+      client: clientId,
+    }).session(session);
+    lists.push(...clientLists);
+
+    const client = await Client.findById(clientId)
+      .select("priceList")
+      .session(session);
+    if (client?.priceList) {
+      const assigned = await PriceList.findOne({
+        ...active,
+        _id: client.priceList,
+      }).session(session);
+      if (assigned) lists.push(assigned);
+    }
+  }
+
+  const defaultList = await PriceList.findOne({
+    ...active,
+    isDefault: true,
+  }).session(session);
+  if (defaultList) lists.push(defaultList);
+
+  return lists;
+};
+
+// Ro'yxatdagi mahsulot narxi: minQuantity <= quantity bo'lgan eng katta chegara
+const findListPrice = (list, productId, quantity) =>
+  list.items
+    .filter(
+      (item) =>
+        String(item.product) === String(productId) &&
+        item.minQuantity <= quantity
+    )
+    .sort((a, b) => b.minQuantity - a.minQuantity)[0] || null;
+
+/**
+ * Mahsulot uchun amaldagi narxni aniqlash (ombor birligida)
+ * @param {Object} product - Product hujjati
+ * @param {Number} quantity - Ombor birligidagi miqdor
+ * @param {Array} lists - getApplicableLists natijasi
+ * @returns {Object} { price, source, priceList, minQuantity }
+ */
+const resolveProductPrice = (product, quantity, lists) => {
+  for (const list of lists) {
+    const item = findListPrice(list, product._id, quantity);
+    if (item) {
+      return {
+        price: item.price,
+        source: list.type,
+        priceList: { _id: list._id, name: list.name },
+        minQuantity: item.minQuantity,
+      };
+    }
+  }
+  return {
+    price: product.salePrice,
+    source: "salePrice",
+    priceList: null,
+    minQuantity: 0,
+  };
+};
+
+/**
+ * Bir nechta qator uchun narxlarni aniqlash
+ * @param {Array} lines - [{ product, quantity }]
+ * @param {String} clientId - Client ID (ixtiyoriy)
+ * @returns {Promise<Array>} [{ product, quantity, price, source, priceList, minQuantity }]
+ */
+const resolvePrices = async (lines, clientId) => {
+  const lists = await getApplicableLists(clientId);
+  const result = [];
+  for (const line of lines) {
+    const product = await Product.findOne({
+      _id: line.product,
+      isDeleted: false,
+    });
+    if (!product) {
+      throw new HttpError(404, `Mahsulot topilmadi: ${line.product}`);
+    }
+    const quantity = Number(line.quantity) || 0;
+    result.push({
+      product: product._id,
+      name: product.name,
+      unit: product.unit,
+      quantity,
+      ...resolveProductPrice(product, quantity, lists),
+    });
+  }
+  return result;
+};
+
+/**
+ * Mahsulot narxi o'zgargan bo'lsa tarixga yozish
+ * @param {Object} product - Saqlangan Product hujjati
+ * @param {Object} oldPrices - { costPrice, salePrice } o'zgarishdan oldingi narxlar
+ * @param {Object} meta - { source, changedBy, scheduledPrice }
+ * @param {Object} session - MongoDB session (ixtiyoriy)
+ */
+const recordPriceChanges = async (product, oldPrices, meta = {}, session) => {
+  const entries = ["costPrice", "salePrice"]
+    .filter((field) => Number(oldPrices[field]) !== Number(product[field]))
+    .map((field) => ({
+      product: product._id,
+      field,
+      oldPrice: oldPrices[field] ?? null,
+      newPrice: product[field],
+      source: meta.source || "manual",
+      scheduledPrice: meta.scheduledPrice || null,
+      changedBy: meta.changedBy || null,
+    }));
+  if (entries.length) {
+    await PriceHistory.create(entries, { session, ordered: true });
+  }
+};
+
+module.exports = {
+  getApplicableLists,
+  resolveProductPrice,
+  resolvePrices,
+  recordPriceChanges,
+};
@@ -0,0 +1,140 @@
+const Promotion = require("../models/promotions/promotion.model");
+const { TASHKENT_OFFSET } = require("../utils/tashkentTime");
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Aksiya berilgan vaqtda amal qiladimi (davr, hafta kuni, kun ichidagi vaqt)
+ * @param {Object} promotion - Promotion hujjati
+ * @param {Date} date - Tekshiriladigan vaqt
+ * @returns {Boolean}
+ */
+const isPromotionActive = (promotion, date = new Date()) => {
+  if (!promotion.isActive) return false;
+  if (promotion.startsAt && date < promotion.startsAt) return false;
+  if (promotion.endsAt && date > promotion.endsAt) return false;
+
+  const local = new Date(date.getTime() + TASHKENT_OFFSET);
+  if (
+    promotion.daysOfWeek?.length &&
+    !promotion.daysOfWeek.includes(local.getUTCDay())
+  ) {
+    return false;
+  }
+
+  if (promotion.timeFrom && promotion.timeTo) {
+    const now = local.getUTCHours() * 60 + local.getUTCMinutes();
+    const from = toMinutes(promotion.timeFrom);
+    const to = toMinutes(promotion.timeTo);
+    // Yarim tundan o'tadigan oraliq (22:00-02:00)
+    const inWindow =
+      from <= to ? now >= from && now < to : now >= from || now < to;
+    if (!inWindow) return false;
+  }
+  return true;
+};
+
+/**
+ * Berilgan vaqtda amal qiladigan aksiyalar
+ * @param {Date} date - Buyurtma vaqti
+ * @param {Object} session - MongoDB session (ixtiyoriy)
+ * @returns {Promise<Array>} Promotion hujjatlari
+ */
+const getActivePromotions = async (date = new Date(), session = null) => {
+  const promotions = await Promotion.find({
+    isActive: true,
+    isDeleted: false,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: date } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gte: date } }] },
+    ],
+  }).session(session);
+  return promotions.filter((promotion) => isPromotionActive(promotion, date));
+};
+
+// Aksiya shu qatorga tegishlimi: mahsulot, kategoriya (quyi kategoriyalar bilan), mijoz guruhi, miqdor
+const appliesToLine = (promotion, product, quantity, context) => {
+  if (quantity < (promotion.minQuantity || 0)) return false;
+
+  if (
+    promotion.clientGroups.length &&
+    !promotion.clientGroups.includes(context.clientGroup)
+  ) {
+    return false;
+  }
+
+  const hasProductScope = promotion.products.length > 0;
+  const hasCategoryScope = promotion.categories.length > 0;
+  if (!hasProductScope && !hasCategoryScope) return true;
+
+  const inProducts = promotion.products.some(
+    (id) => String(id) === String(product._id)
+  );
+  const inCategories = promotion.categories.some((id) =>
+    context.categoryPath.includes(String(id))
+  );
+  return inProducts || inCategories;
+};
+
+/**
+ * Qator uchun chegirma summasi
+ * @param {Object} promotion - Promotion hujjati
+ * @param {Number} price - Ombor birligi narxi
+ * @param {Number} quantity - Ombor birligidagi miqdor
+ * @returns {Number} Chegirma (so'mda, qator summasidan oshmaydi)
+ */
+const calculateDiscount = (promotion, price, quantity) => {
+  const lineTotal = price * quantity;
+  let discount = 0;
+  if (promotion.type === "percentage") {
+    discount = (lineTotal * Math.min(promotion.value, 100)) / 100;
+  } else if (promotion.type === "fixed") {
+    discount = Math.min(promotion.value, price) * quantity;
+  } else if (promotion.type === "buy_x_get_y") {
+    const setSize = promotion.buyQuantity + promotion.freeQuantity;
+    const sets = Math.floor(quantity / setSize);
+    discount = sets * promotion.freeQuantity * price;
+  }
+  return Math.round(Math.min(Math.max(discount, 0), lineTotal));
+};
+
+/**
+ * Qatorga eng katta chegirma beradigan aksiyani qo'llash (aksiyalar qo'shilmaydi)
+ * @param {Object} orderProduct - Buyurtma qatori (ombor birligida)
+ * @param {Object} product - Product hujjati
+ * @param {Array} promotions - getActivePromotions natijasi
+ * @param {Object} context - { clientGroup, categoryPath } (categoryPath - mahsulot kategoriyasi va uning yuqorilari)
+ * @returns {Number} Qator chegirmasi
+ */
+const applyPromotions = (orderProduct, product, promotions, context) => {
+  let best = null;
+  let bestDiscount = 0;
+  for (const promotion of promotions) {
+    if (!appliesToLine(promotion, product, orderProduct.quantity, context)) {
+      continue;
+    }
+    const discount = calculateDiscount(
+      promotion,
+      orderProduct.price,
+      orderProduct.quantity
+    );
+    if (discount > bestDiscount) {
+      best = promotion;
+      bestDiscount = discount;
+    }
+  }
+
+  orderProduct.discount = bestDiscount;
+  orderProduct.promotion = best?._id || null;
+  orderProduct.promotionName = best?.name || null;
+  return bestDiscount;
+};
+
+module.exports = {
+  isPromotionActive,
+  getActivePromotions,
+  applyPromotions,
+};
@@ -0,0 +1,80 @@
+const Product = require("../models/products/product.model");
+const { isStockOut } = require("../utils/orderStatus");
+const { HttpError } = require("../utils/withTransaction");
+const { roundQuantity } = require("../utils/units");
+
+/**
+ * Buyurtma band qilishi kerakmi: oldindan buyurtma, hali ombordan chiqmagan va bekor qilinmagan
+ * @param {Object} order - Order hujjati
+ * @returns {Boolean}
+ */
+const needsReservation = (order) =>
+  Boolean(order.scheduledFor) &&
+  !isStockOut(order.status) &&
+  order.status !== "cancelled";
+
+// Qatorlar bo'yicha Product.reservedQuantity ni o'zgartirish (sign: 1 - band qilish, -1 - bo'shatish)
+const changeReserved = async (orderProducts, sign, session) => {
+  for (const orderProduct of orderProducts) {
+    if (!orderProduct.quantity) continue;
+    await Product.updateOne(
+      { _id: orderProduct.product },
+      { $inc: { reservedQuantity: sign * orderProduct.quantity } },
+      { session }
+    );
+  }
+};
+
+// Band qilinadigan miqdor bo'sh qoldiqdan (quantity - reservedQuantity) oshmasligi kerak
+const checkAvailable = async (orderProducts, session) => {
+  const requested = new Map();
+  for (const orderProduct of orderProducts) {
+    if (!orderProduct.quantity) continue;
+    const key = String(orderProduct.product);
+    requested.set(key, (requested.get(key) || 0) + orderProduct.quantity);
+  }
+
+  for (const [productId, quantity] of requested) {
+    const product = await Product.findById(productId).session(session);
+    if (!product) {
+      throw new HttpError(404, `Продукт с ID ${productId} не найден`);
+    }
+    const available = product.quantity - (product.reservedQuantity || 0);
+    if (available < roundQuantity(quantity, product.unit)) {
+      throw new HttpError(
+        400,
+        `Недостаточно товара для предзаказа ${product.name}. Доступно: ${available}, запрошено: ${quantity}`
+      );
+    }
+  }
+};
+
+/**
+ * Buyurtma bandini bo'shatish (mahsulotlar yoki holat o'zgarishidan oldin)
+ * @param {Object} order - Order hujjati
+ * @param {Object} session - MongoDB session
+ */
+const releaseReservation = async (order, session) => {
+  if (!order.stockReserved) return;
+  await changeReserved(order.products, -1, session);
+  order.stockReserved = false;
+};
+
+/**
+ * Buyurtmaning joriy qatorlarini band qilish (kerak bo'lsa).
+ * Bo'sh qoldiq yetmasa HttpError(400)
+ * @param {Object} order - Order hujjati (yangi products va status bilan)
+ * @param {Object} session - MongoDB session
+ */
+const applyReservation = async (order, session) => {
+  if (order.stockReserved || !needsReservation(order)) return;
+  await checkAvailable(order.products, session);
+  await changeReserved(order.products, 1, session);
+  order.stockReserved = true;
+};
+
+module.exports = {
+  needsReservation,
+  releaseReservation,
+  applyReservation,
+};
@@ -0,0 +1,178 @@
+const Delivery = require("../models/deliveries/delivery.model");
+const { HttpError } = require("../utils/withTransaction");
+const { hasCoordinates, distanceKm } = require("../utils/geo");
+const { tashkentDayRange } = require("../utils/tashkentTime");
+
+// Do'kon joylashuvi: marshrut shu yerdan boshlanadi
+const SHOP_LAT = Number(process.env.SHOP_LAT);
+const SHOP_LNG = Number(process.env.SHOP_LNG);
+
+// Marshrutga kiradigan yetkazishlar: kuryerga biriktirilgan va yo'lga chiqqan
+const ROUTE_DELIVERY_STATUSES = ["assigned", "out_for_delivery"];
+
+// 2-opt o'tishlari chegarasi (katta ro'yxatda cheksiz aylanmaslik uchun)
+const MAX_TWO_OPT_PASSES = 50;
+
+const round = (km) => Math.round(km * 100) / 100;
+
+const getShopLocation = () => {
+  const shop = { lat: SHOP_LAT, lng: SHOP_LNG };
+  if (!hasCoordinates(shop)) {
+    throw new HttpError(
+      500,
+      "Do'kon joylashuvi sozlanmagan (SHOP_LAT, SHOP_LNG)"
+    );
+  }
+  return shop;
+};
+
+/**
+ * Ochiq marshrut uzunligi: boshlang'ich nuqtadan oxirgi bekatgacha
+ * @param {Object} origin - { lat, lng }
+ * @param {Array} stops - [{ lat, lng }, ...] tartib bilan
+ * @returns {Number} km
+ */
+const routeDistance = (origin, stops) => {
+  let total = 0;
+  let current = origin;
+  for (const stop of stops) {
+    total += distanceKm(current, stop);
+    current = stop;
+  }
+  return total;
+};
+
+// Eng yaqin qo'shni: har safar eng yaqin tashrif buyurilmagan bekatga boriladi
+const nearestNeighbour = (origin, stops) => {
+  const left = [...stops];
+  const route = [];
+  let current = origin;
+  while (left.length) {
+    let nearest = 0;
+    for (let i = 1; i < left.length; i++) {
+      if (distanceKm(current, left[i]) < distanceKm(current, left[nearest])) {
+        nearest = i;
+      }
+    }
+    current = left.splice(nearest, 1)[0];
+    route.push(current);
+  }
+  return route;
+};
+
+// 2-opt: kesishgan qirralarni bo'lakni teskari aylantirib yo'qotish.
+// Marshrut ochiq - oxirgi bekatdan do'konga qaytish hisoblanmaydi
+const twoOpt = (origin, route) => {
+  const points = [origin, ...route];
+  let improved = true;
+  for (let pass = 0; improved && pass < MAX_TWO_OPT_PASSES; pass++) {
+    improved = false;
+    for (let i = 1; i < points.length - 1; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const next = points[j + 1];
+        const before =
+          distanceKm(points[i - 1], points[i]) +
+          (next ? distanceKm(points[j], next) : 0);
+        const after =
+          distanceKm(points[i - 1], points[j]) +
+          (next ? distanceKm(points[i], next) : 0);
+        if (after < before - 1e-9) {
+          const segment = points.slice(i, j + 1).reverse();
+          points.splice(i, segment.length, ...segment);
+          improved = true;
+        }
+      }
+    }
+  }
+  return points.slice(1);
+};
+
+/**
+ * Bekatlar tartibi: eng yaqin qo'shni, keyin 2-opt bilan yaxshilash
+ * @param {Object} origin - { lat, lng } (do'kon)
+ * @param {Array} stops - [{ lat, lng, ... }, ...]
+ * @returns {Object} { stops, distanceKm, returnDistanceKm }
+ */
+const planRoute = (origin, stops) => {
+  const route = twoOpt(origin, nearestNeighbour(origin, stops));
+  const last = route[route.length - 1];
+  return {
+    stops: route,
+    distanceKm: round(routeDistance(origin, route)),
+    returnDistanceKm: last ? round(distanceKm(last, origin)) : 0,
+  };
+};
+
+/**
+ * Kun marshrutlari: yetkazishlar kuryer bo'yicha guruhlanadi va bekatlar tartiblanadi.
+ * Koordinatasiz manzillar unrouted ro'yxatiga tushadi
+ * @param {Object} options - { date, courier }
+ * @returns {Promise<Object>} { shop, date, routes: [{ courier, stops, distanceKm, returnDistanceKm, unrouted }] }
+ */
+const planDayRoutes = async ({ date = new Date(), courier } = {}) => {
+  const shop = getShopLocation();
+  const { start, end } = tashkentDayRange(date);
+
+  const filter = {
+    isDeleted: false,
+    courier: courier || { $ne: null },
+    status: { $in: ROUTE_DELIVERY_STATUSES },
+    plannedFrom: { $gte: start, $lt: end },
+  };
+  const deliveries = await Delivery.find(filter)
+    .populate("client", "fullName phone")
+    .populate("courier", "fullName phone")
+    .populate("order", "totalAmount debtAmount status notes")
+    .sort({ plannedFrom: 1 });
+
+  const groups = new Map();
+  for (const delivery of deliveries) {
+    // O'chirilgan kuryer
+    if (!delivery.courier) continue;
+    const key = String(delivery.courier._id);
+    if (!groups.has(key)) {
+      groups.set(key, { courier: delivery.courier, deliveries: [] });
+    }
+    groups.get(key).deliveries.push(delivery);
+  }
+
+  const routes = [...groups.values()].map((group) => {
+    const stops = [];
+    const unrouted = [];
+    for (const delivery of group.deliveries) {
+      if (hasCoordinates(delivery.address)) {
+        stops.push({
+          lat: delivery.address.lat,
+          lng: delivery.address.lng,
+          delivery,
+        });
+      } else {
+        unrouted.push(delivery);
+      }
+    }
+
+    const plan = planRoute(shop, stops);
+    let previous = shop;
+    return {
+      courier: group.courier,
+      stops: plan.stops.map((stop, index) => {
+        const legKm = round(distanceKm(previous, stop));
+        previous = stop;
+        return { sequence: index + 1, legKm, delivery: stop.delivery };
+      }),
+      distanceKm: plan.distanceKm,
+      returnDistanceKm: plan.returnDistanceKm,
+      unrouted,
+    };
+  });
+
+  return { shop, date: start, routes };
+};
+
+module.exports = {
+  routeDistance,
+  nearestNeighbour,
+  twoOpt,
+  planRoute,
+  planDayRoutes,
+};
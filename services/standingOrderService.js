@@ -0,0 +1,229 @@
+const cron = require("node-cron");
+const StandingOrder = require("../models/standingOrders/standingOrder.model");
+const { withTransaction } = require("../utils/withTransaction");
+const {
+  emitStandingOrderGenerated,
+  emitStandingOrderFailed,
+} = require("../utils/socketEvents");
+const { TASHKENT_OFFSET, tashkentDayRange } = require("../utils/tashkentTime");
+const {
+  createOrder,
+  announceNewOrder,
+  sendTelegramMessage,
+} = require("./orderService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Toshkent vaqti bo'yicha kun, hafta kuni va soat
+ * @param {Date} date
+ * @returns {Object} { day, weekday, time } - day: kun boshi, weekday: 1 (dushanba) - 7, time: "HH:mm"
+ */
+const tashkentClock = (date = new Date()) => {
+  const local = new Date(date.getTime() + TASHKENT_OFFSET);
+  return {
+    day: tashkentDayRange(date).start,
+    weekday: local.getUTCDay() || 7,
+    time: local.toISOString().slice(11, 16),
+  };
+};
+
+/**
+ * Shablon shu kuni to'xtatilganmi (pausedUntil o'tgan bo'lsa davom etadi)
+ * @param {Object} standingOrder - StandingOrder hujjati
+ * @param {Date} date
+ * @returns {Boolean}
+ */
+const isPausedAt = (standingOrder, date) =>
+  standingOrder.isPaused &&
+  (!standingOrder.pausedUntil || standingOrder.pausedUntil > date);
+
+const isSkipped = (standingOrder, day) =>
+  standingOrder.skipDates.some((date) => date.getTime() === day.getTime());
+
+/**
+ * Shablondan POST /api/orders body: to'lovsiz, qoldiq qarz (topshirilganda yoziladi)
+ * @param {Object} standingOrder - StandingOrder hujjati
+ * @param {Date} day - Buyurtma kuni (Toshkent kuni boshi)
+ * @returns {Object}
+ */
+const buildOrderInput = (standingOrder, day) => ({
+  client: standingOrder.client,
+  products: standingOrder.products.map((line) => ({
+    product: line.product,
+    quantity: line.quantity,
+    unit: line.unit || undefined,
+    price: line.price,
+  })),
+  status: standingOrder.orderStatus,
+  address: standingOrder.address || undefined,
+  car: standingOrder.car,
+  date_returned: new Date(
+    day.getTime() + standingOrder.paymentTermDays * DAY_MS
+  ),
+  notes: [`Doimiy buyurtma: ${standingOrder.name}`, standingOrder.notes]
+    .filter(Boolean)
+    .join("\n"),
+});
+
+class StandingOrderService {
+  constructor() {
+    this.isRunning = false;
+    this.task = null;
+    this.io = null;
+  }
+
+  // Bitta shablondan shu kun uchun buyurtma yaratish.
+  // Kun lastRunDate ga yoziladi: qayta ishga tushganda takrorlanmaydi
+  async generateOrder(standingOrderId, now = new Date()) {
+    const { day } = tashkentClock(now);
+    return withTransaction(async (session) => {
+      // Boshqa jarayon allaqachon yaratgan bo'lsa o'tkazib yuboriladi
+      const standingOrder = await StandingOrder.findOne({
+        _id: standingOrderId,
+        isDeleted: false,
+        $or: [{ lastRunDate: null }, { lastRunDate: { $lt: day } }],
+      }).session(session);
+      if (!standingOrder || isPausedAt(standingOrder, now)) return null;
+
+      standingOrder.lastRunDate = day;
+      if (standingOrder.isPaused) {
+        standingOrder.isPaused = false;
+        standingOrder.pausedUntil = null;
+      }
+      if (isSkipped(standingOrder, day)) {
+        standingOrder.skipDates = standingOrder.skipDates.filter(
+          (date) => date.getTime() !== day.getTime()
+        );
+        await standingOrder.save({ session });
+        return { standingOrder, created: null };
+      }
+
+      const created = await createOrder(
+        buildOrderInput(standingOrder, day),
+        {
+          adminId: standingOrder.createdBy,
+          standingOrder: standingOrder._id,
+        },
+        session
+      );
+      standingOrder.lastOrder = created.order._id;
+      standingOrder.lastError = "";
+      await standingOrder.save({ session });
+      return { standingOrder, created };
+    });
+  }
+
+  // Yaratilmagan buyurtma: xato saqlanadi, shu kuni qayta urinilmaydi
+  async recordFailure(standingOrder, error, now) {
+    const { day } = tashkentClock(now);
+    await StandingOrder.updateOne(
+      { _id: standingOrder._id },
+      { lastRunDate: day, lastError: error.message }
+    );
+
+    try {
+      await sendTelegramMessage(
+        `⚠️ Doimiy buyurtma yaratilmadi: ${standingOrder.name}\nXato: ${error.message}`
+      );
+    } catch (err) {
+      console.error("Telegramga xabar yuborilmadi:", err.message);
+    }
+    if (this.io) emitStandingOrderFailed(this.io, standingOrder, error.message);
+  }
+
+  // Vaqti kelgan shablonlar: bugungi hafta kuni, vaqti o'tgan va bugun hali ishlanmagan
+  async generateDueOrders(now = new Date()) {
+    try {
+      const { day, weekday, time } = tashkentClock(now);
+      const due = await StandingOrder.find({
+        isDeleted: false,
+        weekdays: weekday,
+        time: { $lte: time },
+        $and: [
+          { $or: [{ lastRunDate: null }, { lastRunDate: { $lt: day } }] },
+          {
+            $or: [
+              { isPaused: false },
+              { pausedUntil: { $ne: null, $lte: now } },
+            ],
+          },
+        ],
+      }).sort({ time: 1 });
+
+      let generated = 0;
+      for (const standingOrder of due) {
+        let result;
+        try {
+          result = await this.generateOrder(standingOrder._id, now);
+        } catch (error) {
+          console.error(
+            `Doimiy buyurtma ${standingOrder._id} yaratilmadi:`,
+            error.message
+          );
+          await this.recordFailure(standingOrder, error, now);
+          continue;
+        }
+        if (!result?.created) continue;
+
+        generated++;
+        try {
+          await announceNewOrder(result.created, {
+            io: this.io,
+            title: `🔁 Doimiy buyurtma: ${standingOrder.name}`,
+          });
+          if (this.io) {
+            emitStandingOrderGenerated(
+              this.io,
+              result.standingOrder,
+              result.created.order
+            );
+          }
+        } catch (error) {
+          console.error("Doimiy buyurtma xabari yuborilmadi:", error.message);
+        }
+      }
+      if (generated) {
+        console.log(`${generated} ta doimiy buyurtma yaratildi`);
+      }
+    } catch (error) {
+      console.error("Doimiy buyurtmalarni yaratishda xatolik:", error.message);
+    }
+  }
+
+  // Cron job'ni ishga tushirish: har daqiqada, ishga tushganda bugungi o'tib ketganlari ham yaratiladi
+  startScheduledTasks(io) {
+    if (this.isRunning) {
+      console.log("Standing order service allaqachon ishlamoqda");
+      return;
+    }
+
+    this.io = io || null;
+    this.task = cron.schedule(
+      "* * * * *",
+      async () => {
+        await this.generateDueOrders();
+      },
+      {
+        scheduled: false,
+        timezone: "Asia/Tashkent",
+      }
+    );
+    this.task.start();
+    this.isRunning = true;
+    this.generateDueOrders();
+
+    console.log("Standing order service ishga tushirildi (har daqiqada)");
+  }
+
+  // Cron job'ni to'xtatish
+  stopScheduledTasks() {
+    if (!this.isRunning) return;
+    this.task.destroy();
+    this.task = null;
+    this.isRunning = false;
+    console.log("Standing order service to'xtatildi");
+  }
+}
+
+module.exports = new StandingOrderService();
@@ -0,0 +1,306 @@
+const Product = require("../models/products/product.model");
+const StockMovement = require("../models/stockMovements/stockMovement.model");
+const CostLayer = require("../models/costLayers/costLayer.model");
+const Lot = require("../models/lots/lot.model");
+const { HttpError } = require("../utils/withTransaction");
+const { roundQuantity } = require("../utils/units");
+
+// Mahsulotning ochiq qatlamlari (eng eskisi birinchi)
+const getOpenLayers = (productId, session) =>
+  CostLayer.find({
+    product: productId,
+    remaining: { $gt: 0 },
+    isDeleted: false,
+  })
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session);
+
+/**
+ * Qatlamlar joriy qoldiqni to'liq qoplashini ta'minlash.
+ * Qatlamlardan oldin kiritilgan eski qoldiq joriy costPrice bilan
+ * eng eski qatlam sifatida yoziladi.
+ */
+const ensureOpeningLayer = async (product, layers, session) => {
+  const covered = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+  const untracked = roundQuantity(product.quantity - covered, product.unit);
+  if (untracked <= 0) return layers;
+
+  const [opening] = await CostLayer.create(
+    [
+      {
+        product: product._id,
+        quantity: untracked,
+        remaining: untracked,
+        unitCost: product.costPrice,
+        receivedAt: product.createdAt || new Date(0),
+      },
+    ],
+    { session }
+  );
+  return [opening, ...layers];
+};
+
+// Qatlamlardan FIFO tartibida chiqarish, umumiy tannarxni qaytarish
+const consumeLayers = async (product, quantity, layers) => {
+  let left = quantity;
+  let totalCost = 0;
+  for (const layer of layers) {
+    if (left <= 0) break;
+    const take = Math.min(layer.remaining, left);
+    layer.remaining = roundQuantity(layer.remaining - take, product.unit);
+    left -= take;
+    totalCost += take * layer.unitCost;
+    await layer.save();
+  }
+  // Qatlamlar yetmasa (bo'lmasligi kerak) qolgan qism joriy tannarx bilan
+  totalCost += left * product.costPrice;
+  return totalCost;
+};
+
+// Yaroqlilik muddati bo'yicha tartib (FEFO): muddati yaqini birinchi, muddatsizlari oxirida
+const compareExpiry = (a, b) => {
+  const aTime = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+  const bTime = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+  if (aTime !== bTime) return aTime < bTime ? -1 : 1;
+  return a.receivedAt - b.receivedAt;
+};
+
+// Mahsulotning ochiq partiyalari FEFO tartibida
+const getOpenLots = async (productId, session) => {
+  const lots = await Lot.find({
+    product: productId,
+    remaining: { $gt: 0 },
+    isDeleted: false,
+  }).session(session);
+  return lots.sort(compareExpiry);
+};
+
+// Partiyalardan oldingi eski qoldiqni muddatsiz partiya sifatida yozish
+const ensureOpeningLot = async (product, lots, session) => {
+  const covered = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+  const untracked = roundQuantity(product.quantity - covered, product.unit);
+  if (untracked <= 0) return lots;
+
+  const [opening] = await Lot.create(
+    [
+      {
+        product: product._id,
+        quantity: untracked,
+        remaining: untracked,
+        receivedAt: product.createdAt || new Date(0),
+      },
+    ],
+    { session }
+  );
+  return [...lots, opening].sort(compareExpiry);
+};
+
+// Partiyalardan FEFO tartibida chiqarish, taqsimotni qaytarish
+const allocateLots = async (product, lots, quantity) => {
+  const allocations = [];
+  let left = quantity;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(lot.remaining, left);
+    lot.remaining = roundQuantity(lot.remaining - take, product.unit);
+    left -= take;
+    await lot.save();
+    allocations.push({
+      lot: lot._id,
+      quantity: take,
+      expiryDate: lot.expiryDate,
+      slaughterDate: lot.slaughterDate,
+    });
+  }
+  return allocations;
+};
+
+/**
+ * Kirim uchun partiya ochish yoki qaytarilgan miqdorni avvalgi partiyalarga qo'yish.
+ * Yaroqlilik muddati berilgan sana va mahsulot saqlash muddatining eng yaqini.
+ */
+const receiveLots = async (product, quantity, movement, session) => {
+  let left = quantity;
+  const allocations = [];
+
+  // Qaytarish: mahsulot chiqib ketgan partiyalariga qaytadi
+  for (const allocation of movement.lots || []) {
+    if (left <= 0) break;
+    const lot = await Lot.findById(allocation.lot).session(session);
+    if (!lot) continue;
+    const put = Math.min(allocation.quantity, left);
+    lot.remaining = roundQuantity(lot.remaining + put, product.unit);
+    left -= put;
+    await lot.save();
+    allocations.push({ lot: lot._id, quantity: put });
+  }
+  if (left <= 0) return allocations;
+
+  const lotInfo = movement.lot || {};
+  const expiryCandidates = [];
+  if (lotInfo.expiryDate) expiryCandidates.push(new Date(lotInfo.expiryDate));
+  if (product.shelfLifeDays) {
+    const shelfLifeEnd = new Date();
+    shelfLifeEnd.setDate(shelfLifeEnd.getDate() + product.shelfLifeDays);
+    expiryCandidates.push(shelfLifeEnd);
+  }
+
+  const [lot] = await Lot.create(
+    [
+      {
+        product: product._id,
+        lotNumber: lotInfo.lotNumber || "",
+        quantity: left,
+        remaining: left,
+        slaughterDate: lotInfo.slaughterDate || null,
+        expiryDate: expiryCandidates.length
+          ? new Date(Math.min(...expiryCandidates))
+          : null,
+        relatedModel: movement.relatedModel || (movement.order && "Order"),
+        relatedId: movement.relatedId || movement.order || null,
+      },
+    ],
+    { session }
+  );
+  allocations.push({ lot: lot._id, quantity: left });
+  return allocations;
+};
+
+/**
+ * Mahsulot qoldig'ini o'zgartirish va StockMovement yozish.
+ * Product.quantity faqat shu funksiya orqali o'zgartirilishi kerak.
+ * Kirimda yangi tannarx qatlami ochiladi, chiqimda qatlamlar FIFO
+ * tartibida yopiladi. Chiqim tannarxi mahsulotning costingMethod'iga bog'liq.
+ * Partiyalar esa yaroqlilik muddati bo'yicha (FEFO) sarflanadi.
+ * @param {Object} product - Product hujjati (session bilan olingan)
+ * @param {Number} delta - O'zgarish (+ kirim, - chiqim)
+ * @param {Object} movement - type, unitCost, lot, lots, order, relatedModel, relatedId, createdBy, description
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} { product, unitCost, lots } - harakat tannarxi va partiyalar taqsimoti
+ */
+const adjustStock = async (product, delta, movement, session) => {
+  const layers = await ensureOpeningLayer(
+    product,
+    await getOpenLayers(product._id, session),
+    session
+  );
+  const openLots = await ensureOpeningLot(
+    product,
+    await getOpenLots(product._id, session),
+    session
+  );
+
+  let unitCost = product.costPrice;
+  let lots = [];
+  if (delta > 0) {
+    lots = await receiveLots(product, delta, movement, session);
+
+    // Kirim: yangi qatlam va o'rtacha tannarxni qayta hisoblash
+    unitCost = movement.unitCost ?? product.costPrice;
+    await CostLayer.create(
+      [
+        {
+          product: product._id,
+          quantity: delta,
+          remaining: delta,
+          unitCost,
+          relatedModel: movement.relatedModel || (movement.order && "Order"),
+          relatedId: movement.relatedId || movement.order || null,
+        },
+      ],
+      { session }
+    );
+
+    const oldQuantity = Math.max(0, product.quantity);
+    product.costPrice =
+      (oldQuantity * product.costPrice + delta * unitCost) /
+      (oldQuantity + delta);
+  } else if (delta < 0) {
+    // Chiqim: partiyalar va qatlamlarni yopish
+    lots = await allocateLots(product, openLots, -delta);
+    const fifoCost = await consumeLayers(product, -delta, layers);
+    if (product.costingMethod === "fifo") {
+      unitCost = fifoCost / -delta;
+
+      // FIFO'da costPrice qolgan partiyalarning o'rtacha tannarxi
+      const remaining = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+      if (remaining > 0) {
+        product.costPrice =
+          layers.reduce(
+            (sum, layer) => sum + layer.remaining * layer.unitCost,
+            0
+          ) / remaining;
+      }
+    }
+  }
+
+  product.quantity = roundQuantity(product.quantity + delta, product.unit);
+  await product.save({ session });
+
+  await StockMovement.create(
+    [
+      {
+        product: product._id,
+        type: movement.type,
+        quantity: delta,
+        balanceAfter: product.quantity,
+        costPrice: unitCost,
+        order: movement.order || null,
+        relatedModel: movement.relatedModel || null,
+        relatedId: movement.relatedId || null,
+        createdBy: movement.createdBy || null,
+        description: movement.description || "",
+      },
+    ],
+    { session }
+  );
+
+  return { product, unitCost, lots };
+};
+
+/**
+ * Mahsulotni ombordan chiqarish (yetarli bo'lmasa tranzaksiya bekor qilinadi)
+ * @param {String} productId - Product ID
+ * @param {Number} quantity - Chiqariladigan miqdor
+ * @param {Object} movement - type, order, createdBy, description
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} { product, unitCost, lots }
+ */
+const takeStock = async (productId, quantity, movement, session) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) {
+    throw new HttpError(404, `Продукт с ID ${productId} не найден`);
+  }
+  // Sotuvda oldindan buyurtmalarga band qilingan miqdor sotilmaydi
+  const available =
+    movement.type === "sale"
+      ? product.quantity - (product.reservedQuantity || 0)
+      : product.quantity;
+  if (available < roundQuantity(quantity, product.unit)) {
+    throw new HttpError(
+      400,
+      `Недостаточно товара ${product.name}. Доступно: ${available}, запрошено: ${quantity}`
+    );
+  }
+  return adjustStock(product, -quantity, movement, session);
+};
+
+/**
+ * Mahsulotni omborga qo'shish
+ * @param {String} productId - Product ID
+ * @param {Number} quantity - Qo'shiladigan miqdor
+ * @param {Object} movement - type, unitCost, lot, lots, order, createdBy, description
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object|null>} { product, unitCost, lots } yoki mahsulot topilmasa null
+ */
+const putStock = async (productId, quantity, movement, session) => {
+  const product = await Product.findById(productId).session(session);
+  if (!product) return null;
+  return adjustStock(product, quantity, movement, session);
+};
+
+module.exports = {
+  adjustStock,
+  takeStock,
+  putStock,
+};
@@ -0,0 +1,143 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const BarcodeLayout = require("../models/barcodeLayouts/barcodeLayout.model");
+const Product = require("../models/products/product.model");
+const PriceList = require("../models/priceLists/priceList.model");
+const Client = require("../models/clients/client.model");
+const {
+  normalizePlu,
+  isValidEan13,
+  decodeScaleBarcode,
+} = require("../services/barcodeService");
+
+test("EAN-13 nazorat raqami", () => {
+  const cases = [
+    ["4006381333931", true],
+    ["2000123007502", true],
+    ["4006381333932", false],
+    ["2000123007503", false],
+    ["400638133393", false],
+    ["40063813339310", false],
+    ["400638133393a", false],
+    [" 4006381333931", false],
+    ["", false],
+  ];
+  for (const [barcode, expected] of cases) {
+    assert.strictEqual(isValidEan13(barcode), expected, barcode);
+  }
+});
+
+test("PLU kod boshidagi nollarsiz", () => {
+  const cases = [
+    ["00123", "123"],
+    [" 0042 ", "42"],
+    ["0", "0"],
+    ["000", "0"],
+    [123, "123"],
+    ["", null],
+    [null, null],
+  ];
+  for (const [pluCode, expected] of cases) {
+    assert.strictEqual(normalizePlu(pluCode), expected, String(pluCode));
+  }
+});
+
+// Tuzilishlar, mahsulotlar va narxlar ro'yxati o'rniga xotiradagi ma'lumotlar
+let layouts;
+let product;
+const clientList = {
+  _id: "list",
+  type: "client",
+  items: [
+    { product: "beef", minQuantity: 0, price: 90000 },
+    { product: "beef", minQuantity: 1, price: 80000 },
+  ],
+};
+BarcodeLayout.find = async () => layouts;
+Product.findOne = async ({ pluCode }) =>
+  pluCode === product.pluCode ? product : null;
+PriceList.find = (query) => ({
+  session: async () => (query.client === "client" ? [clientList] : []),
+});
+PriceList.findOne = () => ({ session: async () => null });
+Client.findById = () => ({ select: () => ({ session: async () => null }) });
+
+const priceLayout = {
+  name: "narxli",
+  prefixes: ["21"],
+  codeStart: 2,
+  codeLength: 5,
+  valueStart: 7,
+  valueLength: 5,
+  valueType: "price",
+  valueDecimals: 0,
+};
+
+beforeEach(() => {
+  layouts = [];
+  product = {
+    _id: "beef",
+    name: "Mol go'shti",
+    pluCode: "123",
+    unit: "kg",
+    salePrice: 100000,
+  };
+});
+
+test("vaznli yorliq: narx mijoz narxlar ro'yxatidan", async () => {
+  const withoutClient = await decodeScaleBarcode("2000123007502");
+  assert.deepStrictEqual(withoutClient.line, {
+    product: "beef",
+    quantity: 0.75,
+    unit: "kg",
+    price: 100000,
+  });
+
+  const withClient = await decodeScaleBarcode("2000123007502", {
+    clientId: "client",
+  });
+  assert.strictEqual(withClient.line.price, 90000);
+  assert.strictEqual(withClient.total, 67500);
+
+  // 1.5 kg - ro'yxatning 1 kg dan boshlanadigan narxi
+  const tier = await decodeScaleBarcode("2000123015002", {
+    clientId: "client",
+  });
+  assert.deepStrictEqual([tier.line.quantity, tier.line.price], [1.5, 80000]);
+});
+
+test("narxli yorliq: miqdor mijoz narxidan topiladi", async () => {
+  layouts = [priceLayout];
+  const withoutClient = await decodeScaleBarcode("2100123750009");
+  assert.deepStrictEqual(
+    [withoutClient.line.quantity, withoutClient.line.price],
+    [0.75, 100000]
+  );
+
+  const withClient = await decodeScaleBarcode("2100123750009", {
+    clientId: "client",
+  });
+  assert.deepStrictEqual(
+    [withClient.line.quantity, withClient.line.price],
+    [0.833, 90000]
+  );
+  assert.strictEqual(withClient.total, 75000);
+});
+
+test("qatorda katalog birligi, eski birlik yuborilmaydi", async () => {
+  product.unit = "кг";
+  const known = await decodeScaleBarcode("2000123007502");
+  assert.strictEqual(known.line.unit, "kg");
+
+  product.unit = "bo'lak";
+  layouts = [priceLayout];
+  const legacy = await decodeScaleBarcode("2100123750009");
+  assert.strictEqual(legacy.line.unit, undefined);
+  assert.strictEqual(legacy.line.quantity, 0.75);
+});
+
+test("noto'g'ri shtrix-kod va topilmagan PLU", async () => {
+  await assert.rejects(decodeScaleBarcode("2000123007503"), { status: 400 });
+  await assert.rejects(decodeScaleBarcode("4006381333931"), { status: 400 });
+  await assert.rejects(decodeScaleBarcode("2000999007507"), { status: 404 });
+});
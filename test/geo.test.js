@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { isPointInPolygon, hasCoordinates } = require("../utils/geo");
+const DeliveryZone = require("../models/deliveryZones/deliveryZone.model");
+const {
+  findZone,
+  resolveDeliveryFee,
+} = require("../services/deliveryZoneService");
+
+const point = (lat, lng) => ({ lat, lng });
+const square = (lat, lng, size = 1) => [
+  point(lat, lng),
+  point(lat, lng + size),
+  point(lat + size, lng + size),
+  point(lat + size, lng),
+];
+
+// U shaklidagi (botiq) hudud: o'rtadagi kesik hududga kirmaydi
+const uShape = [
+  point(0, 0),
+  point(0, 3),
+  point(3, 3),
+  point(3, 2),
+  point(1, 2),
+  point(1, 1),
+  point(3, 1),
+  point(3, 0),
+];
+
+test("ko'pburchak ichidagi va tashqarisidagi nuqtalar", () => {
+  assert.strictEqual(isPointInPolygon(point(0.5, 0.5), square(0, 0)), true);
+  assert.strictEqual(isPointInPolygon(point(1.5, 0.5), square(0, 0)), false);
+  assert.strictEqual(isPointInPolygon(point(-0.1, 0.5), square(0, 0)), false);
+});
+
+test("botiq ko'pburchak: kesikdagi nuqta tashqarida", () => {
+  assert.strictEqual(isPointInPolygon(point(2, 1.5), uShape), false);
+  assert.strictEqual(isPointInPolygon(point(2, 0.5), uShape), true);
+  assert.strictEqual(isPointInPolygon(point(2, 2.5), uShape), true);
+  assert.strictEqual(isPointInPolygon(point(0.5, 1.5), uShape), true);
+});
+
+test("qo'shni hududlar chegarasidagi nuqta faqat bittasiga tushadi", () => {
+  const west = square(0, 0);
+  const east = square(0, 1);
+  for (const onEdge of [point(0.5, 1), point(0, 1), point(1, 1)]) {
+    const matches = [west, east].filter((polygon) =>
+      isPointInPolygon(onEdge, polygon)
+    );
+    assert.ok(matches.length <= 1, JSON.stringify(onEdge));
+  }
+  assert.strictEqual(
+    [west, east].filter((polygon) => isPointInPolygon(point(0.5, 1), polygon))
+      .length,
+    1
+  );
+});
+
+test("noto'g'ri ko'pburchak yoki nuqta mos kelmaydi", () => {
+  assert.strictEqual(isPointInPolygon(point(0.5, 0.5), []), false);
+  assert.strictEqual(
+    isPointInPolygon(point(0.5, 0.5), [point(0, 0), point(1, 1)]),
+    false
+  );
+  assert.strictEqual(isPointInPolygon(null, square(0, 0)), false);
+  assert.strictEqual(hasCoordinates(point(41.3, 69.2)), true);
+  assert.strictEqual(hasCoordinates({ lat: "41.3", lng: 69.2 }), false);
+  assert.strictEqual(hasCoordinates(null), false);
+});
+
+// DeliveryZone o'rniga xotiradagi hududlar: find(...).sort({ fee: 1 }).session()
+const zones = [
+  {
+    _id: "center",
+    name: "Markaz",
+    fee: 10000,
+    minOrderAmount: 50000,
+    polygon: square(0, 0, 2),
+  },
+  {
+    _id: "city",
+    name: "Shahar",
+    fee: 20000,
+    minOrderAmount: 0,
+    polygon: square(0, 0, 4),
+  },
+];
+DeliveryZone.find = () => ({
+  sort: () => ({
+    session: async () => [...zones].sort((a, b) => a.fee - b.fee),
+  }),
+});
+
+test("ustma-ust hududlardan eng arzoni tanlanadi", async () => {
+  assert.strictEqual((await findZone(point(1, 1)))._id, "center");
+  assert.strictEqual((await findZone(point(3, 3)))._id, "city");
+});
+
+test("hech bir hududga tushmagan manzil", async () => {
+  assert.strictEqual(await findZone(point(5, 5)), null);
+  assert.strictEqual(await findZone({ lat: null, lng: 1 }), null);
+  await assert.rejects(resolveDeliveryFee(point(5, 5), 100000), {
+    status: 400,
+    message: "Адрес вне зон доставки",
+  });
+});
+
+test("yetkazish narxi va minimal buyurtma summasi", async () => {
+  assert.deepStrictEqual(await resolveDeliveryFee(point(1, 1), 60000), {
+    deliveryZone: "center",
+    deliveryFee: 10000,
+  });
+  await assert.rejects(resolveDeliveryFee(point(1, 1), 40000), {
+    status: 400,
+  });
+});
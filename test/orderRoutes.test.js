@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { validationResult } = require("express-validator");
+const router = require("../routes/orderRoutes");
+const { assertEditableAfterReturns } = require("../services/orderService");
+
+// PATCH /orders/:id route'idagi validation zanjiri (express-validator middleware'lari)
+const patchValidation = router.stack
+  .find((layer) => layer.route?.path === "/:id" && layer.route.methods.patch)
+  .route.stack.map((layer) => layer.handle)
+  .filter((handle) => typeof handle.run === "function");
+
+// Route handler'i kabi: avval validation, keyin qaytarish tekshiruvi
+const patchOrder = async (order, body) => {
+  const req = { body };
+  for (const chain of patchValidation) await chain.run(req);
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return { status: 400, errors: errors.array() };
+  try {
+    assertEditableAfterReturns(order, req.body);
+    return { status: 200 };
+  } catch (error) {
+    return { status: error.status };
+  }
+};
+
+const returnedOrder = () => ({
+  returnedAmount: 60000,
+  payments: [{ method: "cash", amount: 40000 }],
+  products: [{ product: "p1", quantity: 1, returnedQuantity: 0.5 }],
+});
+
+test("PATCH: products berilmasa validation o'tadi", async () => {
+  const result = await patchOrder(returnedOrder(), {
+    notes: "Mijoz qayta qo'ng'iroq qildi",
+    status: "completed",
+  });
+  assert.deepStrictEqual(result, { status: 200 });
+});
+
+test("PATCH: qaytarishdan keyin mahsulotlarni o'zgartirish rad etiladi", async () => {
+  const result = await patchOrder(returnedOrder(), {
+    products: [{ product: "64b7f0c2a1b2c3d4e5f60718", quantity: 2 }],
+  });
+  assert.deepStrictEqual(result, { status: 400 });
+});
+
+test("PATCH: products massiv bo'lmasa validation xatosi", async () => {
+  const result = await patchOrder(returnedOrder(), { products: "p1" });
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(result.errors[0].path, "products");
+});
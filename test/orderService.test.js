@@ -0,0 +1,180 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  hasReturns,
+  assertEditableAfterReturns,
+  computeTotals,
+  reconcileTotals,
+} = require("../services/orderService");
+const { applyPromotions } = require("../services/promotionService");
+
+// Qaytarishdan keyingi buyurtma: qator va to'lov POST /:id/returns dagidek kamaygan
+const returnedOrder = () => ({
+  returnedAmount: 60000,
+  payments: [{ method: "cash", amount: 40000 }],
+  products: [
+    { product: "p1", quantity: 1, returnedQuantity: 0.5 },
+    { product: "p2", quantity: 2, returnedQuantity: 0 },
+  ],
+});
+
+test("qaytarishsiz buyurtma tahrirlanadi", () => {
+  const order = {
+    returnedAmount: 0,
+    payments: [{ method: "cash", amount: 100000 }],
+    products: [{ product: "p1", quantity: 1.5, returnedQuantity: 0 }],
+  };
+  assert.strictEqual(hasReturns(order), false);
+  assert.doesNotThrow(() =>
+    assertEditableAfterReturns(order, {
+      products: [{ product: "p1", quantity: 2 }],
+      payments: [{ method: "card", amount: 100000 }],
+    })
+  );
+});
+
+test("qaytarishdan keyin mahsulotlarni tahrirlash rad etiladi", () => {
+  assert.throws(
+    () =>
+      assertEditableAfterReturns(returnedOrder(), {
+        products: [{ product: "p1", quantity: 1.5 }],
+      }),
+    { status: 400 }
+  );
+});
+
+test("qaytarishdan keyin to'lovlarni tahrirlash rad etiladi", () => {
+  for (const input of [
+    { payments: [{ method: "cash", amount: 100000 }] },
+    { paidAmount: 100000 },
+    { debtAmount: 0 },
+  ]) {
+    assert.throws(() => assertEditableAfterReturns(returnedOrder(), input), {
+      status: 400,
+    });
+  }
+});
+
+test("faqat qator qaytarilgan bo'lsa ham qaytarish hisoblanadi", () => {
+  const order = returnedOrder();
+  order.returnedAmount = 0;
+  assert.strictEqual(hasReturns(order), true);
+});
+
+// calculateProfit'dan o'tgan qatorlar kabi (ombor birligida, chegirma bilan)
+const lines = () => [
+  { product: "p1", quantity: 1.5, price: 100000, discount: 0 },
+  { product: "p2", quantity: 0.333, price: 90000, discount: 5000 },
+];
+
+test("summa qatorlar bo'yicha: yaxlitlash, chegirma va yetkazish narxi", () => {
+  const totals = computeTotals(lines(), 15000);
+  assert.deepStrictEqual(
+    totals.lines.map((line) => [line.subtotal, line.discount, line.total]),
+    [
+      [150000, 0, 150000],
+      [29970, 5000, 24970],
+    ]
+  );
+  assert.strictEqual(totals.subtotal, 179970);
+  assert.strictEqual(totals.discountAmount, 5000);
+  assert.strictEqual(totals.deliveryFee, 15000);
+  assert.strictEqual(totals.totalAmount, 189970);
+});
+
+test("aksiya chegirmasi summadan ayiriladi", () => {
+  const orderProducts = [{ product: "p1", quantity: 2, price: 80000 }];
+  applyPromotions(
+    orderProducts[0],
+    { _id: "p1" },
+    [
+      {
+        _id: "promo",
+        name: "10% chegirma",
+        type: "percentage",
+        value: 10,
+        products: [],
+        categories: [],
+        clientGroups: [],
+      },
+    ],
+    { clientGroup: "", categoryPath: [] }
+  );
+  const totals = reconcileTotals(orderProducts, { totalAmount: 144000 });
+  assert.deepStrictEqual(totals.errors, []);
+  assert.strictEqual(totals.discountAmount, 16000);
+  assert.strictEqual(totals.totalAmount, 144000);
+  assert.strictEqual(totals.lines[0].promotionName, "10% chegirma");
+});
+
+test("summalar berilmasa to'liq to'langan deb olinadi", () => {
+  const totals = reconcileTotals(lines(), { paymentType: "card" }, 15000);
+  assert.deepStrictEqual(totals.errors, []);
+  assert.strictEqual(totals.paidAmount, 189970);
+  assert.strictEqual(totals.debtAmount, 0);
+  assert.deepStrictEqual(totals.payments, [{ method: "card", amount: 189970 }]);
+  assert.strictEqual(totals.paymentType, "card");
+});
+
+test("qoldiq qarz: payments yig'indisi paidAmount, qolgani debtAmount", () => {
+  const totals = reconcileTotals(
+    lines(),
+    {
+      totalAmount: 189970,
+      payments: [
+        { method: "cash", amount: "100000" },
+        { method: "card", amount: 50000 },
+        { method: "card", amount: 0 },
+      ],
+    },
+    15000
+  );
+  assert.deepStrictEqual(totals.errors, []);
+  assert.strictEqual(totals.paidAmount, 150000);
+  assert.strictEqual(totals.debtAmount, 39970);
+  assert.strictEqual(totals.payments.length, 2);
+  assert.strictEqual(totals.paymentType, "debt");
+});
+
+test("1 so'mgacha yaxlitlash farqi to'lovga qo'shiladi", () => {
+  const totals = reconcileTotals(lines(), {
+    totalAmount: 174971,
+    paidAmount: 74971,
+    debtAmount: 100000,
+  });
+  assert.deepStrictEqual(totals.errors, []);
+  assert.strictEqual(totals.paidAmount, 74970);
+  assert.strictEqual(totals.debtAmount, 100000);
+  assert.deepStrictEqual(totals.payments, [{ method: "cash", amount: 74970 }]);
+});
+
+test("kassa summasi server hisobiga mos kelmasa xato", () => {
+  const totals = reconcileTotals(
+    lines(),
+    { totalAmount: 179970, paidAmount: 179970 },
+    15000
+  );
+  assert.strictEqual(totals.errors.length, 1);
+  assert.match(totals.errors[0], /передано 179970, рассчитано 189970/);
+});
+
+test("paidAmount payments yig'indisiga yoki paidAmount + debtAmount summaga teng bo'lmasa xato", () => {
+  const byPayments = reconcileTotals(lines(), {
+    paidAmount: 100000,
+    payments: [{ method: "cash", amount: 90000 }],
+  });
+  assert.match(byPayments.errors[0], /не равен сумме payments 90000/);
+
+  const bySum = reconcileTotals(lines(), {
+    paidAmount: 100000,
+    debtAmount: 50000,
+  });
+  assert.match(bySum.errors[0], /не равно сумме заказа 174970/);
+});
+
+test("manfiy qarz rad etiladi", () => {
+  const totals = reconcileTotals(lines(), { paidAmount: 200000 });
+  assert.deepStrictEqual(totals.errors, [
+    "paidAmount и debtAmount не могут быть отрицательными",
+  ]);
+});
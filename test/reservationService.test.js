@@ -0,0 +1,73 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const Product = require("../models/products/product.model");
+const {
+  applyReservation,
+  releaseReservation,
+} = require("../services/reservationService");
+
+// Product o'rniga xotiradagi ombor: findById(...).session() va updateOne($inc)
+let stock;
+let updates;
+Product.findById = (id) => ({ session: async () => stock[String(id)] || null });
+Product.updateOne = async ({ _id }, { $inc }) => {
+  updates.push({ product: String(_id), ...$inc });
+  stock[String(_id)].reservedQuantity += $inc.reservedQuantity;
+};
+
+beforeEach(() => {
+  stock = {
+    beef: {
+      name: "Mol go'shti",
+      unit: "kg",
+      quantity: 10,
+      reservedQuantity: 7,
+    },
+    lamb: {
+      name: "Qo'y go'shti",
+      unit: "kg",
+      quantity: 5,
+      reservedQuantity: 0,
+    },
+  };
+  updates = [];
+});
+
+const preOrder = (products) => ({
+  scheduledFor: new Date("2026-12-31T07:00:00Z"),
+  status: "new",
+  stockReserved: false,
+  products,
+});
+
+test("bo'sh qoldiq yetsa mahsulot band qilinadi", async () => {
+  const order = preOrder([{ product: "beef", quantity: 3 }]);
+  await applyReservation(order, null);
+  assert.strictEqual(order.stockReserved, true);
+  assert.strictEqual(stock.beef.reservedQuantity, 10);
+});
+
+test("bo'sh qoldiqdan ko'p band qilish rad etiladi", async () => {
+  const order = preOrder([{ product: "beef", quantity: 3.5 }]);
+  await assert.rejects(applyReservation(order, null), { status: 400 });
+  assert.strictEqual(order.stockReserved, false);
+  assert.deepStrictEqual(updates, []);
+});
+
+test("bir mahsulotning bir nechta qatori birga tekshiriladi", async () => {
+  const order = preOrder([
+    { product: "lamb", quantity: 3 },
+    { product: "lamb", quantity: 3 },
+  ]);
+  await assert.rejects(applyReservation(order, null), { status: 400 });
+  assert.deepStrictEqual(updates, []);
+});
+
+test("bo'shatilgan band qayta band qilinadi", async () => {
+  const order = preOrder([{ product: "beef", quantity: 3 }]);
+  await applyReservation(order, null);
+  await releaseReservation(order, null);
+  assert.strictEqual(stock.beef.reservedQuantity, 7);
+  await applyReservation(order, null);
+  assert.strictEqual(stock.beef.reservedQuantity, 10);
+});
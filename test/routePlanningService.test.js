@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  routeDistance,
+  nearestNeighbour,
+  twoOpt,
+  planRoute,
+} = require("../services/routePlanningService");
+
+// Do'kon va Toshkent bo'yicha bekatlar
+const shop = { lat: 41.311, lng: 69.24 };
+const stop = (id, lat, lng) => ({ id, lat, lng });
+const stops = [
+  stop("a", 41.33, 69.28),
+  stop("b", 41.29, 69.21),
+  stop("c", 41.35, 69.3),
+  stop("d", 41.3, 69.27),
+  stop("e", 41.28, 69.19),
+  stop("f", 41.34, 69.23),
+];
+
+// Takrorlanadigan tasodifiy bekatlar (chiziqli kongruent generator)
+const randomStops = (seed, count) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  return Array.from({ length: count }, (_, i) =>
+    stop(`r${i}`, 41.2 + next() * 0.2, 69.1 + next() * 0.3)
+  );
+};
+
+const ids = (route) => route.map((item) => item.id).sort();
+
+test("marshrut do'kondan eng yaqin bekat bilan boshlanadi", () => {
+  const route = nearestNeighbour(shop, stops);
+  assert.strictEqual(route[0].id, "d");
+});
+
+test("har bir bekatga bir marta boriladi", () => {
+  const plan = planRoute(shop, stops);
+  assert.strictEqual(plan.stops.length, stops.length);
+  assert.deepStrictEqual(ids(plan.stops), ids(stops));
+  assert.strictEqual(
+    plan.distanceKm,
+    Math.round(routeDistance(shop, plan.stops) * 100) / 100
+  );
+});
+
+test("2-opt kesishgan qirralarni yo'qotadi", () => {
+  // Bitta chiziqdagi bekatlar: kesishgan tartib to'g'ri tartibga aylanadi
+  const line = [1, 3, 2, 4].map((n) => stop(`s${n}`, 41.311, 69.24 + n * 0.01));
+  const route = twoOpt(shop, line);
+  assert.deepStrictEqual(
+    route.map((item) => item.id),
+    ["s1", "s2", "s3", "s4"]
+  );
+});
+
+test("2-opt marshrutni hech qachon uzaytirmaydi", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const points = randomStops(seed, 12);
+    const initial = nearestNeighbour(shop, points);
+    const improved = twoOpt(shop, initial);
+    assert.deepStrictEqual(ids(improved), ids(points));
+    assert.ok(
+      routeDistance(shop, improved) <= routeDistance(shop, initial) + 1e-9
+    );
+    // Bekatlar tartibi berilgan tartibdan ham uzun emas
+    assert.ok(
+      routeDistance(shop, twoOpt(shop, points)) <=
+        routeDistance(shop, points) + 1e-9
+    );
+  }
+});
+
+test("bekatsiz marshrut bo'sh", () => {
+  assert.deepStrictEqual(planRoute(shop, []), {
+    stops: [],
+    distanceKm: 0,
+    returnDistanceKm: 0,
+  });
+});
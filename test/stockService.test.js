@@ -0,0 +1,243 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const CostLayer = require("../models/costLayers/costLayer.model");
+const Lot = require("../models/lots/lot.model");
+const StockMovement = require("../models/stockMovements/stockMovement.model");
+const { adjustStock } = require("../services/stockService");
+
+// Qatlamlar, partiyalar va harakatlar o'rniga xotiradagi ro'yxatlar
+let layers;
+let lots;
+let movements;
+let nextId;
+
+const doc = (fields) => ({
+  _id: `id${nextId++}`,
+  receivedAt: new Date(),
+  ...fields,
+  save: async () => {},
+});
+
+// find({ remaining: { $gt: 0 } }).sort(spec).session(): tartib servis bergan spec bo'yicha
+const sortBy = (spec) => (a, b) => {
+  for (const [key, direction] of Object.entries(spec)) {
+    if (a[key] < b[key]) return -direction;
+    if (a[key] > b[key]) return direction;
+  }
+  return 0;
+};
+CostLayer.find = () => ({
+  sort: (spec) => ({
+    session: async () =>
+      layers.filter((layer) => layer.remaining > 0).sort(sortBy(spec)),
+  }),
+});
+CostLayer.create = async (docs) => {
+  const created = docs.map(doc);
+  layers.push(...created);
+  return created;
+};
+// FEFO tartibini servis o'zi beradi: find teskari tartibda qaytaradi
+Lot.find = () => ({
+  session: async () => lots.filter((lot) => lot.remaining > 0).reverse(),
+});
+Lot.create = async (docs) => {
+  const created = docs.map(doc);
+  lots.push(...created);
+  return created;
+};
+Lot.findById = (id) => ({
+  session: async () => lots.find((lot) => lot._id === id) || null,
+});
+StockMovement.create = async (docs) => movements.push(...docs);
+
+beforeEach(() => {
+  layers = [];
+  lots = [];
+  movements = [];
+  nextId = 1;
+});
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+const product = (fields) => ({
+  _id: "beef",
+  name: "Mol go'shti",
+  unit: "kg",
+  quantity: 0,
+  costPrice: 0,
+  costingMethod: "average",
+  createdAt: day(1),
+  save: async () => {},
+  ...fields,
+});
+
+const addLayer = (remaining, unitCost, receivedAt) =>
+  layers.push(doc({ quantity: remaining, remaining, unitCost, receivedAt }));
+
+const movement = { type: "sale", description: "Sotuv" };
+
+test("FIFO: chiqim eng eski qatlamdan, keyingi qatlam qisman", async () => {
+  const beef = product({ quantity: 10, costPrice: 150, costingMethod: "fifo" });
+  addLayer(5, 200, day(3));
+  addLayer(5, 100, day(2));
+
+  const { unitCost } = await adjustStock(beef, -7, movement, null);
+
+  assert.strictEqual(unitCost, (5 * 100 + 2 * 200) / 7);
+  assert.deepStrictEqual(
+    layers.map((layer) => [layer.unitCost, layer.remaining]),
+    [
+      [200, 3],
+      [100, 0],
+    ]
+  );
+  // FIFO'da costPrice qolgan qatlamlar bo'yicha
+  assert.strictEqual(beef.costPrice, 200);
+  assert.strictEqual(beef.quantity, 3);
+  assert.strictEqual(movements[0].costPrice, unitCost);
+  assert.strictEqual(movements[0].balanceAfter, 3);
+});
+
+test("o'rtacha tannarx: chiqim costPrice bilan, qatlamlar baribir FIFO yopiladi", async () => {
+  const beef = product({ quantity: 10, costPrice: 150 });
+  addLayer(5, 100, day(2));
+  addLayer(5, 200, day(3));
+
+  const { unitCost } = await adjustStock(beef, -7, movement, null);
+
+  assert.strictEqual(unitCost, 150);
+  assert.deepStrictEqual(
+    layers.map((layer) => layer.remaining),
+    [0, 3]
+  );
+  assert.strictEqual(beef.costPrice, 150);
+});
+
+test("qatlamlardan oldingi qoldiq eng eski qatlam sifatida yoziladi", async () => {
+  const beef = product({ quantity: 10, costPrice: 120, costingMethod: "fifo" });
+  addLayer(4, 200, day(5));
+
+  const { unitCost } = await adjustStock(beef, -8, movement, null);
+
+  // 6 kg ochilish qatlamidan (120), 2 kg kirimdan (200)
+  assert.strictEqual(unitCost, (6 * 120 + 2 * 200) / 8);
+  const opening = layers.find((layer) => layer.unitCost === 120);
+  assert.deepStrictEqual([opening.quantity, opening.remaining], [6, 0]);
+  assert.strictEqual(beef.costPrice, 200);
+});
+
+test("kirim yangi qatlam ochadi va o'rtacha tannarxni qayta hisoblaydi", async () => {
+  const beef = product({ quantity: 10, costPrice: 100 });
+  addLayer(10, 100, day(2));
+
+  await adjustStock(
+    beef,
+    5,
+    { type: "purchase", unitCost: 160, relatedModel: "PurchaseReceipt" },
+    null
+  );
+
+  const received = layers[layers.length - 1];
+  assert.deepStrictEqual(
+    [received.quantity, received.remaining, received.unitCost],
+    [5, 5, 160]
+  );
+  assert.strictEqual(beef.costPrice, (10 * 100 + 5 * 160) / 15);
+  assert.strictEqual(beef.quantity, 15);
+});
+
+const addLot = (id, remaining, expiryDate, receivedAt = day(1)) =>
+  lots.push({
+    ...doc({ quantity: remaining, remaining, expiryDate, receivedAt }),
+    _id: id,
+  });
+
+test("FEFO: muddati yaqin partiya birinchi, muddatsizi oxirida", async () => {
+  const beef = product({ quantity: 12 });
+  addLot("noExpiry", 4, null);
+  addLot("late", 4, day(20));
+  addLot("soon", 4, day(10));
+
+  const { lots: allocations } = await adjustStock(beef, -6, movement, null);
+
+  assert.deepStrictEqual(
+    allocations.map((allocation) => [allocation.lot, allocation.quantity]),
+    [
+      ["soon", 4],
+      ["late", 2],
+    ]
+  );
+  assert.deepStrictEqual(
+    lots.map((lot) => [lot._id, lot.remaining]),
+    [
+      ["noExpiry", 4],
+      ["late", 2],
+      ["soon", 0],
+    ]
+  );
+});
+
+test("muddati bir xil partiyalar kirim sanasi bo'yicha", async () => {
+  const beef = product({ quantity: 6 });
+  addLot("newer", 3, day(10), day(5));
+  addLot("older", 3, day(10), day(2));
+
+  const { lots: allocations } = await adjustStock(beef, -4, movement, null);
+
+  assert.deepStrictEqual(
+    allocations.map((allocation) => [allocation.lot, allocation.quantity]),
+    [
+      ["older", 3],
+      ["newer", 1],
+    ]
+  );
+});
+
+test("partiyalardan oldingi qoldiq muddatsiz partiya sifatida oxirida sarflanadi", async () => {
+  const beef = product({ quantity: 10 });
+  addLot("soon", 4, day(10));
+
+  const { lots: allocations } = await adjustStock(beef, -6, movement, null);
+
+  assert.strictEqual(allocations[0].lot, "soon");
+  assert.strictEqual(allocations[0].quantity, 4);
+  const opening = lots.find((lot) => lot._id === allocations[1].lot);
+  assert.ok(!opening.expiryDate);
+  assert.deepStrictEqual([opening.quantity, opening.remaining], [6, 4]);
+});
+
+test("qaytarish chiqib ketgan partiyalarga qaytadi", async () => {
+  const beef = product({ quantity: 2 });
+  addLot("soon", 0, day(10));
+  addLot("late", 2, day(20));
+
+  const { lots: allocations } = await adjustStock(
+    beef,
+    3,
+    { type: "return", lots: [{ lot: "soon", quantity: 3 }] },
+    null
+  );
+
+  assert.deepStrictEqual(allocations, [{ lot: "soon", quantity: 3 }]);
+  assert.strictEqual(lots.find((lot) => lot._id === "soon").remaining, 3);
+  assert.strictEqual(lots.length, 2);
+});
+
+test("kirim partiyasi muddati: berilgan sana va saqlash muddatining eng yaqini", async () => {
+  const beef = product({ quantity: 0, shelfLifeDays: 3 });
+  const expiryDate = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+
+  await adjustStock(
+    beef,
+    5,
+    { type: "purchase", unitCost: 100, lot: { lotNumber: "A-1", expiryDate } },
+    null
+  );
+
+  const [received] = lots;
+  assert.strictEqual(received.lotNumber, "A-1");
+  assert.deepStrictEqual([received.quantity, received.remaining], [5, 5]);
+  const daysLeft = (received.expiryDate - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(daysLeft > 2.9 && daysLeft <= 3, String(daysLeft));
+});
@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  normalizeUnit,
+  roundQuantity,
+  getConversionFactor,
+  toStockQuantity,
+} = require("../utils/units");
+
+test("birlik nomlari katalog kodiga keltiriladi", () => {
+  const cases = [
+    ["kg", "kg"],
+    [" KG. ", "kg"],
+    ["кг", "kg"],
+    ["гр", "g"],
+    ["dona", "piece"],
+    ["шт", "piece"],
+    ["пачка", "pack"],
+    ["bo'lak", null],
+    ["", null],
+    [null, null],
+    [5, null],
+  ];
+  for (const [value, expected] of cases) {
+    assert.strictEqual(normalizeUnit(value), expected, String(value));
+  }
+});
+
+test("miqdor birlik aniqligiga yaxlitlanadi", () => {
+  const cases = [
+    [0.12345, "kg", 0.123],
+    [0.1236, "kg", 0.124],
+    [2.0004, "кг", 2],
+    [12.5, "g", 13],
+    [12.4, "g", 12],
+    [2.6, "piece", 3],
+    [1.5, "pack", 2],
+    // Tanilmagan birlik - 3 xona
+    [1.23456, "bo'lak", 1.235],
+    [1.23456, undefined, 1.235],
+  ];
+  for (const [quantity, unit, expected] of cases) {
+    assert.strictEqual(
+      roundQuantity(quantity, unit),
+      expected,
+      `${quantity} ${unit}`
+    );
+  }
+});
+
+test("birliklar orasidagi nisbat", () => {
+  const kg = { unit: "kg", packSize: null };
+  const cases = [
+    ["g", kg, 0.001],
+    ["kg", { unit: "g" }, 1000],
+    ["кг", kg, 1],
+    ["piece", kg, null],
+    ["pack", kg, null],
+    ["pack", { unit: "kg", packSize: 0.5 }, 0.5],
+    ["kg", { unit: "pack", packSize: 0.5 }, 2],
+    // Katalogda yo'q eski birlik faqat o'ziga teng
+    ["bo'lak", { unit: "bo'lak" }, 1],
+    ["kg", { unit: "bo'lak" }, null],
+  ];
+  for (const [fromUnit, product, expected] of cases) {
+    assert.strictEqual(
+      getConversionFactor(fromUnit, product),
+      expected,
+      `${fromUnit} -> ${product.unit}`
+    );
+  }
+});
+
+test("sotuv birligidan ombor birligiga o'tkazish", () => {
+  const beef = { name: "Mol go'shti", unit: "kg", packSize: null };
+  assert.deepStrictEqual(toStockQuantity(750, "g", beef), {
+    quantity: 0.75,
+    factor: 0.001,
+  });
+  assert.deepStrictEqual(toStockQuantity(1.2345, "kg", beef), {
+    quantity: 1.235,
+    factor: 1,
+  });
+  assert.throws(
+    () => toStockQuantity(1.5, "piece", { ...beef, unit: "piece" }),
+    { status: 400 }
+  );
+  assert.throws(() => toStockQuantity(2, "piece", beef), { status: 400 });
+});
@@ -0,0 +1,47 @@
+/**
+ * Yetkazish holatlari va ruxsat etilgan o'tishlar
+ * pending -> assigned -> out_for_delivery -> delivered
+ * out_for_delivery -> failed -> assigned (qayta yetkazish)
+ */
+
+const DELIVERY_STATUSES = [
+  "pending",
+  "assigned",
+  "out_for_delivery",
+  "delivered",
+  "failed",
+  "cancelled",
+];
+
+// Har bir holatdan qaysi holatlarga o'tish mumkin
+const DELIVERY_TRANSITIONS = {
+  pending: ["assigned", "cancelled"],
+  // assigned -> pending: kuryer olib tashlandi
+  assigned: ["pending", "out_for_delivery", "cancelled"],
+  out_for_delivery: ["delivered", "failed"],
+  delivered: [],
+  failed: ["assigned", "cancelled"],
+  cancelled: [],
+};
+
+// Yetkazish holatiga mos buyurtma holati (utils/orderStatus.js)
+const DELIVERY_ORDER_STATUS = {
+  out_for_delivery: "out_for_delivery",
+  delivered: "delivered",
+  // Yetkazilmadi - mahsulot omborga emas, "tayyor" holatiga qaytadi
+  failed: "ready",
+};
+
+// Yakunlanmagan yetkazishlar: bitta buyurtmada faqat bittasi bo'lishi mumkin
+const ACTIVE_DELIVERY_STATUSES = ["pending", "assigned", "out_for_delivery"];
+
+const canDeliveryTransition = (from, to) =>
+  from === to || (DELIVERY_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  DELIVERY_STATUSES,
+  DELIVERY_TRANSITIONS,
+  DELIVERY_ORDER_STATUS,
+  ACTIVE_DELIVERY_STATUSES,
+  canDeliveryTransition,
+};
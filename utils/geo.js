@@ -0,0 +1,59 @@
+/**
+ * Geolokatsiya bo'yicha sof hisoblar (xarita xizmatisiz)
+ */
+
+/**
+ * Nuqta ko'pburchak ichidami (ray casting). Chegaradagi nuqta aniq bo'lmasligi mumkin
+ * @param {Object} point - { lat, lng }
+ * @param {Array} polygon - [{ lat, lng }, ...] - uchlari tartib bilan, yopilishi shart emas
+ * @returns {Boolean}
+ */
+const isPointInPolygon = (point, polygon) => {
+  if (!point || !Array.isArray(polygon) || polygon.length < 3) return false;
+  const { lat: y, lng: x } = point;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const { lat: yi, lng: xi } = polygon[i];
+    const { lat: yj, lng: xj } = polygon[j];
+    const crosses =
+      yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+/**
+ * Koordinatalar berilganmi
+ * @param {Object} point - { lat, lng }
+ * @returns {Boolean}
+ */
+const hasCoordinates = (point) =>
+  Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+// Yer radiusi (km)
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Ikki nuqta orasidagi to'g'ri chiziq masofasi (haversine), yo'l masofasi emas
+ * @param {Object} a - { lat, lng }
+ * @param {Object} b - { lat, lng }
+ * @returns {Number} km
+ */
+const distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+module.exports = {
+  isPointInPolygon,
+  hasCoordinates,
+  distanceKm,
+};
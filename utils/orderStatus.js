@@ -0,0 +1,82 @@
+/**
+ * Buyurtma holatlari va ruxsat etilgan o'tishlar
+ * new -> confirmed -> packing -> ready -> out_for_delivery -> delivered -> completed
+ * pending - kassa buyurtmalarining eski boshlang'ich holati (new bilan bir xil)
+ */
+
+const ORDER_STATUSES = [
+  "pending",
+  "new",
+  "confirmed",
+  "packing",
+  "ready",
+  "out_for_delivery",
+  "delivered",
+  "completed",
+  "cancelled",
+];
+
+// Har bir holatdan qaysi holatlarga o'tish mumkin
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "packing", "completed", "cancelled"],
+  new: ["confirmed", "packing", "completed", "cancelled"],
+  confirmed: ["packing", "cancelled"],
+  packing: ["ready", "confirmed", "cancelled"],
+  // ready -> completed: mijoz o'zi olib ketdi
+  ready: ["out_for_delivery", "completed", "cancelled"],
+  // out_for_delivery -> ready: kuryer yetkaza olmay qaytardi
+  out_for_delivery: ["delivered", "ready", "cancelled"],
+  delivered: ["completed", "cancelled"],
+  completed: ["pending", "cancelled"],
+  cancelled: ["pending", "new", "completed"],
+};
+
+// Mahsulot ombordan chiqqan holatlar (yig'ish boshlangandan keyin)
+const STOCK_OUT_STATUSES = [
+  "packing",
+  "ready",
+  "out_for_delivery",
+  "delivered",
+  "completed",
+];
+
+// Mahsulot mijozga topshirilgan holatlar: qarz shu holatlarda yoziladi, qaytarish mumkin
+const HANDED_OVER_STATUSES = ["delivered", "completed"];
+
+const canTransition = (from, to) =>
+  from === to || (ORDER_TRANSITIONS[from] || []).includes(to);
+
+const isStockOut = (status) => STOCK_OUT_STATUSES.includes(status);
+
+const isHandedOver = (status) => HANDED_OVER_STATUSES.includes(status);
+
+/**
+ * Holat o'zgarishini buyurtmaga yozish: status, tarix va holat vaqti
+ * @param {Object} order - Order hujjati
+ * @param {String} status - Yangi holat
+ * @param {Object} meta - { changedBy, note }
+ * @returns {Object} { from, to, changedAt, changedBy, note }
+ */
+const recordStatusChange = (order, status, meta = {}) => {
+  const transition = {
+    from: order.isNew ? null : order.status,
+    to: status,
+    changedAt: new Date(),
+    changedBy: meta.changedBy || null,
+    note: meta.note || "",
+  };
+  order.status = status;
+  order.statusHistory.push(transition);
+  order.statusTimestamps.set(status, transition.changedAt);
+  return transition;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  HANDED_OVER_STATUSES,
+  canTransition,
+  isStockOut,
+  isHandedOver,
+  recordStatusChange,
+};
@@ -57,7 +57,86 @@ const emitOrderUpdate = (io, order) => {
   }
 };
 
+/**
+ * Отправить событие о смене статуса заказа (экран сборки/выдачи)
+ * @param {Object} io - Socket.IO экземпляр
+ * @param {Object} order - Данные заказа
+ * @param {Object} transition - { from, to, changedAt, changedBy, note }
+ */
+const emitOrderStatusChanged = (io, order, transition) => {
+  try {
+    const payload = {
+      id: order._id,
+      from: transition.from,
+      status: transition.to,
+      changedAt: transition.changedAt,
+      changedBy: transition.changedBy,
+      note: transition.note,
+      client: order.client,
+      totalAmount: order.totalAmount,
+      car: order.car,
+      index: order.index
+    };
+    io.emit('order_status_changed', payload);
+
+    console.log(
+      `Socket event 'order_status_changed' (${transition.from} -> ${transition.to}) отправлен для заказа ${order._id}`
+    );
+  } catch (error) {
+    console.error('Ошибка при отправке события order_status_changed:', error.message);
+  }
+};
+
+/**
+ * Отправить событие о заказе, созданном по постоянному заказу (scheduler)
+ * @param {Object} io - Socket.IO экземпляр
+ * @param {Object} standingOrder - Шаблон постоянного заказа
+ * @param {Object} order - Созданный заказ
+ */
+const emitStandingOrderGenerated = (io, standingOrder, order) => {
+  try {
+    io.emit('standing_order_generated', {
+      id: standingOrder._id,
+      name: standingOrder.name,
+      client: order.client,
+      order: order._id,
+      totalAmount: order.totalAmount,
+      status: order.status,
+      createdAt: order.createdAt
+    });
+
+    console.log(`Socket event 'standing_order_generated' отправлен для шаблона ${standingOrder._id}`);
+  } catch (error) {
+    console.error('Ошибка при отправке события standing_order_generated:', error.message);
+  }
+};
+
+/**
+ * Отправить событие об ошибке создания заказа по постоянному заказу
+ * @param {Object} io - Socket.IO экземпляр
+ * @param {Object} standingOrder - Шаблон постоянного заказа
+ * @param {String} message - Текст ошибки
+ */
+const emitStandingOrderFailed = (io, standingOrder, message) => {
+  try {
+    io.emit('standing_order_failed', {
+      id: standingOrder._id,
+      name: standingOrder.name,
+      client: standingOrder.client,
+      message,
+      failedAt: new Date()
+    });
+
+    console.log(`Socket event 'standing_order_failed' отправлен для шаблона ${standingOrder._id}`);
+  } catch (error) {
+    console.error('Ошибка при отправке события standing_order_failed:', error.message);
+  }
+};
+
 module.exports = {
   emitNewOrder,
-  emitOrderUpdate
+  emitOrderUpdate,
+  emitOrderStatusChanged,
+  emitStandingOrderGenerated,
+  emitStandingOrderFailed
 };
@@ -0,0 +1,23 @@
+/**
+ * Toshkent vaqti (UTC+5, yozgi vaqt yo'q) bo'yicha kun hisoblari
+ */
+
+const TASHKENT_OFFSET = 5 * 60 * 60 * 1000;
+
+/**
+ * Toshkent vaqti bo'yicha kun chegaralari
+ * @param {Date} date - Kun ichidagi istalgan vaqt
+ * @returns {Object} { start, end } - end kirmaydi
+ */
+const tashkentDayRange = (date = new Date()) => {
+  const local = new Date(date.getTime() + TASHKENT_OFFSET);
+  local.setUTCHours(0, 0, 0, 0);
+  const start = new Date(local.getTime() - TASHKENT_OFFSET);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+  return { start, end };
+};
+
+module.exports = {
+  TASHKENT_OFFSET,
+  tashkentDayRange,
+};
@@ -0,0 +1,119 @@
+const { HttpError } = require("./withTransaction");
+
+// O'lchov birliklari katalogi. factor - o'lchov turi ichidagi asosiy birlikka nisbat
+const UNITS = {
+  kg: { dimension: "mass", factor: 1, decimals: 3 },
+  g: { dimension: "mass", factor: 0.001, decimals: 0 },
+  piece: { dimension: "count", factor: 1, decimals: 0 },
+  pack: { dimension: "pack", factor: 1, decimals: 0 },
+};
+
+const UNIT_CODES = Object.keys(UNITS);
+
+// Eski erkin matnli birliklar
+const UNIT_ALIASES = {
+  kg: "kg",
+  кг: "kg",
+  kilo: "kg",
+  kilogram: "kg",
+  килограмм: "kg",
+  g: "g",
+  gr: "g",
+  г: "g",
+  гр: "g",
+  gram: "g",
+  грамм: "g",
+  piece: "piece",
+  pcs: "piece",
+  dona: "piece",
+  дона: "piece",
+  шт: "piece",
+  штука: "piece",
+  pack: "pack",
+  pachka: "pack",
+  упаковка: "pack",
+  пачка: "pack",
+};
+
+/**
+ * Birlik nomini katalog kodiga keltirish ("кг", "KG." -> "kg")
+ * @param {String} value - Birlik nomi
+ * @returns {String|null} Katalog kodi yoki tanilmasa null
+ */
+const normalizeUnit = (value) => {
+  if (typeof value !== "string") return null;
+  const key = value.trim().toLowerCase().replace(/\.$/, "");
+  return UNIT_ALIASES[key] || null;
+};
+
+/**
+ * Miqdorni birlik aniqligiga yaxlitlash (kg - 3 xona, g/dona/pachka - butun).
+ * Tanilmagan birliklar uchun 3 xona.
+ */
+const roundQuantity = (quantity, unit) => {
+  const decimals = UNITS[normalizeUnit(unit)]?.decimals ?? 3;
+  const factor = 10 ** decimals;
+  return Math.round(quantity * factor) / factor;
+};
+
+/**
+ * Bir birlikdagi miqdor ombor birligida nechaga tengligi (1 sotuv birligi = N ombor birligi)
+ * @param {String} fromUnit - Sotuv birligi
+ * @param {Object} product - unit, packSize
+ * @returns {Number|null} Nisbat yoki o'tkazib bo'lmasa null
+ */
+const getConversionFactor = (fromUnit, product) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(product.unit);
+  if (!from || !to) {
+    // Katalogda yo'q eski birlik faqat o'ziga teng
+    return String(fromUnit).trim() === String(product.unit).trim() ? 1 : null;
+  }
+  if (from === to) return 1;
+
+  // Pachka: bitta pachkada packSize ombor birligi
+  if (from === "pack") return product.packSize || null;
+  if (to === "pack") return product.packSize ? 1 / product.packSize : null;
+
+  if (UNITS[from].dimension !== UNITS[to].dimension) return null;
+  return UNITS[from].factor / UNITS[to].factor;
+};
+
+/**
+ * Sotuv birligidagi miqdorni ombor birligiga o'tkazish
+ * @param {Number} quantity - Sotuv birligidagi miqdor
+ * @param {String} fromUnit - Sotuv birligi
+ * @param {Object} product - Product hujjati
+ * @returns {Object} { quantity, factor } - ombor birligidagi yaxlitlangan miqdor va nisbat
+ */
+const toStockQuantity = (quantity, fromUnit, product) => {
+  const from = normalizeUnit(fromUnit);
+  if (from && UNITS[from].decimals === 0 && !Number.isInteger(quantity)) {
+    throw new HttpError(
+      400,
+      `${product.name}: ${from} birligida miqdor butun son bo'lishi kerak`
+    );
+  }
+
+  const factor = getConversionFactor(fromUnit, product);
+  if (!factor) {
+    throw new HttpError(
+      400,
+      `${product.name}: ${fromUnit} birligini ${product.unit} birligiga o'tkazib bo'lmaydi`
+    );
+  }
+
+  return {
+    quantity: roundQuantity(quantity * factor, product.unit),
+    factor,
+  };
+};
+
+module.exports = {
+  UNITS,
+  UNIT_CODES,
+  normalizeUnit,
+  roundQuantity,
+  getConversionFactor,
+  toStockQuantity,
+};
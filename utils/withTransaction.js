@@ -0,0 +1,42 @@
+/**
+ * MongoDB tranzaksiya yordamchilari
+ * Bir nechta kolleksiyaga yozuvchi amallarni bitta session ichida bajarish
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * So'rovni to'xtatib, tranzaksiyani bekor qiluvchi xatolik.
+ * Route'lar uni `error.status` orqali HTTP javobga aylantiradi.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Ishni bitta tranzaksiya ichida bajarish (xatolikda hammasi qaytariladi)
+ * @param {Function} work - session qabul qiluvchi async funksiya
+ * @returns {Promise<*>} work qaytargan qiymat
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    // withTransaction vaqtinchalik xatoliklarda work'ni qayta chaqirishi mumkin
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  HttpError,
+  withTransaction,
+};